@@ -16,17 +16,25 @@ CREATE TABLE IF NOT EXISTS users (
 CREATE TABLE IF NOT EXISTS contracts (
     id SERIAL PRIMARY KEY,
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    title VARCHAR(255) NOT NULL,
+    title VARCHAR(255),
+    filename VARCHAR(255) NOT NULL,
     original_filename VARCHAR(255) NOT NULL,
     file_path VARCHAR(500) NOT NULL,
-    file_type VARCHAR(50) NOT NULL,
+    file_type VARCHAR(100) NOT NULL,
     file_size INTEGER NOT NULL,
     extracted_text TEXT,
+    document_structure JSONB,
     page_count INTEGER,
     status VARCHAR(50) DEFAULT 'uploaded' CHECK (status IN ('uploaded', 'processing', 'analyzed', 'failed')),
     parent_contract_id INTEGER REFERENCES contracts(id) ON DELETE SET NULL,
     version INTEGER DEFAULT 1,
     metadata JSONB DEFAULT '{}',
+    perspective VARCHAR(255),
+    -- Indexes the first 200,000 characters: a tsvector cannot exceed 1 MB, and terms that
+    -- only appear in the contract (parties, dates) are in its opening sections
+    search_vector tsvector GENERATED ALWAYS AS (to_tsvector('english', left(coalesce(extracted_text, ''), 200000))) STORED,
+    uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -35,28 +43,122 @@ CREATE TABLE IF NOT EXISTS contracts (
 CREATE TABLE IF NOT EXISTS clauses (
     id SERIAL PRIMARY KEY,
     contract_id INTEGER REFERENCES contracts(id) ON DELETE CASCADE,
-    clause_text TEXT NOT NULL,
+    parent_id INTEGER REFERENCES clauses(id) ON DELETE CASCADE,
+    depth INTEGER DEFAULT 0,
+    clause_kind VARCHAR(20),
+    text TEXT NOT NULL,
     clause_type VARCHAR(100),
     position INTEGER NOT NULL,
+    section_number VARCHAR(50),
+    title TEXT,
+    word_count INTEGER,
     risk_level VARCHAR(20) CHECK (risk_level IN ('low', 'medium', 'high')),
+    risk_flags JSONB DEFAULT '[]',
     risk_explanation TEXT,
-    confidence_score DECIMAL(3, 2),
-    key_entities JSONB DEFAULT '[]',
+    requires_review BOOLEAN DEFAULT FALSE,
+    confidence DECIMAL(3, 2),
+    entities JSONB DEFAULT '{}',
+    labels JSONB DEFAULT '[]',
+    risk_ruleset_version INTEGER,
     embedding vector(384),
+    -- Same cap as contracts.search_vector, for documents that segment into a single clause
+    search_vector tsvector GENERATED ALWAYS AS (to_tsvector('english', left(text, 200000))) STORED,
+    original_clause_type VARCHAR(100),
+    original_risk_level VARCHAR(20),
+    reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-chunk embeddings of clause text; clauses.embedding pools them. Offsets are character
+-- positions in the clause text, chunks overlap, and short clauses have a single chunk.
+CREATE TABLE IF NOT EXISTS clause_chunks (
+    id SERIAL PRIMARY KEY,
+    clause_id INTEGER NOT NULL REFERENCES clauses(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL,
+    start_offset INTEGER NOT NULL,
+    end_offset INTEGER NOT NULL,
+    token_count INTEGER NOT NULL,
+    embedding vector(384) NOT NULL,
+    UNIQUE (clause_id, chunk_index)
+);
+
+-- Embeddings keyed by a hash of the model name and input text, so repeated text is embedded once
+CREATE TABLE IF NOT EXISTS embedding_cache (
+    content_hash CHAR(64) PRIMARY KEY,
+    model VARCHAR(100) NOT NULL,
+    embedding vector(384) NOT NULL,
+    hit_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Custom clause types added by admins (built-in types live in the shared package)
+CREATE TABLE IF NOT EXISTS clause_types (
+    id SERIAL PRIMARY KEY,
+    key VARCHAR(100) UNIQUE NOT NULL,
+    label VARCHAR(255) NOT NULL,
+    description TEXT,
+    patterns JSONB DEFAULT '[]',
+    examples JSONB DEFAULT '[]',
+    embedding vector(384),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Risk rules, one immutable row per published version
+CREATE TABLE IF NOT EXISTS risk_rulesets (
+    id SERIAL PRIMARY KEY,
+    version INTEGER UNIQUE NOT NULL,
+    rules JSONB NOT NULL,
+    notes TEXT,
+    is_active BOOLEAN DEFAULT false,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Company playbook: approved, fallback and rejected language per clause type
+CREATE TABLE IF NOT EXISTS playbook_clauses (
+    id SERIAL PRIMARY KEY,
+    clause_type VARCHAR(100) NOT NULL,
+    position VARCHAR(20) NOT NULL CHECK (position IN ('preferred', 'acceptable', 'unacceptable')),
+    title VARCHAR(255),
+    text TEXT NOT NULL,
+    guidance TEXT,
+    embedding vector(384),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Reviewer corrections to clause labels (one row per change)
+CREATE TABLE IF NOT EXISTS clause_corrections (
+    id SERIAL PRIMARY KEY,
+    clause_id INTEGER REFERENCES clauses(id) ON DELETE CASCADE,
+    contract_id INTEGER REFERENCES contracts(id) ON DELETE CASCADE,
+    reviewer_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    previous_clause_type VARCHAR(100),
+    previous_risk_level VARCHAR(20),
+    clause_type VARCHAR(100),
+    risk_level VARCHAR(20),
+    reason TEXT NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Analysis results table
 CREATE TABLE IF NOT EXISTS analysis_results (
     id SERIAL PRIMARY KEY,
-    contract_id INTEGER REFERENCES contracts(id) ON DELETE CASCADE,
+    contract_id INTEGER UNIQUE REFERENCES contracts(id) ON DELETE CASCADE,
     summary TEXT,
     main_obligations JSONB DEFAULT '[]',
     payment_terms JSONB DEFAULT '{}',
     key_risks JSONB DEFAULT '[]',
     renewal_terms TEXT,
     termination_terms TEXT,
+    missing_clauses JSONB DEFAULT '[]',
     overall_risk_score DECIMAL(3, 2),
+    risk_breakdown JSONB DEFAULT '[]',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -68,6 +170,7 @@ CREATE TABLE IF NOT EXISTS comparison_results (
     added_clauses JSONB DEFAULT '[]',
     removed_clauses JSONB DEFAULT '[]',
     modified_clauses JSONB DEFAULT '[]',
+    unchanged_clauses JSONB DEFAULT '[]',
     change_summary TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(contract_v1_id, contract_v2_id)
@@ -88,14 +191,21 @@ CREATE TABLE IF NOT EXISTS processing_jobs (
 -- Create indexes
 CREATE INDEX idx_contracts_user_id ON contracts(user_id);
 CREATE INDEX idx_contracts_status ON contracts(status);
+CREATE INDEX idx_contracts_parent_id ON contracts(parent_contract_id);
 CREATE INDEX idx_clauses_contract_id ON clauses(contract_id);
+CREATE INDEX idx_clauses_parent_id ON clauses(parent_id);
 CREATE INDEX idx_clauses_type ON clauses(clause_type);
+CREATE INDEX idx_clauses_labels ON clauses USING GIN (labels);
 CREATE INDEX idx_clauses_risk_level ON clauses(risk_level);
-CREATE INDEX idx_analysis_contract_id ON analysis_results(contract_id);
+CREATE INDEX idx_clauses_search_vector ON clauses USING GIN (search_vector);
+CREATE INDEX idx_contracts_search_vector ON contracts USING GIN (search_vector);
+CREATE INDEX idx_clause_corrections_clause_id ON clause_corrections(clause_id);
+CREATE INDEX idx_playbook_clauses_clause_type ON playbook_clauses(clause_type);
 CREATE INDEX idx_comparison_contracts ON comparison_results(contract_v1_id, contract_v2_id);
 CREATE INDEX idx_jobs_contract_id ON processing_jobs(contract_id);
 CREATE INDEX idx_jobs_status ON processing_jobs(status);
 
 -- Create vector similarity search index
 CREATE INDEX ON clauses USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
+CREATE INDEX ON clause_chunks USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
 
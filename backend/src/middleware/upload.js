@@ -1,6 +1,8 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { validateDocument, mimeTypeForFormat } = require('../services/extraction.service');
+const logger = require('../utils/logger');
 
 // Ensure uploads directory exists
 const uploadDir = process.env.UPLOAD_DIR || 'uploads';
@@ -23,21 +25,28 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter - only allow PDF and DOCX
+// File filter - only allow document formats we can extract text from
 const fileFilter = (req, file, cb) => {
   const allowedMimes = [
     'application/pdf',
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/msword'
+    'application/msword',
+    'application/vnd.oasis.opendocument.text',
+    'application/rtf',
+    'text/rtf',
+    'text/plain',
+    'text/markdown',
+    'text/x-markdown',
+    'text/html'
   ];
 
-  const allowedExts = ['.pdf', '.docx', '.doc'];
+  const allowedExts = ['.pdf', '.docx', '.doc', '.odt', '.rtf', '.txt', '.md', '.markdown', '.html', '.htm'];
   const ext = path.extname(file.originalname).toLowerCase();
 
   if (allowedMimes.includes(file.mimetype) || allowedExts.includes(ext)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only PDF and DOCX files are allowed.'), false);
+    cb(new Error('Invalid file type. Allowed formats: PDF, DOCX, DOC, ODT, RTF, TXT, Markdown and HTML.'), false);
   }
 };
 
@@ -72,8 +81,31 @@ const handleUploadError = (err, req, res, next) => {
   next();
 };
 
+// Content check after multer has saved the file - rejects renamed, encrypted
+// and unreadable documents before a contract record is created, and replaces the
+// client-supplied mimetype with the one the contents show
+const validateUploadedFile = async (req, res, next) => {
+  if (!req.file) {
+    return next();
+  }
+
+  try {
+    const format = await validateDocument(req.file.path, req.file.originalname);
+    req.file.mimetype = mimeTypeForFormat(format, req.file.mimetype);
+    next();
+  } catch (error) {
+    logger.warn(`Rejected upload ${req.file.originalname}: ${error.message}`);
+    fs.unlink(req.file.path, () => {});
+    return res.status(400).json({
+      error: 'Invalid file',
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   upload,
-  handleUploadError
+  handleUploadError,
+  validateUploadedFile
 };
 
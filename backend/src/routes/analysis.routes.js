@@ -1,23 +1,232 @@
 const express = require('express');
+const { normalizeClauseType } = require('lexlens-shared');
 const { authenticateToken } = require('../middleware/auth');
+const { query } = require('../database/connection');
+const { queueContractAnalysis } = require('../services/queue.service');
+const { getContractAnalysis, setPerspective } = require('../services/analysis.service');
+const { findParty } = require('../services/risk.service');
+const { reviewContract } = require('../services/playbook.service');
+const logger = require('../utils/logger');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticateToken);
 
-// Placeholder routes - will be implemented in Days 5-8
-router.post('/:contractId/analyze', (req, res) => {
-  res.status(501).json({ message: 'Analyze contract endpoint - Coming soon' });
+/**
+ * Look up a contract owned by the user
+ * @returns {Object|null} Contract row or null if not found
+ */
+async function findContract(contractId, userId) {
+  const result = await query(
+    `SELECT id, status, metadata, perspective FROM contracts WHERE id = $1 AND user_id = $2`,
+    [contractId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Format an analysis_results row for API responses
+ */
+function formatAnalysis(row) {
+  return {
+    id: row.id,
+    contractId: row.contract_id,
+    summary: row.summary,
+    mainObligations: row.main_obligations,
+    paymentTerms: row.payment_terms,
+    keyRisks: row.key_risks,
+    renewalTerms: row.renewal_terms,
+    terminationTerms: row.termination_terms,
+    missingClauses: row.missing_clauses || [],
+    overallRiskScore: row.overall_risk_score !== null ? parseFloat(row.overall_risk_score) : null,
+    riskBreakdown: row.risk_breakdown || [],
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * POST /api/analysis/:contractId/analyze
+ * Queue (re-)analysis of an extracted contract
+ * Pass perspective (a party name or role, or null) to have the job re-score the clauses for that party first
+ */
+router.post('/:contractId/analyze', async (req, res) => {
+  try {
+    const { contractId } = req.params;
+    const userId = req.user.userId;
+
+    const contract = await findContract(contractId, userId);
+
+    if (!contract) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+
+    if (contract.status !== 'analyzed') {
+      return res.status(409).json({
+        error: 'Contract not ready',
+        message: 'Clause extraction has not finished for this contract'
+      });
+    }
+
+    let rescore = false;
+
+    if (req.body && req.body.perspective !== undefined) {
+      const requested = req.body.perspective;
+      const party = requested ? findParty(contract.metadata || {}, String(requested)) : null;
+
+      if (requested && !party) {
+        return res.status(400).json({
+          error: 'Invalid perspective',
+          message: `"${requested}" is not a party to this contract`,
+          parties: contract.metadata?.parties || []
+        });
+      }
+
+      if (party !== contract.perspective) {
+        await setPerspective(contract.id, party);
+        rescore = true;
+      }
+    }
+
+    const job = await queueContractAnalysis(contract.id, userId, { rescore });
+
+    res.status(202).json({
+      message: 'Contract analysis queued',
+      contractId: contract.id,
+      jobId: job.jobId
+    });
+
+  } catch (error) {
+    logger.error('Failed to queue analysis:', error);
+    res.status(500).json({
+      error: 'Failed to queue analysis',
+      message: error.message
+    });
+  }
 });
 
-router.get('/:contractId/clauses', (req, res) => {
-  res.status(501).json({ message: 'Get clauses endpoint - Coming soon' });
+/**
+ * GET /api/analysis/:contractId/clauses
+ * Get analyzed clauses grouped by clause type
+ */
+router.get('/:contractId/clauses', async (req, res) => {
+  try {
+    const { contractId } = req.params;
+    const userId = req.user.userId;
+
+    const contract = await findContract(contractId, userId);
+
+    if (!contract) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+
+    const clausesResult = await query(
+      `SELECT
+        id, position, section_number, title, text, clause_type,
+        confidence, risk_level, risk_flags, requires_review
+       FROM clauses
+       WHERE contract_id = $1
+       ORDER BY position ASC`,
+      [contractId]
+    );
+
+    const clausesByType = {};
+    for (const clause of clausesResult.rows) {
+      const type = normalizeClauseType(clause.clause_type);
+      if (!clausesByType[type]) {
+        clausesByType[type] = [];
+      }
+      clausesByType[type].push(clause);
+    }
+
+    res.json({
+      contractId: contract.id,
+      clauseCount: clausesResult.rows.length,
+      clausesByType
+    });
+
+  } catch (error) {
+    logger.error('Failed to get analyzed clauses:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve clauses',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analysis/:contractId/summary
+ * Get the contract-level analysis
+ */
+router.get('/:contractId/summary', async (req, res) => {
+  try {
+    const { contractId } = req.params;
+    const userId = req.user.userId;
+
+    const contract = await findContract(contractId, userId);
+
+    if (!contract) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+
+    const analysis = await getContractAnalysis(contract.id);
+
+    if (!analysis) {
+      // Report the analysis job so clients can tell "pending" from "never run"
+      const jobResult = await query(
+        `SELECT id, status, created_at, completed_at, error
+         FROM processing_jobs
+         WHERE contract_id = $1 AND job_type = 'analysis'
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [contract.id]
+      );
+
+      return res.status(404).json({
+        error: 'Analysis not found',
+        message: 'This contract has not been analyzed yet',
+        job: jobResult.rows[0] || null
+      });
+    }
+
+    res.json({ analysis: formatAnalysis(analysis) });
+
+  } catch (error) {
+    logger.error('Failed to get analysis summary:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve analysis',
+      message: error.message
+    });
+  }
 });
 
-router.get('/:contractId/summary', (req, res) => {
-  res.status(501).json({ message: 'Get summary endpoint - Coming soon' });
+/**
+ * GET /api/analysis/:contractId/playbook
+ * Compare the contract's clauses with the playbook: how far each deviates from the
+ * standard language for its type, a word diff, and the approved wording to use instead
+ */
+router.get('/:contractId/playbook', async (req, res) => {
+  try {
+    const { contractId } = req.params;
+    const userId = req.user.userId;
+
+    const contract = await findContract(contractId, userId);
+
+    if (!contract) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+
+    const review = await reviewContract(contract.id);
+
+    res.json({ review });
+
+  } catch (error) {
+    logger.error('Failed to review contract against playbook:', error);
+    res.status(500).json({
+      error: 'Failed to review contract against playbook',
+      message: error.message
+    });
+  }
 });
 
 module.exports = router;
-
@@ -4,19 +4,117 @@
  */
 
 const express = require('express');
+const Joi = require('joi');
 const router = express.Router();
 const { query } = require('../database/connection');
-const { authenticate } = require('../middleware/auth');
-const logger = require('../config/logger');
+const { authenticateToken: authenticate, authorizeRoles } = require('../middleware/auth');
+const { LABEL_MIN_SCORE } = require('../services/clause.service');
+const { isKnownClauseType } = require('../services/taxonomy.service');
+const { findSimilarClauses } = require('../services/search.service');
+const { getContractLineage } = require('../services/version.service');
+const logger = require('../utils/logger');
+
+const correctionSchema = Joi.object({
+  clauseType: Joi.string().pattern(/^[a-z][a-z0-9_]*$/),
+  riskLevel: Joi.string().valid('low', 'medium', 'high'),
+  reason: Joi.string().trim().min(3).max(2000).required()
+}).or('clauseType', 'riskLevel');
+
+const typeFilterSchema = Joi.object({
+  minScore: Joi.number().min(0).max(1).default(LABEL_MIN_SCORE)
+});
+
+const similarSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(20).default(5),
+  sameType: Joi.boolean().default(false)
+});
+
+const exportSchema = Joi.object({
+  format: Joi.string().valid('jsonl', 'json').default('jsonl'),
+  since: Joi.date().iso()
+});
+
+/**
+ * Nest clause rows under their parents
+ * @param {Array} clauses - Clause rows in document order
+ * @returns {Array} Top-level clauses, each with a children array
+ */
+function nestClauses(clauses) {
+  const byId = new Map(clauses.map(clause => [clause.id, { ...clause, children: [] }]));
+  const roots = [];
+
+  for (const clause of byId.values()) {
+    const parent = clause.parent_id ? byId.get(clause.parent_id) : null;
+    if (parent) {
+      parent.children.push(clause);
+    } else {
+      roots.push(clause);
+    }
+  }
+
+  return roots;
+}
+
+/**
+ * GET /api/clauses/corrections/export
+ * Export reviewer-corrected clauses as a labeled dataset (admin only)
+ * Each record carries the final labels plus the original machine labels, so the
+ * JSONL output can be passed straight to "npm run train:classifier -- --data".
+ * label is the reviewed clause type, or null when only the risk level was corrected;
+ * the trainer skips those records, so it never learns from its own unreviewed output.
+ */
+router.get('/corrections/export', authenticate, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { error, value } = exportSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    // One record per corrected clause, with its most recent correction
+    const result = await query(
+      `SELECT DISTINCT ON (c.id)
+        c.id AS clause_id, c.contract_id, c.text,
+        c.clause_type, c.risk_level, c.original_clause_type, c.original_risk_level,
+        cc.reason, u.email AS reviewer, cc.created_at AS corrected_at
+       FROM clause_corrections cc
+       JOIN clauses c ON cc.clause_id = c.id
+       LEFT JOIN users u ON cc.reviewer_id = u.id
+       WHERE ($1::timestamp IS NULL OR cc.created_at >= $1)
+       ORDER BY c.id, cc.created_at DESC`,
+      [value.since || null]
+    );
+
+    const records = result.rows.map(row => ({
+      label: row.original_clause_type !== null ? row.clause_type : null,
+      ...row
+    }));
+
+    const filename = `clause-corrections-${new Date().toISOString().slice(0, 10)}.${value.format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (value.format === 'json') {
+      return res.json({ count: records.length, records });
+    }
+
+    res.type('application/x-ndjson');
+    res.send(records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : ''));
+
+  } catch (error) {
+    logger.error('Error exporting clause corrections:', error);
+    res.status(500).json({ message: 'Failed to export clause corrections' });
+  }
+});
 
 /**
  * GET /api/clauses/:contractId
  * Get all clauses for a contract
+ * Pass ?tree=true to get them nested by section instead of as a flat list
  */
 router.get('/:contractId', authenticate, async (req, res) => {
   try {
     const { contractId } = req.params;
     const userId = req.user.userId;
+    const asTree = req.query.tree === 'true';
 
     // Verify user owns this contract
     const contractResult = await query(
@@ -31,9 +129,10 @@ router.get('/:contractId', authenticate, async (req, res) => {
     // Get all clauses for this contract
     const clausesResult = await query(
       `SELECT 
-        id, contract_id, position, section_number, title, text,
-        clause_type, confidence, entities, word_count,
-        risk_level, risk_flags, requires_review, created_at
+        id, contract_id, parent_id, depth, clause_kind, position, section_number, title, text,
+        clause_type, confidence, labels, entities, word_count,
+        risk_level, risk_flags, risk_explanation, requires_review, risk_ruleset_version,
+        original_clause_type, original_risk_level, reviewed_at, created_at
        FROM clauses
        WHERE contract_id = $1
        ORDER BY position ASC`,
@@ -43,6 +142,7 @@ router.get('/:contractId', authenticate, async (req, res) => {
     // Parse JSON fields
     const clauses = clausesResult.rows.map(clause => ({
       ...clause,
+      labels: typeof clause.labels === 'string' ? JSON.parse(clause.labels) : clause.labels,
       entities: typeof clause.entities === 'string' ? JSON.parse(clause.entities) : clause.entities,
       risk_flags: typeof clause.risk_flags === 'string' ? JSON.parse(clause.risk_flags) : clause.risk_flags
     }));
@@ -50,7 +150,8 @@ router.get('/:contractId', authenticate, async (req, res) => {
     res.json({
       contractId,
       clauseCount: clauses.length,
-      clauses
+      tree: asTree,
+      clauses: asTree ? nestClauses(clauses) : clauses
     });
 
   } catch (error) {
@@ -137,7 +238,7 @@ router.get('/:contractId/risky', authenticate, async (req, res) => {
     const clausesResult = await query(
       `SELECT 
         id, position, section_number, title, text,
-        clause_type, risk_level, risk_flags, requires_review
+        clause_type, risk_level, risk_flags, risk_explanation, requires_review
        FROM clauses
        WHERE contract_id = $1 
        AND risk_level IN ('high', 'medium')
@@ -171,12 +272,19 @@ router.get('/:contractId/risky', authenticate, async (req, res) => {
 /**
  * GET /api/clauses/:contractId/type/:clauseType
  * Get clauses by type
+ * Matches the primary type or any secondary label scoring at least ?minScore
+ * (default LABEL_MIN_SCORE), so mixed clauses show up under each of their types.
  */
 router.get('/:contractId/type/:clauseType', authenticate, async (req, res) => {
   try {
     const { contractId, clauseType } = req.params;
     const userId = req.user.userId;
 
+    const { error, value } = typeFilterSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
     // Verify user owns this contract
     const contractResult = await query(
       `SELECT id FROM contracts WHERE id = $1 AND user_id = $2`,
@@ -187,26 +295,35 @@ router.get('/:contractId/type/:clauseType', authenticate, async (req, res) => {
       return res.status(404).json({ message: 'Contract not found' });
     }
 
-    // Get clauses of specified type
+    // Get clauses carrying the specified label
     const clausesResult = await query(
       `SELECT 
-        id, position, section_number, title, text,
-        clause_type, confidence, risk_level, risk_flags
-       FROM clauses
-       WHERE contract_id = $1 AND clause_type = $2
-       ORDER BY position ASC`,
-      [contractId, clauseType]
+        c.id, c.position, c.section_number, c.title, c.text,
+        c.clause_type, c.confidence, c.labels, c.risk_level, c.risk_flags,
+        CASE WHEN c.clause_type = $2 THEN GREATEST(c.confidence, COALESCE(l.score, 0)) ELSE l.score END AS label_score
+       FROM clauses c
+       LEFT JOIN LATERAL (
+         SELECT MAX((entry->>'score')::float) AS score
+         FROM jsonb_array_elements(COALESCE(c.labels, '[]'::jsonb)) entry
+         WHERE entry->>'label' = $2
+       ) l ON true
+       WHERE c.contract_id = $1
+       AND (c.clause_type = $2 OR l.score >= $3)
+       ORDER BY c.position ASC`,
+      [contractId, clauseType, value.minScore]
     );
 
     // Parse JSON fields
     const clauses = clausesResult.rows.map(clause => ({
       ...clause,
+      labels: typeof clause.labels === 'string' ? JSON.parse(clause.labels) : clause.labels,
       risk_flags: typeof clause.risk_flags === 'string' ? JSON.parse(clause.risk_flags) : clause.risk_flags
     }));
 
     res.json({
       contractId,
       clauseType,
+      minScore: value.minScore,
       count: clauses.length,
       clauses
     });
@@ -253,7 +370,18 @@ router.get('/clause/:clauseId', authenticate, async (req, res) => {
     // Remove user_id from response
     delete clause.user_id;
 
-    res.json({ clause });
+    // Correction history, newest first
+    const correctionsResult = await query(
+      `SELECT cc.id, cc.previous_clause_type, cc.previous_risk_level, cc.clause_type, cc.risk_level,
+        cc.reason, u.email AS reviewer, cc.created_at
+       FROM clause_corrections cc
+       LEFT JOIN users u ON cc.reviewer_id = u.id
+       WHERE cc.clause_id = $1
+       ORDER BY cc.created_at DESC`,
+      [clauseId]
+    );
+
+    res.json({ clause, corrections: correctionsResult.rows });
 
   } catch (error) {
     logger.error('Error fetching clause:', error);
@@ -261,5 +389,146 @@ router.get('/clause/:clauseId', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/clauses/clause/:clauseId/similar
+ * Nearest clauses by stored embedding from the user's other contracts
+ * Versions of the clause's own contract are left out. Pass sameType=true to only
+ * return clauses of the same type, and limit (1-20, default 5) for the number of results.
+ */
+router.get('/clause/:clauseId/similar', authenticate, async (req, res) => {
+  try {
+    const { clauseId } = req.params;
+    const userId = req.user.userId;
+
+    const { error, value } = similarSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const clauseResult = await query(
+      `SELECT c.id, c.contract_id, c.clause_type, c.embedding, ct.user_id
+       FROM clauses c
+       JOIN contracts ct ON c.contract_id = ct.id
+       WHERE c.id = $1`,
+      [clauseId]
+    );
+
+    if (clauseResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Clause not found' });
+    }
+
+    const clause = clauseResult.rows[0];
+
+    // Verify ownership
+    if (clause.user_id !== userId) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!clause.embedding) {
+      return res.json({
+        clauseId: clause.id,
+        similar: [],
+        message: 'This clause has no embedding to compare'
+      });
+    }
+
+    const lineage = await getContractLineage(clause.contract_id, userId);
+    const similar = await findSimilarClauses(clause.embedding, userId, {
+      excludeContractIds: [...new Set([clause.contract_id, ...lineage.map(version => version.id)])],
+      clauseType: value.sameType ? clause.clause_type : null,
+      limit: value.limit
+    });
+
+    res.json({ clauseId: clause.id, similar });
+
+  } catch (error) {
+    logger.error('Error finding similar clauses:', error);
+    res.status(500).json({ message: 'Failed to find similar clauses' });
+  }
+});
+
+/**
+ * PATCH /api/clauses/clause/:clauseId
+ * Correct a clause's type and/or risk level
+ * The first correction of each label preserves the machine value in original_clause_type
+ * or original_risk_level, so a set original_risk_level marks a reviewer's risk override.
+ * Every correction is logged with its reviewer and reason.
+ */
+router.patch('/clause/:clauseId', authenticate, async (req, res) => {
+  try {
+    const { clauseId } = req.params;
+    const userId = req.user.userId;
+
+    const { error, value } = correctionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    if (value.clauseType && !(await isKnownClauseType(value.clauseType))) {
+      return res.status(400).json({ message: `Unknown clause type "${value.clauseType}"` });
+    }
+
+    // Get clause with contract ownership check
+    const clauseResult = await query(
+      `SELECT c.id, ct.user_id
+       FROM clauses c
+       JOIN contracts ct ON c.contract_id = ct.id
+       WHERE c.id = $1`,
+      [clauseId]
+    );
+
+    if (clauseResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Clause not found' });
+    }
+
+    // Verify ownership
+    if (clauseResult.rows[0].user_id !== userId) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Update the clause and log the correction in one statement
+    const updateResult = await query(
+      `WITH previous AS (
+         SELECT id, clause_type, risk_level FROM clauses WHERE id = $1 FOR UPDATE
+       ), updated AS (
+         UPDATE clauses c SET
+           original_clause_type = CASE WHEN $2::varchar IS NULL THEN c.original_clause_type
+             ELSE COALESCE(c.original_clause_type, c.clause_type) END,
+           original_risk_level = CASE WHEN $3::varchar IS NULL THEN c.original_risk_level
+             ELSE COALESCE(c.original_risk_level, c.risk_level) END,
+           clause_type = COALESCE($2, c.clause_type),
+           risk_level = COALESCE($3, c.risk_level),
+           requires_review = false,
+           reviewed_by = $4,
+           reviewed_at = NOW()
+         FROM previous p
+         WHERE c.id = p.id
+         RETURNING c.id, c.contract_id, c.position, c.section_number, c.title,
+           c.clause_type, c.confidence, c.risk_level, c.risk_flags, c.risk_explanation,
+           c.requires_review, c.original_clause_type, c.original_risk_level, c.reviewed_at
+       ), logged AS (
+         INSERT INTO clause_corrections
+           (clause_id, contract_id, reviewer_id, previous_clause_type, previous_risk_level,
+            clause_type, risk_level, reason)
+         SELECT u.id, u.contract_id, $4, p.clause_type, p.risk_level, u.clause_type, u.risk_level, $5
+         FROM updated u JOIN previous p ON p.id = u.id
+       )
+       SELECT * FROM updated`,
+      [clauseId, value.clauseType || null, value.riskLevel || null, userId, value.reason]
+    );
+
+    const clause = updateResult.rows[0];
+    clause.risk_flags = typeof clause.risk_flags === 'string' ? JSON.parse(clause.risk_flags) : clause.risk_flags;
+
+    logger.info(`Clause ${clauseId} corrected by user ${userId}`);
+
+    res.json({ message: 'Clause updated', clause });
+
+  } catch (error) {
+    logger.error('Error correcting clause:', error);
+    res.status(500).json({ message: 'Failed to update clause' });
+  }
+});
+
 module.exports = router;
 
@@ -1,15 +1,66 @@
 const express = require('express');
+const Joi = require('joi');
 const { authenticateToken } = require('../middleware/auth');
+const { query } = require('../database/connection');
+const { compareContracts } = require('../services/comparison.service');
+const logger = require('../utils/logger');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticateToken);
 
-// Placeholder routes - will be implemented in Days 9-10
-router.get('/compare', (req, res) => {
-  res.status(501).json({ message: 'Compare contracts endpoint - Coming soon' });
+// Validation schemas
+const compareSchema = Joi.object({
+  v1: Joi.number().integer().positive().required(),
+  v2: Joi.number().integer().positive().invalid(Joi.ref('v1')).required()
+    .messages({ 'any.invalid': '"v2" must be a different contract than "v1"' }),
+  refresh: Joi.boolean().default(false)
 });
 
-module.exports = router;
+/**
+ * GET /api/comparison/compare?v1=:id&v2=:id
+ * Compare two contract versions clause by clause
+ */
+router.get('/compare', async (req, res) => {
+  try {
+    const { error, value } = compareSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid comparison request', message: error.details[0].message });
+    }
+
+    const { v1, v2, refresh } = value;
+    const userId = req.user.userId;
+
+    // Verify the user owns both contracts
+    const contractResult = await query(
+      `SELECT id, status FROM contracts WHERE id = ANY($1) AND user_id = $2`,
+      [[v1, v2], userId]
+    );
+
+    if (contractResult.rows.length !== 2) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+
+    const notAnalyzed = contractResult.rows.find(contract => contract.status !== 'analyzed');
+    if (notAnalyzed) {
+      return res.status(409).json({
+        error: 'Contract not ready',
+        message: `Contract ${notAnalyzed.id} has not finished analysis`
+      });
+    }
 
+    const comparison = await compareContracts(v1, v2, { refresh });
+
+    res.json({ comparison });
+
+  } catch (error) {
+    logger.error('Comparison failed:', error);
+    res.status(500).json({
+      error: 'Comparison failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,14 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
+const Joi = require('joi');
 const { authenticateToken } = require('../middleware/auth');
-const { upload, handleUploadError } = require('../middleware/upload');
-const { query } = require('../database/connection');
-const { queueContractExtraction, getJobStatus } = require('../services/queue.service');
+const { upload, handleUploadError, validateUploadedFile } = require('../middleware/upload');
+const { query, getPool } = require('../database/connection');
+const { queueContractExtraction, queueContractAnalysis, getJobStatus } = require('../services/queue.service');
+const { getContractLineage, getNextVersion } = require('../services/version.service');
+const { setPerspective } = require('../services/analysis.service');
+const { findParty } = require('../services/risk.service');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -12,36 +16,92 @@ const router = express.Router();
 // All routes require authentication
 router.use(authenticateToken);
 
+// Validation schemas
+const uploadSchema = Joi.object({
+  parentContractId: Joi.number().integer().positive().empty(''),
+  perspective: Joi.string().allow('')
+});
+
+const perspectiveSchema = Joi.object({
+  party: Joi.string().trim().max(255).allow(null).required()
+});
+
 /**
  * POST /api/contracts/upload
  * Upload a new contract (PDF or DOCX)
+ * Pass parentContractId to upload the file as a new revision of an existing contract
+ * Pass perspective (a party name or role such as "Customer") to score risk for that party;
+ * revisions default to the perspective of the version they replace
  */
-router.post('/upload', upload.single('contract'), handleUploadError, async (req, res) => {
+router.post('/upload', upload.single('contract'), handleUploadError, validateUploadedFile, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
     const { originalname, filename, mimetype, size, path: filePath } = req.file;
+
+    const { error, value } = uploadSchema.validate(req.body);
+    if (error) {
+      await fs.unlink(filePath).catch(() => {});
+      return res.status(400).json({ error: 'Invalid upload', message: error.details[0].message });
+    }
+
     const userId = req.user.userId;
+    const perspective = (value.perspective || '').trim().slice(0, 255) || null;
 
     logger.info(`User ${userId} uploading contract: ${originalname}`);
 
-    // Insert contract record
-    const result = await query(
-      `INSERT INTO contracts (
-        user_id,
-        filename,
-        original_filename,
-        file_path,
-        file_type,
-        file_size,
-        status,
-        uploaded_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, 'uploaded', NOW())
-      RETURNING id, filename, original_filename, file_size, status, uploaded_at`,
-      [userId, filename, originalname, filePath, mimetype, size]
-    );
+    // Resolve the version and insert in one transaction, so the lock taken on the
+    // lineage is held until the new revision is visible
+    const client = await getPool().connect();
+    let result;
+
+    try {
+      await client.query('BEGIN');
+
+      let parentContractId = null;
+      let version = 1;
+
+      if (value.parentContractId) {
+        const nextVersion = await getNextVersion(client, value.parentContractId, userId);
+
+        if (!nextVersion) {
+          await client.query('ROLLBACK');
+          await fs.unlink(filePath).catch(() => {});
+          return res.status(404).json({ error: 'Parent contract not found' });
+        }
+
+        ({ parentContractId, version } = nextVersion);
+      }
+
+      // Insert contract record
+      result = await client.query(
+        `INSERT INTO contracts (
+          user_id,
+          filename,
+          original_filename,
+          file_path,
+          file_type,
+          file_size,
+          parent_contract_id,
+          version,
+          perspective,
+          status,
+          uploaded_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+          COALESCE($9, (SELECT perspective FROM contracts WHERE id = $7)), 'uploaded', NOW())
+        RETURNING id, filename, original_filename, file_size, parent_contract_id, version, perspective, status, uploaded_at`,
+        [userId, filename, originalname, filePath, mimetype, size, parentContractId, version, perspective]
+      );
+
+      await client.query('COMMIT');
+    } catch (transactionError) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw transactionError;
+    } finally {
+      client.release();
+    }
 
     const contract = result.rows[0];
 
@@ -65,6 +125,9 @@ router.post('/upload', upload.single('contract'), handleUploadError, async (req,
         id: contract.id,
         filename: contract.original_filename,
         size: contract.file_size,
+        parentContractId: contract.parent_contract_id,
+        version: contract.version,
+        perspective: contract.perspective,
         status: 'processing',
         uploadedAt: contract.uploaded_at
       },
@@ -83,35 +146,62 @@ router.post('/upload', upload.single('contract'), handleUploadError, async (req,
 /**
  * GET /api/contracts
  * List all contracts for the authenticated user
+ * Pass sort=risk to list the riskiest contracts first
  */
 router.get('/', async (req, res) => {
   try {
     const userId = req.user.userId;
-    const { status, limit = 50, offset = 0 } = req.query;
+    const { status, sort, limit = 50, offset = 0 } = req.query;
 
+    // root_contract_id groups every revision under its original upload
     let queryText = `
+      WITH RECURSIVE lineage AS (
+        SELECT id, id AS root_id
+        FROM contracts
+        WHERE user_id = $1 AND parent_contract_id IS NULL
+        UNION ALL
+        SELECT c.id, l.root_id
+        FROM contracts c
+        JOIN lineage l ON c.parent_contract_id = l.id
+      )
       SELECT
-        id,
-        original_filename,
-        file_size,
-        file_type,
-        status,
-        uploaded_at,
-        processed_at,
-        metadata
-      FROM contracts
-      WHERE user_id = $1
+        c.id,
+        c.original_filename,
+        c.file_size,
+        c.file_type,
+        c.status,
+        c.parent_contract_id,
+        c.version,
+        c.perspective,
+        COALESCE(l.root_id, c.id) AS root_contract_id,
+        c.uploaded_at,
+        c.processed_at,
+        c.metadata,
+        a.overall_risk_score
+      FROM contracts c
+      LEFT JOIN lineage l ON l.id = c.id
+      LEFT JOIN LATERAL (
+        SELECT overall_risk_score
+        FROM analysis_results
+        WHERE contract_id = c.id
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) a ON true
+      WHERE c.user_id = $1
     `;
 
     const params = [userId];
 
     // Filter by status if provided
     if (status) {
-      queryText += ` AND status = $${params.length + 1}`;
+      queryText += ` AND c.status = $${params.length + 1}`;
       params.push(status);
     }
 
-    queryText += ` ORDER BY uploaded_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+    queryText += sort === 'risk'
+      ? ` ORDER BY a.overall_risk_score DESC NULLS LAST, c.uploaded_at DESC`
+      : ` ORDER BY c.uploaded_at DESC`;
+    queryText += ` LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
     params.push(parseInt(limit), parseInt(offset));
 
     const result = await query(queryText, params);
@@ -123,7 +213,10 @@ router.get('/', async (req, res) => {
     );
 
     res.json({
-      contracts: result.rows,
+      contracts: result.rows.map(contract => ({
+        ...contract,
+        overall_risk_score: contract.overall_risk_score !== null ? parseFloat(contract.overall_risk_score) : null
+      })),
       total: parseInt(countResult.rows[0].count),
       limit: parseInt(limit),
       offset: parseInt(offset)
@@ -154,9 +247,13 @@ router.get('/:id', async (req, res) => {
         file_size,
         file_type,
         status,
+        parent_contract_id,
+        version,
+        perspective,
         uploaded_at,
         processed_at,
         extracted_text,
+        document_structure,
         metadata
       FROM contracts
       WHERE id = $1 AND user_id = $2`,
@@ -239,6 +336,100 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/contracts/:id/perspective
+ * Choose the party the contract is reviewed for (null for a neutral view)
+ * Queues an analysis that re-scores the stored clauses and the overall score for it.
+ */
+router.put('/:id/perspective', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const { error, value } = perspectiveSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid perspective', message: error.details[0].message });
+    }
+
+    const contractResult = await query(
+      `SELECT id, status, metadata FROM contracts WHERE id = $1 AND user_id = $2`,
+      [id, userId]
+    );
+
+    if (contractResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+
+    const contract = contractResult.rows[0];
+
+    if (contract.status !== 'analyzed') {
+      return res.status(409).json({
+        error: 'Contract not ready',
+        message: 'Clause extraction has not finished for this contract'
+      });
+    }
+
+    // Only the parties found in the contract can be represented
+    const metadata = contract.metadata || {};
+    const party = value.party ? findParty(metadata, value.party) : null;
+
+    if (value.party && !party) {
+      return res.status(400).json({
+        error: 'Invalid perspective',
+        message: `"${value.party}" is not a party to this contract`,
+        parties: metadata.parties || []
+      });
+    }
+
+    await setPerspective(contract.id, party);
+    const job = await queueContractAnalysis(contract.id, userId, { rescore: true });
+
+    res.status(202).json({
+      message: party ? `Re-scoring contract for ${party}` : 'Re-scoring contract without a perspective',
+      perspective: party,
+      jobId: job.jobId
+    });
+
+  } catch (error) {
+    logger.error('Failed to set perspective:', error);
+    res.status(500).json({
+      error: 'Failed to set perspective',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/contracts/:id/versions
+ * Get every version of the logical contract this contract belongs to
+ */
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const versions = await getContractLineage(id, userId);
+
+    if (versions.length === 0) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+
+    res.json({
+      contractId: parseInt(id),
+      rootContractId: versions[0].id,
+      latestVersion: versions[versions.length - 1].version,
+      versions
+    });
+
+  } catch (error) {
+    logger.error('Failed to get contract versions:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve versions',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/contracts/:id/status
  * Get processing status of a contract
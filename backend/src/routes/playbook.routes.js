@@ -0,0 +1,164 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const playbook = require('../services/playbook.service');
+const taxonomy = require('../services/taxonomy.service');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Validation schemas
+const entryFields = {
+  clauseType: Joi.string().trim().max(100),
+  position: Joi.string().valid(...playbook.POSITIONS),
+  title: Joi.string().trim().max(255).allow(''),
+  text: Joi.string().trim().min(10).max(20000),
+  guidance: Joi.string().trim().max(5000).allow('')
+};
+
+const createSchema = Joi.object({
+  ...entryFields,
+  clauseType: entryFields.clauseType.required(),
+  position: entryFields.position.required(),
+  text: entryFields.text.required()
+});
+
+const updateSchema = Joi.object(entryFields).min(1);
+
+const idSchema = Joi.number().integer().positive().label('id');
+
+/**
+ * Reject clause types that are neither built in nor defined as custom types
+ */
+async function clauseTypeError(clauseType) {
+  if (!clauseType || await taxonomy.isKnownClauseType(clauseType)) {
+    return null;
+  }
+  return `Unknown clause type "${clauseType}"`;
+}
+
+/**
+ * GET /api/playbook
+ * List playbook clauses, optionally for one clause type (?clauseType=)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const entries = await playbook.listEntries({ clauseType: req.query.clauseType });
+    res.json({ entries });
+  } catch (error) {
+    logger.error('Failed to list playbook:', error);
+    res.status(500).json({ error: 'Failed to list playbook', message: error.message });
+  }
+});
+
+/**
+ * GET /api/playbook/:id
+ * Get a playbook clause
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { error: idError, value: id } = idSchema.validate(req.params.id);
+    if (idError) {
+      return res.status(400).json({ error: 'Invalid id', message: idError.details[0].message });
+    }
+
+    const entry = await playbook.getEntry(id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Playbook clause not found' });
+    }
+
+    res.json({ entry });
+  } catch (error) {
+    logger.error('Failed to get playbook clause:', error);
+    res.status(500).json({ error: 'Failed to get playbook clause', message: error.message });
+  }
+});
+
+/**
+ * POST /api/playbook
+ * Add standard, fallback or rejected language for a clause type (admin and lawyer)
+ */
+router.post('/', authorizeRoles('admin', 'lawyer'), async (req, res) => {
+  try {
+    const { error, value } = createSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid playbook clause', message: error.details[0].message });
+    }
+
+    const typeError = await clauseTypeError(value.clauseType);
+    if (typeError) {
+      return res.status(400).json({ error: 'Invalid playbook clause', message: typeError });
+    }
+
+    const entry = await playbook.createEntry(value, req.user.userId);
+
+    res.status(201).json({ entry });
+  } catch (error) {
+    logger.error('Failed to create playbook clause:', error);
+    res.status(500).json({ error: 'Failed to create playbook clause', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/playbook/:id
+ * Update a playbook clause (admin and lawyer)
+ */
+router.put('/:id', authorizeRoles('admin', 'lawyer'), async (req, res) => {
+  try {
+    const { error: idError, value: id } = idSchema.validate(req.params.id);
+    if (idError) {
+      return res.status(400).json({ error: 'Invalid id', message: idError.details[0].message });
+    }
+
+    const { error, value } = updateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid playbook clause', message: error.details[0].message });
+    }
+
+    const typeError = await clauseTypeError(value.clauseType);
+    if (typeError) {
+      return res.status(400).json({ error: 'Invalid playbook clause', message: typeError });
+    }
+
+    const entry = await playbook.updateEntry(id, value);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Playbook clause not found' });
+    }
+
+    res.json({ entry });
+  } catch (error) {
+    logger.error('Failed to update playbook clause:', error);
+    res.status(500).json({ error: 'Failed to update playbook clause', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/playbook/:id
+ * Remove a playbook clause (admin and lawyer)
+ */
+router.delete('/:id', authorizeRoles('admin', 'lawyer'), async (req, res) => {
+  try {
+    const { error: idError, value: id } = idSchema.validate(req.params.id);
+    if (idError) {
+      return res.status(400).json({ error: 'Invalid id', message: idError.details[0].message });
+    }
+
+    const deleted = await playbook.deleteEntry(id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Playbook clause not found' });
+    }
+
+    res.json({ message: 'Playbook clause deleted' });
+  } catch (error) {
+    logger.error('Failed to delete playbook clause:', error);
+    res.status(500).json({ error: 'Failed to delete playbook clause', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const risk = require('../services/risk.service');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Validation schemas
+const publishSchema = Joi.object({
+  rules: Joi.array().required(),
+  notes: Joi.string().trim().max(1000).allow('')
+});
+
+const ruleChangeSchema = Joi.object({
+  rule: Joi.object().required(),
+  notes: Joi.string().trim().max(1000).allow('')
+});
+
+const versionSchema = Joi.number().integer().positive().label('version');
+
+/**
+ * Validate a rule list and publish it as a new version
+ */
+async function publish(res, rules, notes, userId, status = 200) {
+  try {
+    risk.validateRules(rules);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid rules', message: error.message });
+  }
+
+  try {
+    const ruleset = await risk.publishRuleset(rules, { notes: notes || null, userId });
+    return res.status(status).json({ ruleset });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'Ruleset changed',
+        message: 'Another version was published at the same time. Please retry.'
+      });
+    }
+    throw error;
+  }
+}
+
+/**
+ * GET /api/risk-rules
+ * Get the active ruleset
+ */
+router.get('/', async (req, res) => {
+  try {
+    const ruleset = await risk.getRuleset();
+    res.json({ ruleset });
+  } catch (error) {
+    logger.error('Failed to load risk rules:', error);
+    res.status(500).json({ error: 'Failed to load risk rules', message: error.message });
+  }
+});
+
+/**
+ * GET /api/risk-rules/versions
+ * List every published ruleset version
+ */
+router.get('/versions', async (req, res) => {
+  try {
+    const versions = await risk.listRulesetVersions();
+    res.json({ versions });
+  } catch (error) {
+    logger.error('Failed to list risk rule versions:', error);
+    res.status(500).json({ error: 'Failed to list risk rule versions', message: error.message });
+  }
+});
+
+/**
+ * GET /api/risk-rules/versions/:version
+ * Get the rules of one version
+ */
+router.get('/versions/:version', async (req, res) => {
+  try {
+    const { error, value: version } = versionSchema.validate(req.params.version);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid version', message: error.message });
+    }
+
+    const ruleset = await risk.getRuleset(version);
+    if (!ruleset) {
+      return res.status(404).json({ error: 'Ruleset version not found' });
+    }
+
+    res.json({ ruleset });
+  } catch (error) {
+    logger.error('Failed to load risk rules:', error);
+    res.status(500).json({ error: 'Failed to load risk rules', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/risk-rules
+ * Replace the whole rule list, publishing a new version (admin only)
+ */
+router.put('/', authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { error, value } = publishSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid rules', message: error.details[0].message });
+    }
+
+    return await publish(res, value.rules, value.notes, req.user.userId);
+  } catch (error) {
+    logger.error('Failed to publish risk rules:', error);
+    res.status(500).json({ error: 'Failed to publish risk rules', message: error.message });
+  }
+});
+
+/**
+ * POST /api/risk-rules/rules
+ * Add a rule to the active ruleset, publishing a new version (admin only)
+ */
+router.post('/rules', authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { error, value } = ruleChangeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid rule', message: error.details[0].message });
+    }
+
+    const current = await risk.getRuleset();
+    const rules = current ? current.rules : [];
+
+    if (rules.some(rule => rule.id === value.rule.id)) {
+      return res.status(409).json({ error: 'Rule exists', message: `Rule "${value.rule.id}" already exists` });
+    }
+
+    return await publish(res, [...rules, value.rule], value.notes || `Added ${value.rule.id}`, req.user.userId, 201);
+  } catch (error) {
+    logger.error('Failed to add risk rule:', error);
+    res.status(500).json({ error: 'Failed to add risk rule', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/risk-rules/rules/:ruleId
+ * Replace one rule, publishing a new version (admin only)
+ */
+router.put('/rules/:ruleId', authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+
+    const { error, value } = ruleChangeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid rule', message: error.details[0].message });
+    }
+
+    const current = await risk.getRuleset();
+    const rules = current ? current.rules : [];
+
+    if (!rules.some(rule => rule.id === ruleId)) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    const updated = rules.map(rule => (rule.id === ruleId ? { ...value.rule, id: ruleId } : rule));
+    return await publish(res, updated, value.notes || `Updated ${ruleId}`, req.user.userId);
+  } catch (error) {
+    logger.error('Failed to update risk rule:', error);
+    res.status(500).json({ error: 'Failed to update risk rule', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/risk-rules/rules/:ruleId
+ * Remove one rule, publishing a new version (admin only)
+ */
+router.delete('/rules/:ruleId', authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+
+    const current = await risk.getRuleset();
+    const rules = current ? current.rules : [];
+
+    if (!rules.some(rule => rule.id === ruleId)) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    return await publish(res, rules.filter(rule => rule.id !== ruleId), `Removed ${ruleId}`, req.user.userId);
+  } catch (error) {
+    logger.error('Failed to delete risk rule:', error);
+    res.status(500).json({ error: 'Failed to delete risk rule', message: error.message });
+  }
+});
+
+/**
+ * POST /api/risk-rules/versions/:version/activate
+ * Roll back (or forward) to an existing version (admin only)
+ */
+router.post('/versions/:version/activate', authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { error, value: version } = versionSchema.validate(req.params.version);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid version', message: error.message });
+    }
+
+    const activated = await risk.activateRuleset(version);
+    if (!activated) {
+      return res.status(404).json({ error: 'Ruleset version not found' });
+    }
+
+    logger.info(`Risk ruleset version ${version} activated by user ${req.user.userId}`);
+    res.json({ message: `Ruleset version ${version} is now active` });
+  } catch (error) {
+    logger.error('Failed to activate risk rules:', error);
+    res.status(500).json({ error: 'Failed to activate risk rules', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { SEARCH_MODES, searchClauses } = require('../services/search.service');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Validation schemas
+const clauseSearchSchema = Joi.object({
+  q: Joi.string().trim().min(2).max(1000).required(),
+  mode: Joi.string().valid(...SEARCH_MODES).default('hybrid'),
+  clauseType: Joi.string().pattern(/^[a-z][a-z0-9_]*$/),
+  riskLevel: Joi.string().valid('low', 'medium', 'high'),
+  documentType: Joi.string().trim().max(100),
+  from: Joi.date().iso().raw(),
+  to: Joi.date().iso().raw().min(Joi.ref('from'))
+    .messages({ 'date.min': '"to" must not be before "from"' }),
+  minSimilarity: Joi.number().min(0).max(1).default(0),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+/**
+ * GET /api/search/clauses?q=
+ * Search the clauses of all the user's contracts by keywords and meaning
+ * q supports "exact phrases", OR, AND, NOT and -term. mode is hybrid (default),
+ * semantic or keyword; hybrid falls back to keyword when no embedding model is available.
+ * Optional filters: clauseType, riskLevel, documentType, from/to (upload date), minSimilarity
+ */
+router.get('/clauses', async (req, res) => {
+  try {
+    const { error, value } = clauseSearchSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid search', message: error.details[0].message });
+    }
+
+    const { q, ...filters } = value;
+    const { mode, results } = await searchClauses(req.user.userId, q, filters);
+
+    res.json({
+      query: q,
+      mode,
+      results,
+      limit: filters.limit,
+      offset: filters.offset
+    });
+
+  } catch (error) {
+    logger.error('Clause search failed:', error);
+    res.status(500).json({ error: 'Search failed', message: error.message });
+  }
+});
+
+module.exports = router;
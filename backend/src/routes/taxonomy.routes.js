@@ -0,0 +1,162 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { isBuiltInClauseType, LEGACY_CLAUSE_TYPES } = require('lexlens-shared');
+const taxonomy = require('../services/taxonomy.service');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Validation schemas
+const patternsSchema = Joi.array().items(Joi.string().trim().min(2).max(500)).max(50);
+const examplesSchema = Joi.array().items(Joi.string().trim().min(10).max(5000)).max(50);
+
+const createSchema = Joi.object({
+  key: Joi.string().pattern(/^[a-z][a-z0-9_]{1,49}$/).required()
+    .messages({ 'string.pattern.base': '"key" must be lowercase letters, digits and underscores' }),
+  label: Joi.string().trim().max(255),
+  description: Joi.string().trim().max(2000).allow(''),
+  patterns: patternsSchema.default([]),
+  examples: examplesSchema.default([])
+});
+
+const updateSchema = Joi.object({
+  label: Joi.string().trim().max(255),
+  description: Joi.string().trim().max(2000).allow(''),
+  patterns: patternsSchema,
+  examples: examplesSchema
+}).min(1);
+
+/**
+ * Check that a pattern list compiles, returning the error message if not
+ */
+function patternError(patterns) {
+  try {
+    taxonomy.compilePatterns(patterns || []);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * GET /api/clause-types
+ * List built-in and custom clause types
+ */
+router.get('/', async (req, res) => {
+  try {
+    const clauseTypes = await taxonomy.listClauseTypes();
+    res.json({ clauseTypes });
+  } catch (error) {
+    logger.error('Failed to list clause types:', error);
+    res.status(500).json({ error: 'Failed to list clause types', message: error.message });
+  }
+});
+
+/**
+ * POST /api/clause-types
+ * Add a custom clause type, recognized by keyword patterns and/or example clauses (admin only)
+ */
+router.post('/', authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { error, value } = createSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid clause type', message: error.details[0].message });
+    }
+
+    if (value.patterns.length === 0 && value.examples.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid clause type',
+        message: 'Provide at least one pattern or example clause'
+      });
+    }
+
+    const invalidPattern = patternError(value.patterns);
+    if (invalidPattern) {
+      return res.status(400).json({ error: 'Invalid clause type', message: invalidPattern });
+    }
+
+    if (isBuiltInClauseType(value.key) || LEGACY_CLAUSE_TYPES[value.key]) {
+      return res.status(409).json({ error: 'Clause type exists', message: `"${value.key}" is a built-in clause type` });
+    }
+
+    const clauseType = await taxonomy.createClauseType(value, req.user.userId);
+
+    res.status(201).json({ clauseType });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Clause type exists', message: `"${req.body.key}" already exists` });
+    }
+    logger.error('Failed to create clause type:', error);
+    res.status(500).json({ error: 'Failed to create clause type', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/clause-types/:key
+ * Update a custom clause type (admin only)
+ */
+router.put('/:key', authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    if (isBuiltInClauseType(key)) {
+      return res.status(400).json({ error: 'Built-in clause type', message: 'Built-in clause types cannot be changed' });
+    }
+
+    const { error, value } = updateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid clause type', message: error.details[0].message });
+    }
+
+    const invalidPattern = patternError(value.patterns);
+    if (invalidPattern) {
+      return res.status(400).json({ error: 'Invalid clause type', message: invalidPattern });
+    }
+
+    const clauseType = await taxonomy.updateClauseType(key, value);
+
+    if (!clauseType) {
+      return res.status(404).json({ error: 'Clause type not found' });
+    }
+
+    res.json({ clauseType });
+
+  } catch (error) {
+    logger.error('Failed to update clause type:', error);
+    res.status(500).json({ error: 'Failed to update clause type', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/clause-types/:key
+ * Remove a custom clause type (admin only)
+ * Clauses already labeled with the type keep their label.
+ */
+router.delete('/:key', authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    if (isBuiltInClauseType(key)) {
+      return res.status(400).json({ error: 'Built-in clause type', message: 'Built-in clause types cannot be deleted' });
+    }
+
+    const deleted = await taxonomy.deleteClauseType(key);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Clause type not found' });
+    }
+
+    res.json({ message: 'Clause type deleted' });
+
+  } catch (error) {
+    logger.error('Failed to delete clause type:', error);
+    res.status(500).json({ error: 'Failed to delete clause type', message: error.message });
+  }
+});
+
+module.exports = router;
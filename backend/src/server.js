@@ -12,6 +12,10 @@ const contractRoutes = require('./routes/contract.routes');
 const clauseRoutes = require('./routes/clause.routes');
 const analysisRoutes = require('./routes/analysis.routes');
 const comparisonRoutes = require('./routes/comparison.routes');
+const taxonomyRoutes = require('./routes/taxonomy.routes');
+const riskRoutes = require('./routes/risk.routes');
+const playbookRoutes = require('./routes/playbook.routes');
+const searchRoutes = require('./routes/search.routes');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -41,6 +45,10 @@ app.use('/api/contracts', contractRoutes);
 app.use('/api/clauses', clauseRoutes);
 app.use('/api/analysis', analysisRoutes);
 app.use('/api/comparison', comparisonRoutes);
+app.use('/api/clause-types', taxonomyRoutes);
+app.use('/api/risk-rules', riskRoutes);
+app.use('/api/playbook', playbookRoutes);
+app.use('/api/search', searchRoutes);
 
 app.use((err, req, res, next) => {
   logger.error('Error:', err);
@@ -0,0 +1,554 @@
+/**
+ * Analysis Service
+ * Builds contract-level analysis (summary, obligations, payment terms, risks)
+ * from the clauses stored by the extraction job
+ */
+
+const natural = require('natural');
+const { DEFAULT_CLAUSE_TYPE, normalizeClauseType } = require('lexlens-shared');
+const { query } = require('../database/connection');
+const llm = require('./llm.service');
+const risk = require('./risk.service');
+const { analyzeClauseRisk } = require('./clause.service');
+const { findMissingClauses } = require('./checklist.service');
+const scoring = require('../config/risk-score.json');
+const logger = require('../utils/logger');
+
+const MAX_OBLIGATIONS = 15;
+const MAX_KEY_RISKS = 10;
+
+// Rank of each risk level when ordering key risks
+const RISK_WEIGHTS = {
+  high: 1,
+  medium: 0.5,
+  low: 0
+};
+
+const OBLIGATION_PATTERN = /\b(shall|must|agrees? to|is required to|will be responsible for)\b/i;
+const RENEWAL_PATTERN = /\b(renew(al|ed|s)?|auto(matic(ally)?)?[- ]renew|extend(ed)? for (an )?additional)\b/i;
+const TERMINATION_PATTERN = /\bterminat(e|es|ed|ion)\b/i;
+const AMOUNT_PATTERN = /(?:[$€£]\s?\d[\d,]*(?:\.\d+)?(?:\s?(?:million|thousand|k))?|\b\d[\d,]*(?:\.\d+)?\s?(?:USD|EUR|GBP|dollars)\b)/gi;
+const DUE_PERIOD_PATTERN = /\bwithin\s+(?:[a-z-]+\s+)?\(?(\d+)\)?\s+(business\s+|calendar\s+)?days\b/i;
+const LATE_PAYMENT_PATTERN = /\b(late (payment|fee|charge)s?|interest (at|of)|overdue)\b/i;
+const SCHEDULE_PATTERN = /\b(monthly|quarterly|annually|yearly|weekly|in advance|in arrears|upon (receipt|completion|delivery))\b/i;
+
+const sentenceTokenizer = new natural.SentenceTokenizer();
+
+/**
+ * Split clause text into trimmed sentences
+ * @param {string} text - Clause text
+ * @returns {Array<string>} Sentences
+ */
+function splitSentences(text) {
+  try {
+    return sentenceTokenizer.tokenize(text.replace(/\s+/g, ' ')).map(s => s.trim()).filter(Boolean);
+  } catch (error) {
+    return [text.trim()];
+  }
+}
+
+/**
+ * Reference to the clause a finding came from
+ */
+function clauseRef(clause) {
+  return {
+    clause_id: clause.id,
+    section_number: clause.section_number,
+    title: clause.title
+  };
+}
+
+/**
+ * Extract obligations from the clauses that contain any
+ * @param {Array} clauses - Clause rows
+ * @returns {Promise<Array>} Obligations with the obligated party and source clause
+ */
+async function extractObligations(clauses) {
+  const obligations = [];
+
+  for (const clause of clauses) {
+    if (obligations.length >= MAX_OBLIGATIONS) break;
+    if (!OBLIGATION_PATTERN.test(clause.text)) continue;
+
+    const found = await llm.extractObligations(clause.text);
+    found.forEach(obligation => obligations.push({ ...clauseRef(clause), ...obligation }));
+  }
+
+  return obligations.slice(0, MAX_OBLIGATIONS);
+}
+
+/**
+ * Collect payment amounts, due periods and late payment terms
+ * @param {Array} clauses - Clause rows
+ * @returns {Object} Payment terms
+ */
+function extractPaymentTerms(clauses) {
+  const paymentClauses = clauses.filter(clause => clause.clause_type === 'payment');
+
+  const amounts = new Set();
+  const schedule = [];
+  let dueDays = null;
+  let latePayment = null;
+
+  for (const clause of paymentClauses) {
+    (clause.entities?.money || []).forEach(amount => amounts.add(amount.trim()));
+    (clause.text.match(AMOUNT_PATTERN) || []).forEach(amount => amounts.add(amount.trim()));
+
+    for (const sentence of splitSentences(clause.text)) {
+      const dueMatch = sentence.match(DUE_PERIOD_PATTERN);
+      if (dueMatch && dueDays === null) {
+        dueDays = parseInt(dueMatch[1]);
+      }
+      if (!latePayment && LATE_PAYMENT_PATTERN.test(sentence)) {
+        latePayment = sentence;
+      }
+      if (SCHEDULE_PATTERN.test(sentence)) {
+        schedule.push(sentence);
+      }
+    }
+  }
+
+  return {
+    amounts: [...amounts],
+    due_days: dueDays,
+    schedule: schedule.slice(0, 5),
+    late_payment: latePayment,
+    clauses: paymentClauses.map(clauseRef)
+  };
+}
+
+/**
+ * Collect sentences matching a pattern into a single block of text
+ * @param {Array} clauses - Clause rows to search
+ * @param {RegExp} pattern - Sentence filter
+ * @returns {string|null} Matching sentences or null if none
+ */
+function collectTerms(clauses, pattern) {
+  const sentences = [];
+
+  for (const clause of clauses) {
+    for (const sentence of splitSentences(clause.text)) {
+      if (pattern.test(sentence) && !sentences.includes(sentence)) {
+        sentences.push(sentence);
+      }
+    }
+  }
+
+  return sentences.length > 0 ? sentences.join(' ') : null;
+}
+
+/**
+ * Rank the risky clauses, high risk first
+ * @param {Array} clauses - Clause rows
+ * @returns {Array} Key risks with the reasons they were flagged
+ */
+function extractKeyRisks(clauses) {
+  return clauses
+    .filter(clause => clause.risk_level === 'high' || clause.risk_level === 'medium')
+    .sort((a, b) =>
+      RISK_WEIGHTS[b.risk_level] - RISK_WEIGHTS[a.risk_level] ||
+      (b.risk_flags || []).length - (a.risk_flags || []).length ||
+      a.position - b.position
+    )
+    .slice(0, MAX_KEY_RISKS)
+    .map(clause => ({
+      ...clauseRef(clause),
+      clause_type: clause.clause_type,
+      risk_level: clause.risk_level,
+      reasons: [...new Set((clause.risk_flags || []).map(flag => flag.message))],
+      explanation: clause.risk_explanation || null
+    }));
+}
+
+const roundScore = value => Math.round(value * 100) / 100;
+
+/**
+ * Overall risk score (0-1) with the contribution of each factor
+ * Weights and importances come from config/risk-score.json:
+ *   clause_risk          severity points of each risky clause times the importance
+ *                        of its type, saturating at clauseRiskSaturation points
+ *   missing_clauses      share of the document type's expected clauses that are
+ *                        absent, weighted by the severity of each absence
+ * @param {Array} clauses - Clause rows
+ * @param {Object} checklist - Output of findMissingClauses
+ * @returns {Object} { score, breakdown }; score is null when there are no clauses
+ */
+function calculateRiskScore(clauses, checklist) {
+  if (clauses.length === 0) {
+    return { score: null, breakdown: [] };
+  }
+
+  const byType = new Map();
+  let points = 0;
+
+  for (const clause of clauses) {
+    const severity = scoring.severityPoints[clause.risk_level] || 0;
+    if (severity === 0) continue;
+
+    const type = normalizeClauseType(clause.clause_type);
+    const importance = scoring.typeImportance[type] ?? scoring.defaultTypeImportance;
+    const entry = byType.get(type) || { clause_type: type, importance, high: 0, medium: 0, points: 0 };
+
+    entry[clause.risk_level] += 1;
+    entry.points += severity * importance;
+    points += severity * importance;
+    byType.set(type, entry);
+  }
+
+  const missingPoints = items => items.reduce((sum, item) => sum + scoring.missingClausePoints[item.severity], 0);
+  const expectedPoints = missingPoints(checklist.expected);
+
+  const factorScores = {
+    clause_risk: Math.min(points / scoring.clauseRiskSaturation, 1),
+    missing_clauses: expectedPoints > 0 ? missingPoints(checklist.missing) / expectedPoints : 0
+  };
+
+  const factor = (name, label, details) => ({
+    factor: name,
+    label,
+    weight: scoring.factorWeights[name],
+    score: roundScore(factorScores[name]),
+    contribution: roundScore(scoring.factorWeights[name] * factorScores[name]),
+    details
+  });
+
+  const breakdown = [
+    factor(
+      'clause_risk',
+      'Risky clauses, weighted by clause type',
+      [...byType.values()]
+        .sort((a, b) => b.points - a.points)
+        .map(entry => ({ ...entry, points: roundScore(entry.points) }))
+    ),
+    factor(
+      'missing_clauses',
+      'Expected clauses that are missing',
+      checklist.missing.map(item => ({ id: item.id, label: item.label, severity: item.severity }))
+    )
+  ];
+
+  const total = Object.entries(factorScores)
+    .reduce((sum, [name, value]) => sum + scoring.factorWeights[name] * value, 0);
+
+  return { score: roundScore(Math.min(total, 1)), breakdown };
+}
+
+/**
+ * Describe the document, its coverage and its risk profile in a few sentences
+ * @param {Object} metadata - Contract metadata from extraction
+ * @param {Array} clauses - Clause rows
+ * @param {Array} keyRisks - Output of extractKeyRisks
+ * @param {string|null} perspective - Party the risks were assessed for
+ * @param {Array} missingClauses - Expected clauses that were not found
+ * @returns {string} Overview
+ */
+function buildOverview(metadata, clauses, keyRisks, perspective = null, missingClauses = []) {
+  const documentType = metadata.documentType && metadata.documentType !== 'Unknown'
+    ? metadata.documentType
+    : 'Contract';
+  const parties = metadata.parties || [];
+
+  const parts = [];
+  parts.push(
+    parties.length >= 2
+      ? `${documentType} between ${parties.slice(0, -1).join(', ')} and ${parties[parties.length - 1]}.`
+      : `${documentType}${parties.length === 1 ? ` involving ${parties[0]}` : ''}.`
+  );
+
+  const types = [...new Set(clauses.map(clause => normalizeClauseType(clause.clause_type)).filter(type => type !== DEFAULT_CLAUSE_TYPE))];
+  parts.push(
+    `It contains ${clauses.length} clause${clauses.length === 1 ? '' : 's'}` +
+    (types.length > 0 ? ` covering ${types.slice(0, 6).map(type => type.replace(/_/g, ' ')).join(', ')}.` : '.')
+  );
+
+  const high = clauses.filter(clause => clause.risk_level === 'high').length;
+  const medium = clauses.filter(clause => clause.risk_level === 'medium').length;
+
+  if (high === 0 && medium === 0) {
+    parts.push('No high or medium risk clauses were found.');
+  } else {
+    const riskyTypes = [...new Set(keyRisks.map(risk => risk.clause_type.replace(/_/g, ' ')))].slice(0, 3);
+    parts.push(
+      `${high} high-risk and ${medium} medium-risk clause${high + medium === 1 ? ' was' : 's were'} found` +
+      (riskyTypes.length > 0 ? `, mainly in ${riskyTypes.join(', ')} terms.` : '.')
+    );
+  }
+
+  if (missingClauses.length > 0) {
+    parts.push(`Expected clauses not found: ${missingClauses.map(item => item.label.toLowerCase()).join(', ')}.`);
+  }
+
+  if (perspective) {
+    parts.push(`Risk is assessed from the perspective of ${perspective}.`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Write a plain-language summary: a generated overview plus the LLM summary of the text
+ * @param {Object} metadata - Contract metadata from extraction
+ * @param {Array} clauses - Clause rows
+ * @param {Array} keyRisks - Output of extractKeyRisks
+ * @param {string|null} perspective - Party the risks were assessed for
+ * @param {Array} missingClauses - Expected clauses that were not found
+ * @returns {Promise<string>} Summary
+ */
+async function buildSummary(metadata, clauses, keyRisks, perspective = null, missingClauses = []) {
+  const overview = buildOverview(metadata, clauses, keyRisks, perspective, missingClauses);
+
+  if (clauses.length === 0) {
+    return overview;
+  }
+
+  const contentSummary = await llm.summarize(
+    clauses.map(clause => clause.text).join('\n\n'),
+    { maxSentences: 4 }
+  );
+
+  return contentSummary ? `${overview}\n\n${contentSummary}` : overview;
+}
+
+/**
+ * Build all contract-level analysis fields from stored clauses
+ * @param {Array} clauses - Clause rows in document order
+ * @param {Object} metadata - Contract metadata from extraction
+ * @param {string|null} perspective - Party the risks were assessed for
+ * @returns {Promise<Object>} Analysis matching the analysis_results columns
+ */
+async function buildContractAnalysis(clauses, metadata = {}, perspective = null) {
+  const keyRisks = extractKeyRisks(clauses);
+  const checklist = findMissingClauses(clauses, metadata.documentType);
+  const riskScore = calculateRiskScore(clauses, checklist);
+  const terminationClauses = clauses.filter(clause => clause.clause_type === 'termination');
+
+  return {
+    summary: await buildSummary(metadata, clauses, keyRisks, perspective, checklist.missing),
+    main_obligations: await extractObligations(clauses),
+    payment_terms: extractPaymentTerms(clauses),
+    key_risks: keyRisks,
+    renewal_terms: collectTerms(clauses, RENEWAL_PATTERN),
+    termination_terms: collectTerms(
+      terminationClauses.length > 0 ? terminationClauses : clauses,
+      TERMINATION_PATTERN
+    ),
+    missing_clauses: checklist.missing,
+    overall_risk_score: riskScore.score,
+    risk_breakdown: riskScore.breakdown
+  };
+}
+
+/**
+ * Analyze a contract and store the result in analysis_results
+ * @param {number} contractId - Contract ID
+ * @returns {Object} Stored analysis row
+ */
+async function analyzeContract(contractId) {
+  logger.info(`Building analysis for contract ${contractId}`);
+
+  const contractResult = await query(
+    `SELECT metadata, perspective FROM contracts WHERE id = $1`,
+    [contractId]
+  );
+
+  if (contractResult.rows.length === 0) {
+    throw new Error(`Contract ${contractId} not found`);
+  }
+
+  const { metadata, perspective } = contractResult.rows[0];
+
+  const clausesResult = await query(
+    `SELECT id, position, section_number, title, text, clause_type,
+            labels, entities, risk_level, risk_flags, risk_explanation
+     FROM clauses
+     WHERE contract_id = $1
+     ORDER BY position ASC`,
+    [contractId]
+  );
+
+  const represented = risk.buildPerspective(metadata || {}, perspective);
+  const analysis = await buildContractAnalysis(clausesResult.rows, metadata || {}, represented ? represented.party : null);
+
+  // Keep a single analysis per contract, replaced in one statement so readers never see none
+  const saved = await query(
+    `INSERT INTO analysis_results
+     (contract_id, summary, main_obligations, payment_terms, key_risks,
+      renewal_terms, termination_terms, missing_clauses, overall_risk_score, risk_breakdown, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+     ON CONFLICT (contract_id) DO UPDATE SET
+       summary = EXCLUDED.summary,
+       main_obligations = EXCLUDED.main_obligations,
+       payment_terms = EXCLUDED.payment_terms,
+       key_risks = EXCLUDED.key_risks,
+       renewal_terms = EXCLUDED.renewal_terms,
+       termination_terms = EXCLUDED.termination_terms,
+       missing_clauses = EXCLUDED.missing_clauses,
+       overall_risk_score = EXCLUDED.overall_risk_score,
+       risk_breakdown = EXCLUDED.risk_breakdown,
+       created_at = NOW()
+     RETURNING *`,
+    [
+      contractId,
+      analysis.summary,
+      JSON.stringify(analysis.main_obligations),
+      JSON.stringify(analysis.payment_terms),
+      JSON.stringify(analysis.key_risks),
+      analysis.renewal_terms,
+      analysis.termination_terms,
+      JSON.stringify(analysis.missing_clauses),
+      analysis.overall_risk_score,
+      JSON.stringify(analysis.risk_breakdown)
+    ]
+  );
+
+  logger.info(`Stored analysis for contract ${contractId} (risk score ${analysis.overall_risk_score})`);
+
+  return saved.rows[0];
+}
+
+/**
+ * Re-score a contract's stored clauses from its current perspective
+ * Works from the stored clause text and labels, so nothing is re-extracted.
+ * Risk levels a reviewer overrode are kept, and reviewed clauses stay out of the
+ * review queue; only their flags are refreshed. The stored analysis, if there is
+ * one, gets new key risks, overview and score.
+ * @param {number} contractId - Contract ID
+ * @returns {Object} { clauseCount, changedCount, overall_risk_score }
+ */
+async function rescoreContract(contractId) {
+  const contractResult = await query(
+    `SELECT metadata, perspective FROM contracts WHERE id = $1`,
+    [contractId]
+  );
+
+  if (contractResult.rows.length === 0) {
+    throw new Error(`Contract ${contractId} not found`);
+  }
+
+  const metadata = contractResult.rows[0].metadata || {};
+  const perspective = risk.buildPerspective(metadata, contractResult.rows[0].perspective);
+  const ruleset = await risk.getActiveRuleset();
+
+  const clausesResult = await query(
+    `SELECT id, position, section_number, title, text, clause_type, labels,
+            entities, risk_level, risk_flags, risk_explanation, original_risk_level
+     FROM clauses
+     WHERE contract_id = $1
+     ORDER BY position ASC`,
+    [contractId]
+  );
+
+  const clauses = [];
+  let changedCount = 0;
+
+  for (const clause of clausesResult.rows) {
+    const assessment = analyzeClauseRisk(clause.text, clause.clause_type, {
+      labels: clause.labels || [],
+      entities: clause.entities || {},
+      ruleset,
+      perspective
+    });
+
+    const riskLevel = clause.original_risk_level !== null ? clause.risk_level : assessment.risk_level;
+    let riskExplanation = clause.risk_explanation;
+
+    if (riskLevel !== clause.risk_level) {
+      changedCount++;
+      riskExplanation = await llm.explainRisk({
+        text: clause.text,
+        clauseType: clause.clause_type,
+        riskLevel,
+        flags: assessment.flags
+      });
+    }
+
+    await query(
+      `UPDATE clauses
+       SET risk_level = $1, risk_flags = $2, risk_explanation = $3,
+           requires_review = CASE WHEN reviewed_at IS NULL THEN $4 ELSE requires_review END,
+           risk_ruleset_version = $5
+       WHERE id = $6`,
+      [
+        riskLevel,
+        JSON.stringify(assessment.flags),
+        riskExplanation,
+        riskLevel !== 'low',
+        assessment.ruleset_version,
+        clause.id
+      ]
+    );
+
+    clauses.push({ ...clause, risk_level: riskLevel, risk_flags: assessment.flags, risk_explanation: riskExplanation });
+  }
+
+  const keyRisks = extractKeyRisks(clauses);
+  const checklist = findMissingClauses(clauses, metadata.documentType);
+  const riskScore = calculateRiskScore(clauses, checklist);
+
+  // The summary starts with the generated overview; the LLM part after it is unaffected by risk
+  const existing = await getContractAnalysis(contractId);
+  if (existing) {
+    const overview = buildOverview(metadata, clauses, keyRisks, perspective ? perspective.party : null, checklist.missing);
+    const [, ...contentSummary] = (existing.summary || '').split('\n\n');
+
+    await query(
+      `UPDATE analysis_results
+       SET summary = $1, key_risks = $2, overall_risk_score = $3, risk_breakdown = $4
+       WHERE id = $5`,
+      [
+        [overview, ...contentSummary].join('\n\n'),
+        JSON.stringify(keyRisks),
+        riskScore.score,
+        JSON.stringify(riskScore.breakdown),
+        existing.id
+      ]
+    );
+  }
+
+  logger.info(`Re-scored ${clauses.length} clauses of contract ${contractId} (${changedCount} changed risk level)`);
+
+  return {
+    clauseCount: clauses.length,
+    changedCount,
+    overall_risk_score: riskScore.score
+  };
+}
+
+/**
+ * Set the party a contract is reviewed for
+ * Clauses keep their current risk until an analysis is queued with rescore set.
+ * @param {number} contractId - Contract ID
+ * @param {string|null} party - Party name as detected, or null for a neutral view
+ */
+async function setPerspective(contractId, party) {
+  await query(
+    `UPDATE contracts SET perspective = $1 WHERE id = $2`,
+    [party, contractId]
+  );
+}
+
+/**
+ * Get the stored analysis for a contract
+ * @param {number} contractId - Contract ID
+ * @returns {Object|null} Analysis row or null if not analyzed yet
+ */
+async function getContractAnalysis(contractId) {
+  const result = await query(
+    `SELECT * FROM analysis_results
+     WHERE contract_id = $1
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [contractId]
+  );
+
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  calculateRiskScore,
+  buildContractAnalysis,
+  analyzeContract,
+  rescoreContract,
+  setPerspective,
+  getContractAnalysis
+};
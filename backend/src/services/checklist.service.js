@@ -0,0 +1,121 @@
+/**
+ * Clause Checklist Service
+ * Checks a contract against the clauses its document type is expected to have.
+ * Checklists live in config/clause-checklists.json, keyed by the documentType
+ * detected at extraction; "default" applies to every other type.
+ *
+ * Item format:
+ *   {
+ *     id: 'nda.return_of_materials',
+ *     label: 'Return or destruction of materials',
+ *     clauseTypes: ['confidentiality'],     // clauses of these types (or labels) satisfy the item
+ *     pattern: 'regex',                     // ...and must contain a match (case-insensitive)
+ *     severity: 'low' | 'medium' | 'high',  // risk of the clause being absent
+ *     reason: 'Why the absence matters'
+ *   }
+ * An item needs clauseTypes, pattern or both. With only a pattern, any clause can satisfy it.
+ */
+
+const Joi = require('joi');
+const { normalizeClauseType } = require('lexlens-shared');
+const checklists = require('../config/clause-checklists.json');
+
+const DEFAULT_CHECKLIST = 'default';
+
+const itemSchema = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9_.-]+$/).max(100).required(),
+  label: Joi.string().trim().max(255).required(),
+  clauseTypes: Joi.array().items(Joi.string().max(100)).min(1),
+  pattern: Joi.string().min(1).max(500),
+  severity: Joi.string().valid('low', 'medium', 'high').required(),
+  reason: Joi.string().trim().max(1000).required()
+}).or('clauseTypes', 'pattern');
+
+const checklistsSchema = Joi.object()
+  .pattern(Joi.string(), Joi.array().items(itemSchema).unique('id'))
+  .keys({ [DEFAULT_CHECKLIST]: Joi.array().required() });
+
+let compiled = null;
+
+/**
+ * Validate and compile the checklists once
+ * @throws {Error} If the configuration is invalid
+ */
+function getChecklists() {
+  if (compiled) {
+    return compiled;
+  }
+
+  const { error, value } = checklistsSchema.validate(checklists);
+  if (error) {
+    throw new Error(`Invalid clause checklist configuration: ${error.details[0].message}`);
+  }
+
+  compiled = Object.fromEntries(
+    Object.entries(value).map(([documentType, items]) => [
+      documentType,
+      items.map(item => ({ ...item, regex: item.pattern ? new RegExp(item.pattern, 'i') : null }))
+    ])
+  );
+
+  return compiled;
+}
+
+/**
+ * Checklist for a document type
+ * @param {string} documentType - Detected document type (e.g. 'NDA')
+ * @returns {Array} Compiled checklist items
+ */
+function getChecklist(documentType) {
+  const all = getChecklists();
+  return all[documentType] || all[DEFAULT_CHECKLIST];
+}
+
+/**
+ * Whether any clause satisfies a checklist item
+ */
+function isPresent(item, clauses) {
+  const candidates = item.clauseTypes
+    ? clauses.filter(clause => clause.types.some(type => item.clauseTypes.includes(type)))
+    : clauses;
+
+  return item.regex
+    ? candidates.some(clause => item.regex.test(clause.text))
+    : candidates.length > 0;
+}
+
+/**
+ * Find the expected clauses a contract does not contain
+ * @param {Array} clauses - Clause rows ({ text, clause_type, labels })
+ * @param {string} documentType - Detected document type
+ * @returns {Object} { document_type, expected, missing }; expected lists every item as
+ *   { id, label, severity } and missing the absent ones with their reason and clause_types
+ */
+function findMissingClauses(clauses, documentType) {
+  const checklist = getChecklist(documentType);
+  const prepared = clauses.map(clause => ({
+    text: clause.text || '',
+    types: [clause.clause_type, ...(clause.labels || []).map(entry => entry.label)].map(normalizeClauseType)
+  }));
+
+  const missing = checklist
+    .filter(item => !isPresent(item, prepared))
+    .map(item => ({
+      id: item.id,
+      label: item.label,
+      severity: item.severity,
+      reason: item.reason,
+      clause_types: item.clauseTypes || []
+    }));
+
+  return {
+    document_type: getChecklists()[documentType] ? documentType : DEFAULT_CHECKLIST,
+    expected: checklist.map(item => ({ id: item.id, label: item.label, severity: item.severity })),
+    missing
+  };
+}
+
+module.exports = {
+  getChecklist,
+  findMissingClauses
+};
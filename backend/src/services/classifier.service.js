@@ -0,0 +1,289 @@
+/**
+ * Clause Classifier Service
+ * Multinomial logistic regression over the MiniLM clause embeddings, with
+ * temperature scaling so the reported confidence is a calibrated probability.
+ *
+ * The model is trained by npm run train:classifier and stored as JSON at
+ * CLAUSE_MODEL_PATH (default: backend/models/clause-classifier.json); the Docker
+ * build and npm start/dev train one when it is missing. When no model could be
+ * trained, callers fall back to pattern scoring and log a warning.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DEFAULT_MODEL_PATH = path.join(__dirname, '../../models/clause-classifier.json');
+const EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+// Temperatures tried when calibrating on the validation split
+const TEMPERATURE_GRID = Array.from({ length: 60 }, (_, i) => 0.1 + i * 0.1);
+
+let cachedModel;
+
+/**
+ * Path of the stored model artifact
+ */
+function getModelPath() {
+  return process.env.CLAUSE_MODEL_PATH || DEFAULT_MODEL_PATH;
+}
+
+/**
+ * Load the trained model (read once, then cached)
+ * @returns {Object|null} Model, or null if none has been trained
+ */
+function loadModel() {
+  if (cachedModel !== undefined) {
+    return cachedModel;
+  }
+
+  const modelPath = getModelPath();
+
+  try {
+    const model = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+
+    if (model.embeddingModel !== EMBEDDING_MODEL) {
+      throw new Error(`model was trained on ${model.embeddingModel} embeddings, expected ${EMBEDDING_MODEL}`);
+    }
+
+    logger.info(`Loaded clause classifier (${model.labels.length} labels, trained ${model.trainedAt})`);
+    cachedModel = model;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.warn(`No clause classifier at ${modelPath}; using pattern scoring. Run "npm run train:classifier" to train one.`);
+    } else {
+      logger.error(`Failed to load clause classifier from ${modelPath}:`, error.message);
+    }
+    cachedModel = null;
+  }
+
+  return cachedModel;
+}
+
+/**
+ * Drop the cached model so the next call reloads it from disk
+ */
+function reloadModel() {
+  cachedModel = undefined;
+  return loadModel();
+}
+
+/**
+ * Softmax with temperature
+ * @param {Array<number>} logits - Raw scores
+ * @param {number} temperature - Values above 1 soften, below 1 sharpen
+ * @returns {Array<number>} Probabilities
+ */
+function softmax(logits, temperature = 1) {
+  const scaled = logits.map(value => value / temperature);
+  const max = Math.max(...scaled);
+  const exps = scaled.map(value => Math.exp(value - max));
+  const sum = exps.reduce((a, b) => a + b, 0);
+  return exps.map(value => value / sum);
+}
+
+/**
+ * Raw class scores for one embedding
+ */
+function computeLogits(weights, bias, embedding) {
+  return weights.map((row, k) => {
+    let score = bias[k];
+    for (let j = 0; j < row.length; j++) {
+      score += row[j] * embedding[j];
+    }
+    return score;
+  });
+}
+
+/**
+ * Classify a clause embedding
+ * @param {Array<number>} embedding - 384-dimension MiniLM embedding
+ * @returns {Object|null} { label, confidence, ranked: [{ label, probability }] }, or null without a model
+ */
+function predict(embedding) {
+  const model = loadModel();
+
+  if (!model || !embedding || embedding.length !== model.dimensions) {
+    return null;
+  }
+
+  const probabilities = softmax(computeLogits(model.weights, model.bias, embedding), model.temperature);
+
+  const ranked = model.labels
+    .map((label, k) => ({ label, probability: probabilities[k] }))
+    .sort((a, b) => b.probability - a.probability);
+
+  return {
+    label: ranked[0].label,
+    confidence: ranked[0].probability,
+    ranked
+  };
+}
+
+/**
+ * Fit multinomial logistic regression with L2 regularization by full-batch gradient descent
+ * @param {Array<Array<number>>} features - Embeddings
+ * @param {Array<number>} targets - Label index per example
+ * @param {number} classCount - Number of labels
+ * @param {Object} options - { epochs, learningRate, l2 }
+ * @returns {Object} { weights, bias }
+ */
+function fitLogisticRegression(features, targets, classCount, options = {}) {
+  const { epochs = 800, learningRate = 2, l2 = 0.001 } = options;
+  const dimensions = features[0].length;
+  const n = features.length;
+
+  const weights = Array.from({ length: classCount }, () => new Array(dimensions).fill(0));
+  const bias = new Array(classCount).fill(0);
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradW = Array.from({ length: classCount }, () => new Array(dimensions).fill(0));
+    const gradB = new Array(classCount).fill(0);
+
+    for (let i = 0; i < n; i++) {
+      const probabilities = softmax(computeLogits(weights, bias, features[i]));
+
+      for (let k = 0; k < classCount; k++) {
+        const error = probabilities[k] - (targets[i] === k ? 1 : 0);
+        gradB[k] += error;
+        const row = gradW[k];
+        const x = features[i];
+        for (let j = 0; j < dimensions; j++) {
+          row[j] += error * x[j];
+        }
+      }
+    }
+
+    for (let k = 0; k < classCount; k++) {
+      bias[k] -= learningRate * gradB[k] / n;
+      for (let j = 0; j < dimensions; j++) {
+        weights[k][j] -= learningRate * (gradW[k][j] / n + l2 * weights[k][j]);
+      }
+    }
+  }
+
+  return { weights, bias };
+}
+
+/**
+ * Mean negative log-likelihood of the true labels
+ */
+function negativeLogLikelihood(logitRows, targets, temperature) {
+  const total = logitRows.reduce((sum, logits, i) => {
+    const probability = softmax(logits, temperature)[targets[i]];
+    return sum - Math.log(Math.max(probability, 1e-12));
+  }, 0);
+  return total / logitRows.length;
+}
+
+/**
+ * Expected calibration error over ten confidence bins
+ */
+function expectedCalibrationError(logitRows, targets, temperature) {
+  const bins = Array.from({ length: 10 }, () => ({ count: 0, confidence: 0, correct: 0 }));
+
+  logitRows.forEach((logits, i) => {
+    const probabilities = softmax(logits, temperature);
+    const confidence = Math.max(...probabilities);
+    const bin = bins[Math.min(Math.floor(confidence * 10), 9)];
+    bin.count++;
+    bin.confidence += confidence;
+    bin.correct += probabilities.indexOf(confidence) === targets[i] ? 1 : 0;
+  });
+
+  return bins.reduce((sum, bin) =>
+    bin.count === 0 ? sum : sum + Math.abs(bin.correct - bin.confidence) / logitRows.length, 0);
+}
+
+/**
+ * Deterministic shuffle so repeated training runs produce the same split
+ */
+function seededShuffle(items, seed = 42) {
+  const result = [...items];
+  let state = seed;
+  const random = () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Train a classifier from embedded examples
+ * Holds out a stratified validation split to fit the temperature and measure
+ * accuracy, then refits the weights on all examples.
+ * @param {Array} examples - { label, embedding }
+ * @param {Object} options - { validationShare, epochs, learningRate, l2 }
+ * @returns {Object} Model artifact
+ */
+function trainClassifier(examples, options = {}) {
+  const validationShare = options.validationShare ?? 0.25;
+  const labels = [...new Set(examples.map(example => example.label))].sort();
+  const labelIndex = new Map(labels.map((label, k) => [label, k]));
+
+  if (labels.length < 2) {
+    throw new Error('At least two labels are needed to train a classifier');
+  }
+
+  // Stratified split: every label keeps at least one training example
+  const train = [];
+  const validation = [];
+  for (const label of labels) {
+    const group = seededShuffle(examples.filter(example => example.label === label));
+    const holdOut = group.length > 1 ? Math.max(1, Math.round(group.length * validationShare)) : 0;
+    validation.push(...group.slice(0, holdOut));
+    train.push(...group.slice(holdOut));
+  }
+
+  const toTargets = set => set.map(example => labelIndex.get(example.label));
+
+  const split = fitLogisticRegression(train.map(e => e.embedding), toTargets(train), labels.length, options);
+  const validationLogits = validation.map(example => computeLogits(split.weights, split.bias, example.embedding));
+  const validationTargets = toTargets(validation);
+
+  let temperature = 1;
+  let metrics = { examples: examples.length, validationExamples: validation.length };
+
+  if (validation.length > 0) {
+    temperature = TEMPERATURE_GRID.reduce((best, candidate) =>
+      negativeLogLikelihood(validationLogits, validationTargets, candidate) <
+      negativeLogLikelihood(validationLogits, validationTargets, best) ? candidate : best, 1);
+
+    const correct = validationLogits.filter((logits, i) => logits.indexOf(Math.max(...logits)) === validationTargets[i]).length;
+
+    metrics = {
+      ...metrics,
+      validationAccuracy: Math.round(correct / validation.length * 1000) / 1000,
+      eceBeforeCalibration: Math.round(expectedCalibrationError(validationLogits, validationTargets, 1) * 1000) / 1000,
+      eceAfterCalibration: Math.round(expectedCalibrationError(validationLogits, validationTargets, temperature) * 1000) / 1000
+    };
+  }
+
+  const full = fitLogisticRegression(examples.map(e => e.embedding), toTargets(examples), labels.length, options);
+
+  return {
+    type: 'logistic_regression',
+    embeddingModel: EMBEDDING_MODEL,
+    dimensions: examples[0].embedding.length,
+    labels,
+    weights: full.weights.map(row => row.map(value => Math.round(value * 1e6) / 1e6)),
+    bias: full.bias.map(value => Math.round(value * 1e6) / 1e6),
+    temperature: Math.round(temperature * 100) / 100,
+    metrics,
+    trainedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  getModelPath,
+  loadModel,
+  reloadModel,
+  predict,
+  softmax,
+  trainClassifier
+};
@@ -0,0 +1,110 @@
+jest.mock('../utils/logger');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { trainClassifier, predict, reloadModel, softmax } = require('./classifier.service');
+
+/**
+ * Two clusters of 4-dimension embeddings, with a share of the labels swapped
+ */
+function examples(count, noise) {
+  let state = 7;
+  const random = () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+
+  return Array.from({ length: count }, (_, i) => {
+    const payment = i % 2 === 1;
+    const embedding = [payment ? 1 : -1, 0, 0, 0].map(value => value + (random() - 0.5) * 0.8);
+    const swapped = random() < noise;
+    return { label: payment !== swapped ? 'payment' : 'termination', embedding };
+  });
+}
+
+describe('softmax', () => {
+  it('returns probabilities that a higher temperature flattens', () => {
+    const sharp = softmax([2, 1, 0]);
+    const flat = softmax([2, 1, 0], 4);
+
+    expect(sharp.reduce((a, b) => a + b, 0)).toBeCloseTo(1);
+    expect(flat.reduce((a, b) => a + b, 0)).toBeCloseTo(1);
+    expect(flat[0]).toBeLessThan(sharp[0]);
+  });
+});
+
+describe('trainClassifier', () => {
+  it('needs at least two labels', () => {
+    const single = examples(10, 0).map(example => ({ ...example, label: 'payment' }));
+
+    expect(() => trainClassifier(single)).toThrow('At least two labels');
+  });
+
+  it('produces a model artifact for the embeddings', () => {
+    const model = trainClassifier(examples(40, 0), { epochs: 100 });
+
+    expect(model).toMatchObject({
+      type: 'logistic_regression',
+      embeddingModel: 'Xenova/all-MiniLM-L6-v2',
+      dimensions: 4,
+      labels: ['payment', 'termination']
+    });
+    expect(model.weights).toHaveLength(2);
+    expect(model.weights[0]).toHaveLength(4);
+    expect(model.bias).toHaveLength(2);
+  });
+
+  it('holds out a stratified validation split', () => {
+    const { metrics } = trainClassifier(examples(40, 0), { epochs: 100, validationShare: 0.25 });
+
+    expect(metrics).toMatchObject({ examples: 40, validationExamples: 10, validationAccuracy: 1 });
+  });
+
+  it('softens an overconfident model when the labels are noisy', () => {
+    const { temperature, metrics } = trainClassifier(examples(80, 0.2), { epochs: 200 });
+
+    expect(temperature).toBeGreaterThan(1);
+    expect(metrics.eceAfterCalibration).toBeLessThan(metrics.eceBeforeCalibration);
+  });
+
+  it('sharpens an underconfident model when the classes separate cleanly', () => {
+    const { temperature } = trainClassifier(examples(80, 0), { epochs: 200 });
+
+    expect(temperature).toBeLessThan(1);
+  });
+});
+
+describe('predict', () => {
+  const modelPath = path.join(os.tmpdir(), `lexlens-classifier-${process.pid}.json`);
+  const original = process.env.CLAUSE_MODEL_PATH;
+
+  beforeAll(() => {
+    fs.writeFileSync(modelPath, JSON.stringify(trainClassifier(examples(40, 0), { epochs: 100 })));
+    process.env.CLAUSE_MODEL_PATH = modelPath;
+    reloadModel();
+  });
+
+  afterAll(() => {
+    fs.rmSync(modelPath, { force: true });
+    if (original === undefined) {
+      delete process.env.CLAUSE_MODEL_PATH;
+    } else {
+      process.env.CLAUSE_MODEL_PATH = original;
+    }
+    reloadModel();
+  });
+
+  it('ranks every label by calibrated probability', () => {
+    const prediction = predict([0.9, 0.1, 0, 0]);
+
+    expect(prediction.label).toBe('payment');
+    expect(prediction.confidence).toBe(prediction.ranked[0].probability);
+    expect(prediction.ranked.map(entry => entry.label)).toEqual(['payment', 'termination']);
+    expect(prediction.ranked[0].probability + prediction.ranked[1].probability).toBeCloseTo(1);
+  });
+
+  it('returns null for an embedding of the wrong size', () => {
+    expect(predict([1, 0])).toBeNull();
+  });
+});
@@ -5,99 +5,39 @@
 
 const natural = require('natural');
 const compromise = require('compromise');
-const logger = require('../config/logger');
-
-// Common clause type patterns
-const CLAUSE_PATTERNS = {
-  confidentiality: [
-    /confidential(ity)?/i,
-    /non-disclosure/i,
-    /proprietary information/i,
-    /trade secret/i,
-    /sensitive information/i
-  ],
-  termination: [
-    /terminat(e|ion)/i,
-    /cancel(lation)?/i,
-    /end of (the )?agreement/i,
-    /notice period/i,
-    /expir(e|ation)/i
-  ],
-  liability: [
-    /liabilit(y|ies)/i,
-    /indemnif(y|ication)/i,
-    /damages/i,
-    /limitation of liability/i,
-    /hold harmless/i
-  ],
-  payment: [
-    /payment/i,
-    /fee(s)?/i,
-    /compensation/i,
-    /invoice/i,
-    /price/i,
-    /cost/i
-  ],
-  intellectual_property: [
-    /intellectual property/i,
-    /copyright/i,
-    /patent/i,
-    /trademark/i,
-    /ownership/i,
-    /license/i
-  ],
-  governing_law: [
-    /governing law/i,
-    /jurisdiction/i,
-    /applicable law/i,
-    /venue/i,
-    /dispute resolution/i
-  ],
-  warranty: [
-    /warrant(y|ies)/i,
-    /representation/i,
-    /guarantee/i,
-    /assurance/i
-  ],
-  force_majeure: [
-    /force majeure/i,
-    /act of god/i,
-    /unforeseeable/i,
-    /beyond.*control/i
-  ],
-  assignment: [
-    /assignment/i,
-    /transfer/i,
-    /successor/i,
-    /assign.*rights/i
-  ],
-  amendment: [
-    /amendment/i,
-    /modification/i,
-    /change.*agreement/i,
-    /written consent/i
-  ],
-  entire_agreement: [
-    /entire agreement/i,
-    /complete agreement/i,
-    /supersede/i,
-    /prior agreement/i
-  ],
-  severability: [
-    /severabilit(y)?/i,
-    /invalid.*provision/i,
-    /unenforceable/i
-  ]
-};
+const llm = require('./llm.service');
+const { parseNumbering, blocksFromText } = require('./structure.service');
+const { ClauseType, CLAUSE_TAXONOMY, DEFAULT_CLAUSE_TYPE, normalizeClauseType } = require('lexlens-shared');
+const { generateEmbeddingsBatch, cosineSimilarity } = require('./embedding.service');
+const classifier = require('./classifier.service');
+const taxonomy = require('./taxonomy.service');
+const risk = require('./risk.service');
+const logger = require('../utils/logger');
+
+// Built-in clause type patterns, used when no trained classifier is available
+const CLAUSE_PATTERNS = Object.fromEntries(
+  Object.entries(CLAUSE_TAXONOMY)
+    .filter(([, entry]) => entry.patterns.length > 0)
+    .map(([type, entry]) => [type, entry.patterns])
+);
+
+// Every built-in label the classifier and reviewers can assign
+const CLAUSE_TYPES = Object.values(ClauseType);
+
+// Secondary labels scoring below this are dropped from a clause's label list
+const LABEL_MIN_SCORE = 0.15;
+const MAX_LABELS = 5;
+
+// Minimum similarity to a custom type's examples for the clause to carry that label
+const CUSTOM_EXAMPLE_MIN_SIMILARITY = 0.6;
 
 /**
- * Segment contract text into clauses
+ * Segment unstructured text into a flat list of clauses
+ * Used when the document has too few numbered sections or headings to build a tree.
  * @param {string} text - Contract text
  * @returns {Array} Array of clause objects
  */
-function segmentClauses(text) {
-  logger.info('Segmenting contract into clauses');
-
+function segmentFlat(text) {
   const clauses = [];
   
   // Split by common section patterns
@@ -156,23 +96,285 @@ function segmentClauses(text) {
     }
   }
 
+  return clauses.map(clause => ({ ...clause, kind: 'paragraph', depth: 0, parent_position: null }));
+}
+
+// Recitals open with a heading like "RECITALS" or with "WHEREAS" paragraphs
+const RECITALS_HEADING = /^(recitals?|background|preliminary statements?)\b/i;
+const RECITAL_START = /^whereas\b/i;
+const RECITALS_END = /^now,?\s+therefore\b/i;
+
+// Kinds that hold nested clauses by heading level
+const HEADING_KINDS = ['heading', 'recitals', 'article'];
+
+/**
+ * Describe the clause a block opens, or null if the block continues the current clause
+ * @param {Object} block - Structure block
+ * @returns {Object|null} Marker { kind, style, value, label, level, title, body }
+ */
+function clauseMarker(block) {
+  const text = block.text.trim();
+
+  if (!text || block.type === 'table') {
+    return null;
+  }
+
+  // List numbering generated from the document's list structure is not part of the text
+  if (block.type === 'list_item') {
+    const parsed = parseNumbering(text);
+    if (block.numbering && (!parsed || parsed.label !== block.numbering)) {
+      const value = block.numbering.split('.');
+      return { kind: 'section', style: 'decimal', value, label: block.numbering, level: block.level || 1, fromList: true, body: text };
+    }
+    if (!block.numbering && !parsed) {
+      return { kind: 'item', style: `bullet-${block.level || 1}`, value: [], label: null, body: text };
+    }
+  }
+
+  const numbering = parseNumbering(text);
+
+  if (numbering && numbering.style) {
+    const body = numbering.rest.trim();
+    const title = block.type === 'heading' ? body : null;
+
+    if (numbering.style === 'article') {
+      return { kind: 'article', style: 'article', value: numbering.value, label: numbering.label, level: block.level || 1, title, body };
+    }
+    if (numbering.style === 'decimal' || numbering.style === 'section') {
+      const value = numbering.style === 'section' && !/^\d/.test(numbering.value[0]) ? [numbering.value[0]] : numbering.value;
+      return { kind: 'section', style: 'decimal', value, label: numbering.label, title: title || leadingTitle(body), body };
+    }
+    return { kind: 'item', style: numbering.style, value: numbering.value, label: numbering.label, title, body };
+  }
+
+  if (block.type === 'heading') {
+    return {
+      kind: RECITALS_HEADING.test(text) ? 'recitals' : 'heading',
+      style: 'heading',
+      level: block.level || 1,
+      label: null,
+      title: text,
+      body: text
+    };
+  }
+
+  if (RECITAL_START.test(text)) {
+    return { kind: 'recital', style: 'whereas', label: null, body: text };
+  }
+
+  if (RECITALS_END.test(text)) {
+    return { kind: 'paragraph', style: 'paragraph', label: null, body: text };
+  }
+
+  return null;
+}
+
+/**
+ * Short run-in title such as "Payment" in "Payment. Client shall pay..."
+ */
+function leadingTitle(body) {
+  const match = body.match(/^([A-Z][^.:]{2,60})[.:]\s+\S/);
+  return match && match[1].split(/\s+/).length <= 6 ? match[1].trim() : null;
+}
+
+/**
+ * Whether an open clause can contain a new one
+ * @param {Object} parent - Open clause node
+ * @param {Object} marker - Marker of the new clause
+ * @returns {boolean}
+ */
+function canContain(parent, marker) {
+  const outer = parent.marker;
+
+  switch (marker.kind) {
+    case 'heading':
+    case 'recitals':
+    case 'article':
+      return HEADING_KINDS.includes(outer.kind) && (outer.level || 1) < (marker.level || 1);
+    case 'section':
+      return HEADING_KINDS.includes(outer.kind) ||
+        (outer.style === 'decimal' && outer.value.length < marker.value.length);
+    case 'recital':
+      return outer.kind === 'recitals';
+    case 'item':
+      return outer.kind !== 'paragraph' && outer.kind !== 'preamble';
+    default:
+      return false;
+  }
+}
+
+/**
+ * Disambiguate "(i)", "(v)" and "(x)": they are letters when they follow (h), (u) and (w)
+ */
+function resolveRomanLetter(stack, marker) {
+  if (!['roman', 'upper_roman'].includes(marker.style) || !/^[ivx]$/i.test(marker.value[0])) {
+    return marker;
+  }
+
+  const letterStyle = marker.style === 'roman' ? 'alpha' : 'upper_alpha';
+  const previous = String.fromCharCode(marker.value[0].charCodeAt(0) - 1);
+
+  const follows = stack.some(node => node.marker.style === letterStyle && node.marker.value[0] === previous);
+  return follows ? { ...marker, style: letterStyle } : marker;
+}
+
+/**
+ * Build the clause tree from structure blocks
+ * Numbered sections nest by depth (1 > 1.1 > 1.1.1), list styles nest in the
+ * order the document introduces them ((a) > (i) > (A)), and headings nest by level.
+ * @param {Array} blocks - Structure blocks in document order
+ * @returns {Array} Clause nodes in document order; parent is another node or null
+ */
+function buildClauseTree(blocks) {
+  const nodes = [];
+  const stack = [];
+  let preamble = null;
+
+  for (const block of blocks) {
+    let marker = clauseMarker(block);
+    const current = stack[stack.length - 1];
+
+    // "ARTICLE I" followed by a "DEFINITIONS" heading: the heading is the article's title
+    if (marker && marker.kind === 'heading' && current && ['article', 'section'].includes(current.marker.kind) &&
+        !current.title && current.lines.join('').trim() === '') {
+      current.title = block.text.trim();
+      current.lines.push(block.text.trim());
+      continue;
+    }
+
+    if (!marker) {
+      const text = block.type === 'table' ? block.rows.map(row => row.join('\t')).join('\n') : block.text.trim();
+      if (current) {
+        current.lines.push(text);
+      } else {
+        if (!preamble) {
+          preamble = { marker: { kind: 'preamble' }, kind: 'preamble', parent: null, depth: 0, label: null, title: null, lines: [] };
+          nodes.push(preamble);
+        }
+        preamble.lines.push(text);
+      }
+      continue;
+    }
+
+    // The first heading before any clause is the document title
+    if (nodes.length === 0 && marker.kind === 'heading') {
+      preamble = { marker: { kind: 'preamble' }, kind: 'preamble', parent: null, depth: 0, label: null, title: marker.title, lines: [marker.body] };
+      nodes.push(preamble);
+      continue;
+    }
+
+    // Numbered lists inside a numbered section are items of that section, not sections themselves
+    if (marker.fromList && stack.some(node => node.marker.kind === 'article' || (node.marker.style === 'decimal' && !node.marker.fromList))) {
+      marker = { ...marker, kind: 'item', style: `list-${marker.level}` };
+    }
+
+    marker = resolveRomanLetter(stack, marker);
+
+    if (marker.kind === 'item') {
+      // A label in a style already open closes that item and everything under it
+      for (let i = stack.length - 1; i >= 0 && stack[i].marker.kind === 'item'; i--) {
+        if (stack[i].marker.style === marker.style) {
+          stack.length = i;
+          break;
+        }
+      }
+    }
+
+    while (stack.length > 0 && !canContain(stack[stack.length - 1], marker)) {
+      stack.pop();
+    }
+
+    const parent = stack[stack.length - 1] || null;
+
+    let kind = marker.kind;
+    if (kind === 'item' && parent && ['recitals', 'recital'].includes(parent.kind)) {
+      kind = 'recital';
+    } else if (kind === 'section' && parent && parent.marker.style === 'decimal') {
+      kind = 'subsection';
+    }
+
+    const node = {
+      marker,
+      kind,
+      parent,
+      depth: stack.length,
+      label: marker.label,
+      title: marker.title || null,
+      lines: [marker.body]
+    };
+
+    nodes.push(node);
+    stack.push(node);
+  }
+
+  return nodes;
+}
+
+/**
+ * Segment contract text into a clause tree
+ * @param {string} text - Contract text
+ * @param {Object} structure - Document structure from extraction (optional)
+ * @returns {Array} Clause objects in document order, with depth, kind and parent_position
+ */
+function segmentClauses(text, structure = null) {
+  logger.info('Segmenting contract into clauses');
+
+  const blocks = structure && Array.isArray(structure.blocks) && structure.blocks.length > 0
+    ? structure.blocks
+    : blocksFromText([text]);
+
+  const nodes = buildClauseTree(blocks);
+  const structural = nodes.filter(node => node.kind !== 'preamble' && node.kind !== 'paragraph');
+
+  if (structural.length < 2) {
+    const clauses = segmentFlat(text);
+    logger.info(`Segmented contract into ${clauses.length} clauses (no structure found)`);
+    return clauses;
+  }
+
+  // Drop empty leaves; containers are kept so their children have a parent
+  const hasChildren = new Set(nodes.map(node => node.parent).filter(Boolean));
+  const kept = nodes.filter(node => hasChildren.has(node) || node.lines.join(' ').trim().length > 0);
+
+  const positions = new Map(kept.map((node, index) => [node, index]));
+
+  const clauses = kept.map((node, index) => {
+    let parent = node.parent;
+    while (parent && !positions.has(parent)) {
+      parent = parent.parent;
+    }
+
+    return {
+      section_number: node.label,
+      title: node.title,
+      text: node.lines.filter(Boolean).join('\n').trim(),
+      position: index,
+      kind: node.kind,
+      depth: node.depth,
+      parent_position: parent ? positions.get(parent) : null
+    };
+  });
+
   logger.info(`Segmented contract into ${clauses.length} clauses`);
   return clauses;
 }
 
 /**
- * Classify a clause based on its content
+ * Fallback classification by counting CLAUSE_PATTERNS hits
  * @param {string} text - Clause text
- * @returns {Object} Classification result
+ * @param {Array} customTypes - Custom clause types from the taxonomy service
+ * @returns {Array} { label, score } per matched type, highest first
  */
-function classifyClause(text) {
-  const doc = compromise(text);
-  const lowerText = text.toLowerCase();
-  
+function scoreClausePatterns(text, customTypes = []) {
+  const patternSets = [
+    ...Object.entries(CLAUSE_PATTERNS),
+    ...customTypes.map(type => [type.key, type.patterns])
+  ];
+
   // Score each clause type
   const scores = {};
   
-  for (const [type, patterns] of Object.entries(CLAUSE_PATTERNS)) {
+  for (const [type, patterns] of patternSets) {
     let score = 0;
     
     for (const pattern of patterns) {
@@ -184,32 +386,117 @@ function classifyClause(text) {
     scores[type] = score;
   }
   
-  // Find the highest scoring type
-  let maxScore = 0;
-  let clauseType = 'general';
-  
-  for (const [type, score] of Object.entries(scores)) {
-    if (score > maxScore) {
-      maxScore = score;
-      clauseType = type;
+  // Each type's share of all pattern matches, highest first
+  const totalMatches = Object.values(scores).reduce((a, b) => a + b, 0);
+
+  if (totalMatches === 0) {
+    return [{ label: DEFAULT_CLAUSE_TYPE, score: 0.5 }];
+  }
+
+  return Object.entries(scores)
+    .filter(([, score]) => score > 0)
+    .map(([label, score]) => ({ label, score: score / totalMatches }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Score custom clause types alongside a model prediction
+ * Pattern hits score hits / (hits + 1); example similarity scores as the
+ * cosine similarity to the examples' mean embedding.
+ * @param {string} text - Clause text
+ * @param {Array<number>} embedding - Clause embedding (optional)
+ * @param {Array} customTypes - Custom clause types from the taxonomy service
+ * @returns {Array} { label, score } for each custom type that matched
+ */
+function scoreCustomTypes(text, embedding, customTypes) {
+  const matches = [];
+
+  for (const type of customTypes) {
+    const hits = type.patterns.filter(pattern => pattern.test(text)).length;
+    let score = hits > 0 ? hits / (hits + 1) : 0;
+
+    if (embedding && type.centroid && type.centroid.length === embedding.length) {
+      const similarity = cosineSimilarity(embedding, type.centroid);
+      if (similarity >= CUSTOM_EXAMPLE_MIN_SIMILARITY) {
+        score = Math.max(score, similarity);
+      }
+    }
+
+    if (score > 0) {
+      matches.push({ label: type.key, score });
     }
   }
-  
-  // Calculate confidence (0-1)
-  const totalMatches = Object.values(scores).reduce((a, b) => a + b, 0);
-  const confidence = totalMatches > 0 ? maxScore / totalMatches : 0.5;
+
+  return matches;
+}
+
+/**
+ * Merge ranked label lists, keeping each label's best score
+ * Legacy label keys from older models are mapped onto the current taxonomy.
+ */
+function mergeRanked(...lists) {
+  const best = new Map();
+  for (const entry of lists.flat()) {
+    const label = normalizeClauseType(entry.label);
+    best.set(label, Math.max(best.get(label) || 0, entry.score));
+  }
+  return [...best.entries()]
+    .map(([label, score]) => ({ label, score }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Trim a ranked label list to the labels worth keeping
+ * The top label is always kept; the rest must reach LABEL_MIN_SCORE.
+ * @param {Array} ranked - { label, score } sorted by score
+ * @returns {Array} { label, score } with scores rounded to two decimals
+ */
+function selectLabels(ranked) {
+  return ranked
+    .filter((entry, index) => index === 0 || entry.score >= LABEL_MIN_SCORE)
+    .slice(0, MAX_LABELS)
+    .map(entry => ({ label: entry.label, score: Math.round(entry.score * 100) / 100 }));
+}
+
+/**
+ * Classify a clause based on its content
+ * Uses the trained classifier when a model and embedding are available,
+ * otherwise falls back to pattern scoring. Mixed clauses carry every label
+ * that scores at least LABEL_MIN_SCORE; clause_type is the top one.
+ * Custom types are matched by their patterns and, given an embedding, their examples.
+ * @param {string} text - Clause text
+ * @param {Array<number>} embedding - Clause embedding (optional)
+ * @param {Array} customTypes - Custom clause types from the taxonomy service (optional)
+ * @returns {Object} Classification result
+ */
+function classifyClause(text, embedding = null, customTypes = []) {
+  const doc = compromise(text);
+
+  const prediction = embedding ? classifier.predict(embedding) : null;
+  const ranked = prediction
+    ? mergeRanked(
+      prediction.ranked.map(entry => ({ label: entry.label, score: entry.probability })),
+      scoreCustomTypes(text, embedding, customTypes)
+    )
+    : mergeRanked(
+      scoreClausePatterns(text, customTypes),
+      scoreCustomTypes(text, embedding, customTypes.filter(type => type.centroid))
+    );
   
   // Extract key entities
   const entities = {
-    dates: doc.dates().out('array'),
+    // doc.dates() needs the compromise-dates plugin; fall back to the core #Date tag
+    dates: (doc.dates ? doc.dates() : doc.match('#Date+')).out('array'),
     money: doc.money().out('array'),
     organizations: doc.organizations().out('array'),
     people: doc.people().out('array')
   };
   
   return {
-    clause_type: clauseType,
-    confidence: Math.min(confidence, 1.0),
+    clause_type: ranked[0].label,
+    confidence: Math.round(Math.min(ranked[0].score, 1) * 100) / 100,
+    labels: selectLabels(ranked),
+    classified_by: prediction ? 'model' : 'patterns',
     entities,
     word_count: text.split(/\s+/).length
   };
@@ -252,111 +539,103 @@ function extractClauseTitle(text) {
 
 /**
  * Analyze clause for risk indicators
+ * Applies the risk rules scoped to the clause's type and secondary labels.
  * @param {string} text - Clause text
  * @param {string} clauseType - Type of clause
- * @returns {Object} Risk analysis
+ * @param {Object} options - { labels, entities, ruleset, perspective } (ruleset defaults to the built-in rules)
+ * @returns {Object} Risk analysis, including the ruleset version that produced it
  */
-function analyzeClauseRisk(text, clauseType) {
-  const lowerText = text.toLowerCase();
-  
-  const riskIndicators = {
-    high: [
-      /unlimited liability/i,
-      /sole discretion/i,
-      /without notice/i,
-      /automatic renewal/i,
-      /perpetual/i,
-      /irrevocable/i,
-      /waive.*rights/i,
-      /indemnify.*all/i
-    ],
-    medium: [
-      /may terminate/i,
-      /at any time/i,
-      /without cause/i,
-      /exclusive/i,
-      /binding/i,
-      /non-refundable/i
-    ],
-    low: [
-      /reasonable/i,
-      /mutual/i,
-      /written consent/i,
-      /good faith/i,
-      /commercially reasonable/i
-    ]
-  };
-  
-  let riskLevel = 'low';
-  const flags = [];
-  
-  // Check for high-risk patterns
-  for (const pattern of riskIndicators.high) {
-    if (pattern.test(text)) {
-      riskLevel = 'high';
-      flags.push({
-        severity: 'high',
-        pattern: pattern.source,
-        message: 'This clause contains potentially unfavorable terms'
-      });
-    }
-  }
-  
-  // Check for medium-risk patterns
-  if (riskLevel !== 'high') {
-    for (const pattern of riskIndicators.medium) {
-      if (pattern.test(text)) {
-        riskLevel = 'medium';
-        flags.push({
-          severity: 'medium',
-          pattern: pattern.source,
-          message: 'This clause may require careful review'
-        });
-      }
-    }
-  }
-  
-  return {
-    risk_level: riskLevel,
-    flags,
-    requires_review: riskLevel !== 'low'
-  };
+function analyzeClauseRisk(text, clauseType, options = {}) {
+  return risk.evaluateClause(
+    { text, clauseType, labels: options.labels, entities: options.entities },
+    options.ruleset,
+    { perspective: options.perspective }
+  );
 }
 
 /**
  * Process contract text and extract all clauses with classification
  * @param {string} text - Contract text
+ * @param {Object} structure - Document structure from extraction (optional)
+ * @param {Object} options - { perspective } to score risk for one party (optional)
  * @returns {Array} Array of processed clauses
  */
-async function extractAndClassifyClauses(text) {
+async function extractAndClassifyClauses(text, structure = null, options = {}) {
   logger.info('Starting clause extraction and classification');
   
   try {
     // Segment into clauses
-    const rawClauses = segmentClauses(text);
+    const rawClauses = segmentClauses(text, structure);
+
+    // Admin-defined clause types are matched alongside the built-in ones
+    const customTypes = await taxonomy.getCustomClauseTypes();
+    const needsEmbedding = Boolean(classifier.loadModel()) || customTypes.some(type => type.centroid);
+
+    // Every clause in the contract is scored by the same ruleset version
+    const ruleset = await risk.getActiveRuleset();
     
+    // The classifier and example matching work on embeddings; without them the pattern scorer is used
+    let embeddings = [];
+    if (needsEmbedding) {
+      try {
+        embeddings = await generateEmbeddingsBatch(rawClauses.map(clause => clause.text));
+      } catch (error) {
+        logger.warn('Embedding failed, using pattern scoring:', error.message);
+      }
+    }
+
     // Process each clause
-    const processedClauses = rawClauses.map((clause, index) => {
-      const classification = classifyClause(clause.text);
-      const title = extractClauseTitle(clause.text);
-      const risk = analyzeClauseRisk(clause.text, classification.clause_type);
+    const processedClauses = [];
+
+    for (const [index, clause] of rawClauses.entries()) {
+      const embedding = embeddings[index] || null;
+
+      const classification = classifyClause(clause.text, embedding, customTypes);
+      const title = clause.title || extractClauseTitle(clause.text);
+      const assessment = analyzeClauseRisk(clause.text, classification.clause_type, {
+        labels: classification.labels,
+        entities: classification.entities,
+        ruleset,
+        perspective: options.perspective
+      });
+
+      // Plain-English explanation for flagged clauses
+      const riskExplanation = await llm.explainRisk({
+        text: clause.text,
+        clauseType: classification.clause_type,
+        riskLevel: assessment.risk_level,
+        flags: assessment.flags
+      });
       
-      return {
+      processedClauses.push({
         position: clause.position,
+        parent_position: clause.parent_position,
+        depth: clause.depth,
+        kind: clause.kind,
         section_number: clause.section_number,
         title: title,
         text: clause.text,
         clause_type: classification.clause_type,
         confidence: classification.confidence,
+        labels: classification.labels,
+        classified_by: classification.classified_by,
         entities: classification.entities,
         word_count: classification.word_count,
-        risk_level: risk.risk_level,
-        risk_flags: risk.flags,
-        requires_review: risk.requires_review
-      };
-    });
+        risk_level: assessment.risk_level,
+        risk_flags: assessment.flags,
+        risk_explanation: riskExplanation,
+        requires_review: assessment.requires_review,
+        risk_ruleset_version: assessment.ruleset_version,
+        embedding
+      });
+    }
     
-    logger.info(`Successfully processed ${processedClauses.length} clauses`);
+    const modelCount = processedClauses.filter(clause => clause.classified_by === 'model').length;
+    if (modelCount < processedClauses.length) {
+      const reason = classifier.loadModel() ? 'no clause embeddings' : 'no trained classifier';
+      logger.warn(`${processedClauses.length - modelCount} of ${processedClauses.length} clauses classified by pattern scoring (${reason})`);
+    }
+    logger.info(`Successfully processed ${processedClauses.length} clauses (${modelCount} classified by model)`);
     return processedClauses;
     
   } catch (error) {
@@ -366,7 +645,10 @@ async function extractAndClassifyClauses(text) {
 }
 
 module.exports = {
+  CLAUSE_TYPES,
+  LABEL_MIN_SCORE,
   segmentClauses,
+  buildClauseTree,
   classifyClause,
   extractClauseTitle,
   analyzeClauseRisk,
@@ -0,0 +1,68 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }));
+jest.mock('@xenova/transformers', () => ({ pipeline: jest.fn() }));
+jest.mock('../utils/logger');
+
+const { buildClauseTree } = require('./clause.service');
+const { blocksFromText } = require('./structure.service');
+
+const tree = text => buildClauseTree(blocksFromText([text])).map(node => ({
+  kind: node.kind,
+  depth: node.depth,
+  label: node.label,
+  title: node.title,
+  parent: node.parent ? node.parent.label : null,
+  text: node.lines.filter(Boolean).join('\n')
+}));
+
+describe('buildClauseTree', () => {
+  it('nests sections under articles and lettered items under sections', () => {
+    const nodes = tree([
+      'MASTER SERVICES AGREEMENT',
+      'This Agreement is made between Acme Inc and Beta LLC.',
+      'ARTICLE I',
+      'DEFINITIONS',
+      '1.1 "Services" means the services described in an Order.',
+      '1.2 "Fees" means the amounts payable.',
+      'ARTICLE II',
+      'PAYMENT',
+      '2.1 Customer shall pay all invoices within 30 days.',
+      '(a) Late amounts bear interest.',
+      '(b) Disputed amounts are excluded.',
+      '2.2 Fees are exclusive of taxes.'
+    ].join('\n\n'));
+
+    expect(nodes.map(({ kind, depth, label, parent }) => [kind, depth, label, parent])).toEqual([
+      ['preamble', 0, null, null],
+      ['article', 0, 'ARTICLE I', null],
+      ['section', 1, '1.1', 'ARTICLE I'],
+      ['section', 1, '1.2', 'ARTICLE I'],
+      ['article', 0, 'ARTICLE II', null],
+      ['section', 1, '2.1', 'ARTICLE II'],
+      ['item', 2, '(a)', '2.1'],
+      ['item', 2, '(b)', '2.1'],
+      ['section', 1, '2.2', 'ARTICLE II']
+    ]);
+  });
+
+  it('uses the heading after an article number as its title', () => {
+    const [, article] = tree('Preamble text.\n\nARTICLE I\n\nDEFINITIONS\n\n1.1 "Fees" means the amounts payable.');
+
+    expect(article.title).toBe('DEFINITIONS');
+  });
+
+  it('keeps the document title and opening text in the preamble', () => {
+    const [preamble] = tree('MASTER SERVICES AGREEMENT\n\nThis Agreement is made between Acme Inc and Beta LLC.\n\n1. Services\n\n2. Fees');
+
+    expect(preamble).toMatchObject({
+      kind: 'preamble',
+      title: 'MASTER SERVICES AGREEMENT',
+      text: 'MASTER SERVICES AGREEMENT\nThis Agreement is made between Acme Inc and Beta LLC.'
+    });
+  });
+
+  it('adds unnumbered paragraphs to the clause they follow', () => {
+    const nodes = tree('1.1 Customer shall pay all fees.\n\nFees are payable in US dollars.\n\n1.2 Taxes are extra.');
+
+    expect(nodes.find(node => node.label === '1.1').text).toBe('Customer shall pay all fees.\nFees are payable in US dollars.');
+  });
+});
@@ -0,0 +1,391 @@
+/**
+ * Comparison Service
+ * Aligns the clauses of two contract versions and computes word-level diffs
+ */
+
+const { diffWords } = require('diff');
+const { query } = require('../database/connection');
+const { cosineSimilarity, parseEmbeddingFromDB } = require('./embedding.service');
+const logger = require('../utils/logger');
+
+// Minimum similarity for two clauses to be considered the same clause
+const MATCH_THRESHOLD = 0.75;
+
+// Clauses that keep their section number may drift further before we call them different
+const SECTION_MATCH_THRESHOLD = 0.5;
+
+/**
+ * Load the clauses of a contract in document order
+ * @param {number} contractId - Contract ID
+ * @returns {Array} Array of clause rows
+ */
+async function loadClauses(contractId) {
+  const result = await query(
+    `SELECT id, position, section_number, title, text, clause_type,
+            risk_level, embedding
+     FROM clauses
+     WHERE contract_id = $1
+     ORDER BY position ASC`,
+    [contractId]
+  );
+
+  return result.rows.map(clause => ({
+    ...clause,
+    embedding: clause.embedding ? parseEmbeddingFromDB(clause.embedding) : null
+  }));
+}
+
+/**
+ * Normalize clause text so whitespace-only edits are not reported as changes
+ * @param {string} text - Clause text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Word overlap similarity, used when a clause has no stored embedding
+ * @param {string} text1 - First text
+ * @param {string} text2 - Second text
+ * @returns {number} Jaccard similarity (0-1)
+ */
+function tokenSimilarity(text1, text2) {
+  const words1 = new Set(text1.toLowerCase().match(/\w+/g) || []);
+  const words2 = new Set(text2.toLowerCase().match(/\w+/g) || []);
+
+  if (words1.size === 0 && words2.size === 0) {
+    return 1;
+  }
+
+  let intersection = 0;
+  for (const word of words1) {
+    if (words2.has(word)) {
+      intersection++;
+    }
+  }
+
+  return intersection / (words1.size + words2.size - intersection);
+}
+
+/**
+ * Similarity between two clauses
+ * @param {Object} clause1 - Clause from the first version
+ * @param {Object} clause2 - Clause from the second version
+ * @returns {number} Similarity score (0-1)
+ */
+function clauseSimilarity(clause1, clause2) {
+  if (normalizeText(clause1.text) === normalizeText(clause2.text)) {
+    return 1;
+  }
+
+  if (clause1.embedding && clause2.embedding) {
+    return cosineSimilarity(clause1.embedding, clause2.embedding);
+  }
+
+  return tokenSimilarity(clause1.text, clause2.text);
+}
+
+/**
+ * Align clauses of two versions by embedding similarity and section number
+ * Pairs are assigned greedily from the most similar down.
+ * @param {Array} clauses1 - Clauses of the first version
+ * @param {Array} clauses2 - Clauses of the second version
+ * @returns {Object} { pairs, unmatched1, unmatched2 }
+ */
+function alignClauses(clauses1, clauses2) {
+  const candidates = [];
+
+  clauses1.forEach((clause1, i) => {
+    clauses2.forEach((clause2, j) => {
+      const similarity = clauseSimilarity(clause1, clause2);
+      const sameSection = Boolean(clause1.section_number) &&
+        clause1.section_number === clause2.section_number;
+      const threshold = sameSection ? SECTION_MATCH_THRESHOLD : MATCH_THRESHOLD;
+
+      if (similarity >= threshold) {
+        candidates.push({ i, j, similarity, sameSection });
+      }
+    });
+  });
+
+  // Most similar first; same section number breaks ties
+  candidates.sort((a, b) =>
+    b.similarity - a.similarity || Number(b.sameSection) - Number(a.sameSection)
+  );
+
+  const matched1 = new Set();
+  const matched2 = new Set();
+  const pairs = [];
+
+  for (const candidate of candidates) {
+    if (matched1.has(candidate.i) || matched2.has(candidate.j)) {
+      continue;
+    }
+
+    matched1.add(candidate.i);
+    matched2.add(candidate.j);
+    pairs.push({
+      v1: clauses1[candidate.i],
+      v2: clauses2[candidate.j],
+      similarity: candidate.similarity
+    });
+  }
+
+  pairs.sort((a, b) => a.v2.position - b.v2.position);
+
+  return {
+    pairs,
+    unmatched1: clauses1.filter((_, i) => !matched1.has(i)),
+    unmatched2: clauses2.filter((_, j) => !matched2.has(j))
+  };
+}
+
+/**
+ * Compute a word-level diff between two clause texts
+ * @param {string} text1 - Original text
+ * @param {string} text2 - Revised text
+ * @returns {Object} { changes, wordsAdded, wordsRemoved }
+ */
+function diffClauseText(text1, text2) {
+  const parts = diffWords(normalizeText(text1), normalizeText(text2));
+
+  let wordsAdded = 0;
+  let wordsRemoved = 0;
+
+  const changes = parts.map(part => {
+    const words = (part.value.match(/\S+/g) || []).length;
+
+    if (part.added) {
+      wordsAdded += words;
+      return { type: 'added', value: part.value };
+    }
+    if (part.removed) {
+      wordsRemoved += words;
+      return { type: 'removed', value: part.value };
+    }
+    return { type: 'equal', value: part.value };
+  });
+
+  return { changes, wordsAdded, wordsRemoved };
+}
+
+/**
+ * Strip a clause down to the fields stored with a comparison
+ * @param {Object} clause - Clause row
+ * @returns {Object} Clause summary
+ */
+function summarizeClause(clause) {
+  return {
+    id: clause.id,
+    position: clause.position,
+    section_number: clause.section_number,
+    title: clause.title,
+    clause_type: clause.clause_type,
+    risk_level: clause.risk_level,
+    text: clause.text
+  };
+}
+
+/**
+ * Build a one-line description of the changes between two versions
+ */
+function buildChangeSummary(added, removed, modified) {
+  if (added.length === 0 && removed.length === 0 && modified.length === 0) {
+    return 'No clause changes between versions';
+  }
+
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+  return [
+    `${plural(added.length, 'clause')} added`,
+    `${plural(removed.length, 'clause')} removed`,
+    `${plural(modified.length, 'clause')} modified`
+  ].join(', ');
+}
+
+/**
+ * Compare the clauses of two contract versions
+ * @param {Array} clauses1 - Clauses of the first version
+ * @param {Array} clauses2 - Clauses of the second version
+ * @returns {Object} { added, removed, modified, unchanged, changeSummary }
+ */
+function diffClauses(clauses1, clauses2) {
+  const { pairs, unmatched1, unmatched2 } = alignClauses(clauses1, clauses2);
+
+  const modified = [];
+  const unchanged = [];
+
+  for (const pair of pairs) {
+    if (normalizeText(pair.v1.text) === normalizeText(pair.v2.text)) {
+      unchanged.push({ v1_id: pair.v1.id, v2_id: pair.v2.id });
+      continue;
+    }
+
+    const diff = diffClauseText(pair.v1.text, pair.v2.text);
+
+    modified.push({
+      v1: summarizeClause(pair.v1),
+      v2: summarizeClause(pair.v2),
+      similarity: Math.round(pair.similarity * 1000) / 1000,
+      changes: diff.changes,
+      words_added: diff.wordsAdded,
+      words_removed: diff.wordsRemoved
+    });
+  }
+
+  const added = unmatched2.map(summarizeClause);
+  const removed = unmatched1.map(summarizeClause);
+
+  return {
+    added,
+    removed,
+    modified,
+    unchanged,
+    changeSummary: buildChangeSummary(added, removed, modified)
+  };
+}
+
+/**
+ * Replace the labels stored with a comparison by the clauses' current ones
+ * Risk levels and types change after the comparison is cached (perspective rescoring,
+ * reviewer corrections), while the alignment and diffs only depend on the text.
+ * @param {Object} comparison - Formatted comparison
+ * @returns {Object} Comparison with current clause_type and risk_level
+ */
+async function refreshClauseLabels(comparison) {
+  const summaries = [
+    ...comparison.added,
+    ...comparison.removed,
+    ...comparison.modified.flatMap(entry => [entry.v1, entry.v2])
+  ];
+
+  if (summaries.length === 0) {
+    return comparison;
+  }
+
+  const result = await query(
+    'SELECT id, clause_type, risk_level FROM clauses WHERE id = ANY($1)',
+    [summaries.map(summary => summary.id)]
+  );
+  const current = new Map(result.rows.map(row => [row.id, row]));
+
+  // Clauses deleted since (e.g. by re-analysis) keep their stored labels
+  const refresh = summary => {
+    const labels = current.get(summary.id);
+    return labels
+      ? { ...summary, clause_type: labels.clause_type, risk_level: labels.risk_level }
+      : summary;
+  };
+
+  return {
+    ...comparison,
+    added: comparison.added.map(refresh),
+    removed: comparison.removed.map(refresh),
+    modified: comparison.modified.map(entry => ({ ...entry, v1: refresh(entry.v1), v2: refresh(entry.v2) }))
+  };
+}
+
+/**
+ * Format a comparison_results row for API responses
+ */
+function formatComparison(row, cached) {
+  return {
+    id: row.id,
+    contractV1Id: row.contract_v1_id,
+    contractV2Id: row.contract_v2_id,
+    added: row.added_clauses,
+    removed: row.removed_clauses,
+    modified: row.modified_clauses,
+    unchanged: row.unchanged_clauses,
+    changeSummary: row.change_summary,
+    createdAt: row.created_at,
+    cached
+  };
+}
+
+/**
+ * Compare two contracts, using the cached result when one exists
+ * Cached results are served with the clauses' current risk levels and types.
+ * @param {number} contractV1Id - Original contract ID
+ * @param {number} contractV2Id - Revised contract ID
+ * @param {Object} options - { refresh: recompute even if cached }
+ * @returns {Object} Comparison result
+ */
+async function compareContracts(contractV1Id, contractV2Id, options = {}) {
+  if (!options.refresh) {
+    const cachedResult = await query(
+      `SELECT * FROM comparison_results
+       WHERE contract_v1_id = $1 AND contract_v2_id = $2`,
+      [contractV1Id, contractV2Id]
+    );
+
+    if (cachedResult.rows.length > 0) {
+      logger.info(`Using cached comparison of contracts ${contractV1Id} and ${contractV2Id}`);
+      return refreshClauseLabels(formatComparison(cachedResult.rows[0], true));
+    }
+  }
+
+  logger.info(`Comparing contracts ${contractV1Id} and ${contractV2Id}`);
+
+  const [clauses1, clauses2] = await Promise.all([
+    loadClauses(contractV1Id),
+    loadClauses(contractV2Id)
+  ]);
+
+  const result = diffClauses(clauses1, clauses2);
+
+  const saved = await query(
+    `INSERT INTO comparison_results
+     (contract_v1_id, contract_v2_id, added_clauses, removed_clauses,
+      modified_clauses, unchanged_clauses, change_summary, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+     ON CONFLICT (contract_v1_id, contract_v2_id) DO UPDATE SET
+       added_clauses = EXCLUDED.added_clauses,
+       removed_clauses = EXCLUDED.removed_clauses,
+       modified_clauses = EXCLUDED.modified_clauses,
+       unchanged_clauses = EXCLUDED.unchanged_clauses,
+       change_summary = EXCLUDED.change_summary,
+       created_at = NOW()
+     RETURNING *`,
+    [
+      contractV1Id,
+      contractV2Id,
+      JSON.stringify(result.added),
+      JSON.stringify(result.removed),
+      JSON.stringify(result.modified),
+      JSON.stringify(result.unchanged),
+      result.changeSummary
+    ]
+  );
+
+  logger.info(`Compared contracts ${contractV1Id} and ${contractV2Id}: ${result.changeSummary}`);
+
+  return formatComparison(saved.rows[0], false);
+}
+
+/**
+ * Drop cached comparisons involving a contract
+ * Call when the contract's clauses are replaced: cached alignments and diffs refer
+ * to clause ids that no longer exist.
+ * @param {number} contractId - Contract ID
+ */
+async function invalidateComparisons(contractId) {
+  const result = await query(
+    `DELETE FROM comparison_results WHERE contract_v1_id = $1 OR contract_v2_id = $1`,
+    [contractId]
+  );
+
+  if (result.rowCount > 0) {
+    logger.info(`Dropped ${result.rowCount} cached comparisons of contract ${contractId}`);
+  }
+}
+
+module.exports = {
+  tokenSimilarity,
+  alignClauses,
+  diffClauseText,
+  diffClauses,
+  compareContracts,
+  invalidateComparisons
+};
@@ -0,0 +1,114 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }));
+jest.mock('@xenova/transformers', () => ({ pipeline: jest.fn() }));
+jest.mock('../utils/logger');
+
+const { tokenSimilarity, alignClauses, diffClauseText, diffClauses } = require('./comparison.service');
+
+const clause = (id, position, text, extra = {}) => ({ id, position, text, section_number: null, ...extra });
+
+describe('tokenSimilarity', () => {
+  it('is the Jaccard overlap of the words, ignoring case', () => {
+    expect(tokenSimilarity('Fees are due', 'fees ARE due')).toBe(1);
+    expect(tokenSimilarity('a b c', 'b c d')).toBeCloseTo(0.5);
+  });
+
+  it('treats two texts without words as identical', () => {
+    expect(tokenSimilarity('', '...')).toBe(1);
+  });
+});
+
+describe('alignClauses', () => {
+  it('pairs identical clauses even when they moved', () => {
+    const v1 = [clause(1, 0, 'Customer shall pay all fees.'), clause(2, 1, 'This Agreement is governed by Delaware law.')];
+    const v2 = [clause(3, 0, 'This Agreement is governed by Delaware law.'), clause(4, 1, 'Customer shall pay all fees.')];
+
+    const { pairs, unmatched1, unmatched2 } = alignClauses(v1, v2);
+
+    expect(pairs.map(pair => [pair.v1.id, pair.v2.id])).toEqual([[2, 3], [1, 4]]);
+    expect(pairs.every(pair => pair.similarity === 1)).toBe(true);
+    expect(unmatched1).toEqual([]);
+    expect(unmatched2).toEqual([]);
+  });
+
+  it('ignores whitespace differences', () => {
+    const { pairs } = alignClauses(
+      [clause(1, 0, 'Customer  shall\npay all fees.')],
+      [clause(2, 0, 'Customer shall pay all fees.')]
+    );
+
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0].similarity).toBe(1);
+  });
+
+  it('accepts a weaker match when the section number is unchanged', () => {
+    const v1 = [clause(1, 0, 'Customer shall pay all invoices within thirty days', { section_number: '4.1' })];
+    const v2 = [clause(2, 0, 'Customer shall pay all invoices within sixty days of receipt', { section_number: '4.1' })];
+    const moved = [clause(2, 0, v2[0].text, { section_number: '7.3' })];
+
+    expect(alignClauses(v1, v2).pairs).toHaveLength(1);
+    expect(alignClauses(v1, moved).pairs).toHaveLength(0);
+  });
+
+  it('uses embeddings when both clauses have one', () => {
+    const { pairs } = alignClauses(
+      [clause(1, 0, 'Fees are payable monthly.', { embedding: [1, 0] })],
+      [clause(2, 0, 'Charges are billed every month.', { embedding: [0.9, 0.1] })]
+    );
+
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0].similarity).toBeGreaterThan(0.9);
+  });
+
+  it('assigns each clause to its most similar counterpart only once', () => {
+    const v1 = [clause(1, 0, 'a b c d', { embedding: [1, 0] })];
+    const v2 = [
+      clause(2, 0, 'a b c d e', { embedding: [0.8, 0.6] }),
+      clause(3, 1, 'a b c d', { embedding: [1, 0] })
+    ];
+
+    const { pairs, unmatched2 } = alignClauses(v1, v2);
+
+    expect(pairs.map(pair => pair.v2.id)).toEqual([3]);
+    expect(unmatched2.map(unmatched => unmatched.id)).toEqual([2]);
+  });
+});
+
+describe('diffClauseText', () => {
+  it('counts the words added and removed', () => {
+    const diff = diffClauseText('pay within 30 days', 'pay within 60 calendar days');
+
+    expect(diff.wordsAdded).toBe(2);
+    expect(diff.wordsRemoved).toBe(1);
+    expect(diff.changes.filter(change => change.type === 'removed').map(change => change.value)).toEqual(['30']);
+  });
+});
+
+describe('diffClauses', () => {
+  it('sorts aligned clauses into added, removed, modified and unchanged', () => {
+    const v1 = [
+      clause(1, 0, 'This Agreement is governed by Delaware law.'),
+      clause(2, 1, 'Customer shall pay all invoices within thirty days.', { section_number: '2' }),
+      clause(3, 2, 'Either party may assign this Agreement freely.')
+    ];
+    const v2 = [
+      clause(4, 0, 'This Agreement is governed by Delaware law.'),
+      clause(5, 1, 'Customer shall pay all invoices within sixty days.', { section_number: '2' }),
+      clause(6, 2, 'Provider may audit Customer once per year.')
+    ];
+
+    const result = diffClauses(v1, v2);
+
+    expect(result.unchanged).toEqual([{ v1_id: 1, v2_id: 4 }]);
+    expect(result.modified).toHaveLength(1);
+    expect(result.modified[0]).toMatchObject({ v1: { id: 2 }, v2: { id: 5 }, words_added: 1, words_removed: 1 });
+    expect(result.added.map(added => added.id)).toEqual([6]);
+    expect(result.removed.map(removed => removed.id)).toEqual([3]);
+    expect(result.changeSummary).toBe('1 clause added, 1 clause removed, 1 clause modified');
+  });
+
+  it('reports identical versions as unchanged', () => {
+    const clauses = [clause(1, 0, 'Fees are due monthly.')];
+
+    expect(diffClauses(clauses, clauses).changeSummary).toBe('No clause changes between versions');
+  });
+});
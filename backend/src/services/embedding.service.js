@@ -1,10 +1,29 @@
 /**
  * Embedding Service
  * Generates semantic embeddings for clauses using sentence transformers
+ * Texts are embedded in padded batches, and document embeddings are cached in Postgres
+ * by a hash of the model and text, so repeated boilerplate is only embedded once.
+ * One-off texts such as search queries bypass the cache so it does not grow with them.
+ * Texts longer than the model's window are split into overlapping token-counted
+ * chunks whose embeddings are pooled, rather than truncated.
  */
 
+const crypto = require('crypto');
 const { pipeline } = require('@xenova/transformers');
-const logger = require('../config/logger');
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+
+const MODEL_NAME = 'Xenova/all-MiniLM-L6-v2';
+
+// Texts per forward pass; larger batches are faster but pad every text to the longest
+const BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || 16;
+
+// all-MiniLM-L6-v2 was trained on sequences of up to 256 tokens, [CLS] and [SEP] included
+const MAX_CHUNK_TOKENS = 254;
+
+// Tokens repeated between consecutive chunks, so a sentence cut at a boundary is
+// still seen whole by one of them
+const CHUNK_OVERLAP_TOKENS = 48;
 
 // Cache the model pipeline
 let embeddingPipeline = null;
@@ -24,7 +43,7 @@ async function initializeEmbeddingModel() {
     // Create feature extraction pipeline
     embeddingPipeline = await pipeline(
       'feature-extraction',
-      'Xenova/all-MiniLM-L6-v2'
+      MODEL_NAME
     );
     
     logger.info('Embedding model initialized successfully');
@@ -37,98 +56,265 @@ async function initializeEmbeddingModel() {
 }
 
 /**
- * Mean pooling function to convert token embeddings to sentence embedding
- * @param {Object} output - Model output
- * @param {Object} attention_mask - Attention mask
- * @returns {Array} Pooled embedding
+ * Split text into chunks that fit the model's window
+ * Words are counted with the model's tokenizer; BERT tokenizers split on whitespace
+ * before word pieces, so per-word counts add up to the count for the whole text.
+ * Consecutive chunks share about CHUNK_OVERLAP_TOKENS tokens.
+ * @param {string} text - Text to split
+ * @returns {Promise<Array>} [{ index, start, end, token_count, text }] with character offsets
  */
-function meanPooling(output, attention_mask) {
-  // Get the token embeddings
-  const embeddings = output.tolist()[0];
-  const mask = attention_mask.tolist()[0];
-  
-  // Calculate mean of all token embeddings (weighted by attention mask)
-  const pooled = new Array(embeddings[0].length).fill(0);
-  let count = 0;
-  
-  for (let i = 0; i < embeddings.length; i++) {
-    if (mask[i] === 1) {
-      for (let j = 0; j < embeddings[i].length; j++) {
-        pooled[j] += embeddings[i][j];
-      }
-      count++;
+async function chunkText(text) {
+  const model = await initializeEmbeddingModel();
+  const counts = new Map();
+  const countTokens = word => {
+    if (!counts.has(word)) {
+      counts.set(word, model.tokenizer.encode(word, null, { add_special_tokens: false }).length);
     }
+    return counts.get(word);
+  };
+
+  const words = [...text.matchAll(/\S+/g)].map(match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    tokens: countTokens(match[0])
+  }));
+
+  const total = words.reduce((sum, word) => sum + word.tokens, 0);
+  if (total <= MAX_CHUNK_TOKENS) {
+    return [{ index: 0, start: 0, end: text.length, token_count: total, text }];
   }
-  
-  // Normalize
-  for (let i = 0; i < pooled.length; i++) {
-    pooled[i] /= count;
+
+  const chunks = [];
+  let first = 0;
+  while (first < words.length) {
+    // A single word longer than the window gets a chunk of its own and is truncated by the model
+    let last = first;
+    let tokens = 0;
+    while (last < words.length && (last === first || tokens + words[last].tokens <= MAX_CHUNK_TOKENS)) {
+      tokens += words[last].tokens;
+      last++;
+    }
+
+    const start = words[first].start;
+    const end = words[last - 1].end;
+    chunks.push({ index: chunks.length, start, end, token_count: tokens, text: text.slice(start, end) });
+
+    if (last >= words.length) {
+      break;
+    }
+
+    // Step back over the trailing words to overlap the next chunk, always moving forward
+    let next = last;
+    let overlap = 0;
+    while (next > first + 1 && overlap + words[next - 1].tokens <= CHUNK_OVERLAP_TOKENS) {
+      next--;
+      overlap += words[next].tokens;
+    }
+    first = next;
   }
-  
-  return pooled;
+
+  return chunks;
 }
 
 /**
- * Generate embedding for a single text
- * @param {string} text - Text to embed
- * @returns {Array} Embedding vector (384 dimensions)
+ * Pool chunk embeddings into one text embedding
+ * Chunks are weighted by token count and the mean is re-normalized to unit length,
+ * matching the normalized single-pass embeddings of short texts.
+ * @param {Array<{embedding: Array, token_count: number}>} chunks - Embedded chunks
+ * @returns {Array} Pooled embedding
  */
-async function generateEmbedding(text) {
+function poolChunkEmbeddings(chunks) {
+  if (chunks.length === 1) {
+    return chunks[0].embedding;
+  }
+
+  const pooled = new Array(chunks[0].embedding.length).fill(0);
+  for (const chunk of chunks) {
+    const weight = Math.max(chunk.token_count, 1);
+    chunk.embedding.forEach((value, i) => { pooled[i] += value * weight; });
+  }
+
+  const norm = Math.sqrt(pooled.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? pooled : pooled.map(value => value / norm);
+}
+
+/**
+ * Cache key for a text
+ * @param {string} text - Text as fed to the model
+ * @returns {string} SHA-256 of the model name and text
+ */
+function hashText(text) {
+  return crypto.createHash('sha256').update(`${MODEL_NAME}\n${text}`).digest('hex');
+}
+
+/**
+ * Look up cached embeddings
+ * A failed lookup only costs a recomputation, so errors are logged and ignored.
+ * @param {Array<string>} hashes - Content hashes
+ * @returns {Promise<Map>} hash -> embedding
+ */
+async function getCachedEmbeddings(hashes) {
+  const cached = new Map();
+  if (hashes.length === 0) {
+    return cached;
+  }
+
   try {
-    const model = await initializeEmbeddingModel();
-    
-    // Truncate text if too long (max 512 tokens)
-    const truncatedText = text.substring(0, 2000);
-    
-    // Generate embedding
-    const output = await model(truncatedText, {
+    const result = await query(
+      `UPDATE embedding_cache
+       SET hit_count = hit_count + 1, last_used_at = NOW()
+       WHERE content_hash = ANY($1::text[])
+       RETURNING content_hash, embedding`,
+      [hashes]
+    );
+
+    for (const row of result.rows) {
+      cached.set(row.content_hash, parseEmbeddingFromDB(row.embedding));
+    }
+  } catch (error) {
+    logger.warn('Embedding cache lookup failed:', error.message);
+  }
+
+  return cached;
+}
+
+/**
+ * Store newly computed embeddings in the cache
+ * @param {Array<{hash: string, embedding: Array}>} entries - Embeddings to store
+ */
+async function cacheEmbeddings(entries) {
+  if (entries.length === 0) {
+    return;
+  }
+
+  try {
+    await query(
+      `INSERT INTO embedding_cache (content_hash, model, embedding)
+       SELECT hash, $3, embedding::vector
+       FROM unnest($1::text[], $2::text[]) AS entries(hash, embedding)
+       ON CONFLICT (content_hash) DO NOTHING`,
+      [
+        entries.map(entry => entry.hash),
+        entries.map(entry => formatEmbeddingForDB(entry.embedding)),
+        MODEL_NAME
+      ]
+    );
+  } catch (error) {
+    logger.warn('Embedding cache write failed:', error.message);
+  }
+}
+
+/**
+ * Run the model over texts in batches
+ * Texts are sorted by length so each batch pads to a similar length; mean pooling
+ * ignores the padding, so results match embedding each text on its own.
+ * @param {Array<string>} texts - Prepared texts
+ * @returns {Promise<Array<Array>>} Embeddings in input order
+ */
+async function embedTexts(texts) {
+  const model = await initializeEmbeddingModel();
+  const order = texts.map((text, index) => index).sort((a, b) => texts[a].length - texts[b].length);
+  const embeddings = new Array(texts.length);
+
+  for (let i = 0; i < order.length; i += BATCH_SIZE) {
+    const indices = order.slice(i, i + BATCH_SIZE);
+    const output = await model(indices.map(index => texts[index]), {
       pooling: 'mean',
       normalize: true
     });
-    
-    // Convert to array
-    const embedding = Array.from(output.data);
-    
-    logger.debug(`Generated embedding of dimension ${embedding.length}`);
-    return embedding;
-    
-  } catch (error) {
-    logger.error('Error generating embedding:', error);
-    throw error;
+
+    // Output is a [batch, dimension] tensor
+    const dimension = output.dims[output.dims.length - 1];
+    indices.forEach((index, row) => {
+      embeddings[index] = Array.from(output.data.subarray(row * dimension, (row + 1) * dimension));
+    });
+
+    logger.debug(`Embedded batch ${Math.floor(i / BATCH_SIZE) + 1}/${Math.ceil(order.length / BATCH_SIZE)}`);
+  }
+
+  return embeddings;
+}
+
+/**
+ * Embed texts that fit the model's window
+ * Cached texts are served from the cache, duplicates are embedded once, and the
+ * rest go through the model in batches of BATCH_SIZE.
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} options - { cache: false } to neither read nor write the cache
+ * @returns {Promise<Array<Array>>} Embeddings in input order
+ */
+async function embedWithCache(texts, { cache = true } = {}) {
+  const hashes = texts.map(hashText);
+  const textByHash = new Map(hashes.map((hash, index) => [hash, texts[index]]));
+  const unique = [...textByHash.keys()];
+
+  const embeddings = cache ? await getCachedEmbeddings(unique) : new Map();
+  const missing = unique.filter(hash => !embeddings.has(hash));
+
+  if (missing.length > 0) {
+    const computed = await embedTexts(missing.map(hash => textByHash.get(hash)));
+    missing.forEach((hash, index) => embeddings.set(hash, computed[index]));
+    if (cache) {
+      await cacheEmbeddings(missing.map((hash, index) => ({ hash, embedding: computed[index] })));
+    }
+  }
+
+  if (texts.length > 1) {
+    logger.info(`Embedded ${texts.length} texts (${unique.length - missing.length} cached, ${missing.length} computed)`);
   }
+
+  return hashes.map(hash => embeddings.get(hash));
+}
+
+/**
+ * Generate embedding for a single text
+ * @param {string} text - Text to embed
+ * @param {Object} options - { cache: false } for one-off texts such as search queries
+ * @returns {Array} Embedding vector (384 dimensions)
+ */
+async function generateEmbedding(text, options = {}) {
+  const [embedding] = await generateEmbeddingsBatch([text], options);
+  return embedding;
 }
 
 /**
  * Generate embeddings for multiple texts in batch
+ * Long texts are embedded chunk by chunk and pooled; see generateChunkedEmbeddings.
  * @param {Array<string>} texts - Array of texts to embed
+ * @param {Object} options - { cache: false } to bypass the embedding cache
  * @returns {Array<Array>} Array of embedding vectors
  */
-async function generateEmbeddingsBatch(texts) {
+async function generateEmbeddingsBatch(texts, options = {}) {
+  const results = await generateChunkedEmbeddings(texts, options);
+  return results.map(result => result.embedding);
+}
+
+/**
+ * Generate pooled and per-chunk embeddings for multiple texts
+ * Chunks from every text are embedded together, so a batch of long clauses still
+ * makes full use of each forward pass.
+ * @param {Array<string>} texts - Array of texts to embed
+ * @param {Object} options - { cache: false } to bypass the embedding cache
+ * @returns {Promise<Array>} [{ embedding, chunks: [{ index, start, end, token_count, embedding }] }]
+ */
+async function generateChunkedEmbeddings(texts, options = {}) {
   try {
-    logger.info(`Generating embeddings for ${texts.length} texts`);
-    
-    const embeddings = [];
-    
-    // Process in batches to avoid memory issues
-    const batchSize = 10;
-    
-    for (let i = 0; i < texts.length; i += batchSize) {
-      const batch = texts.slice(i, i + batchSize);
-      
-      const batchEmbeddings = await Promise.all(
-        batch.map(text => generateEmbedding(text))
-      );
-      
-      embeddings.push(...batchEmbeddings);
-      
-      logger.debug(`Processed batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(texts.length / batchSize)}`);
+    const chunked = [];
+    for (const text of texts) {
+      chunked.push(await chunkText(text || ''));
     }
-    
-    logger.info(`Successfully generated ${embeddings.length} embeddings`);
-    return embeddings;
-    
+
+    const flat = chunked.flat();
+    const embeddings = await embedWithCache(flat.map(chunk => chunk.text), options);
+    flat.forEach((chunk, index) => { chunk.embedding = embeddings[index]; });
+
+    return chunked.map(chunks => ({
+      embedding: poolChunkEmbeddings(chunks),
+      chunks: chunks.map(({ text, ...chunk }) => chunk)
+    }));
+
   } catch (error) {
-    logger.error('Error generating batch embeddings:', error);
+    logger.error('Error generating embeddings:', error);
     throw error;
   }
 }
@@ -176,7 +362,7 @@ async function findSimilar(queryText, candidateTexts, topK = 5) {
     logger.info(`Finding top ${topK} similar texts to query`);
     
     // Generate embeddings
-    const queryEmbedding = await generateEmbedding(queryText);
+    const queryEmbedding = await generateEmbedding(queryText, { cache: false });
     const candidateEmbeddings = await generateEmbeddingsBatch(candidateTexts);
     
     // Calculate similarities
@@ -225,6 +411,8 @@ module.exports = {
   initializeEmbeddingModel,
   generateEmbedding,
   generateEmbeddingsBatch,
+  generateChunkedEmbeddings,
+  chunkText,
   cosineSimilarity,
   findSimilar,
   formatEmbeddingForDB,
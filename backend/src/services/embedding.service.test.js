@@ -0,0 +1,66 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }));
+jest.mock('../utils/logger');
+
+// Stand-in tokenizer: one token per four characters, like word pieces for long words
+const mockEncode = jest.fn(word => new Array(Math.ceil(word.length / 4)).fill(0));
+jest.mock('@xenova/transformers', () => ({
+  pipeline: jest.fn(async () => ({ tokenizer: { encode: mockEncode } }))
+}));
+
+const { chunkText } = require('./embedding.service');
+
+const words = count => Array.from({ length: count }, (_, i) => `w${i % 100}`).join(' ');
+
+describe('chunkText', () => {
+  beforeEach(() => mockEncode.mockClear());
+
+  it('returns a short text as a single chunk', async () => {
+    const text = 'Customer shall pay all fees.';
+
+    expect(await chunkText(text)).toEqual([{ index: 0, start: 0, end: text.length, token_count: 8, text }]);
+  });
+
+  it('splits long text into overlapping windows that fit the model', async () => {
+    const text = words(600);
+    const chunks = await chunkText(text);
+
+    expect(chunks.length).toBeGreaterThan(2);
+    chunks.forEach((chunk, i) => {
+      expect(chunk.index).toBe(i);
+      expect(chunk.token_count).toBeLessThanOrEqual(254);
+      expect(chunk.text).toBe(text.slice(chunk.start, chunk.end));
+    });
+
+    // Each chunk starts inside the previous one and ends past it
+    for (let i = 1; i < chunks.length; i++) {
+      expect(chunks[i].start).toBeGreaterThan(chunks[i - 1].start);
+      expect(chunks[i].start).toBeLessThan(chunks[i - 1].end);
+      expect(chunks[i].end).toBeGreaterThan(chunks[i - 1].end);
+    }
+
+    expect(chunks[0].start).toBe(0);
+    expect(chunks[chunks.length - 1].end).toBe(text.length);
+  });
+
+  it('overlaps consecutive chunks by at most 48 tokens', async () => {
+    const chunks = await chunkText(words(600));
+
+    for (let i = 1; i < chunks.length; i++) {
+      const shared = chunks[i - 1].text.slice(chunks[i].start - chunks[i - 1].start);
+      expect(shared.split(' ').length).toBeLessThanOrEqual(48);
+    }
+  });
+
+  it('tokenizes each distinct word once', async () => {
+    await chunkText(words(600));
+
+    expect(mockEncode).toHaveBeenCalledTimes(100);
+  });
+
+  it('gives a word longer than the window a chunk of its own', async () => {
+    const text = `start ${'x'.repeat(2000)} end`;
+    const chunks = await chunkText(text);
+
+    expect(chunks.map(chunk => chunk.text)).toEqual(['start', 'x'.repeat(2000), 'end']);
+  });
+});
@@ -2,23 +2,117 @@ const fs = require('fs').promises;
 const path = require('path');
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const WordExtractor = require('word-extractor');
+const { isImageOnlyPage, ocrPdfPages } = require('./ocr.service');
+const {
+  decodeEntities,
+  blocksFromText,
+  blocksFromHTML,
+  blocksFromMarkdown,
+  blocksFromODT,
+  buildStructure
+} = require('./structure.service');
 const logger = require('../utils/logger');
 
+const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES) || 50;
+const OCR_LOW_CONFIDENCE = parseFloat(process.env.OCR_LOW_CONFIDENCE) || 0.6;
+
+/**
+ * Render a PDF page's text layer, keeping line breaks (same as pdf-parse's default)
+ */
+function renderPageText(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then(textContent => {
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        text += (lastY === item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+        lastY = item.transform[5];
+      }
+      return text;
+    });
+}
+
+/**
+ * Replace image-only pages with OCR text
+ * @param {Buffer} dataBuffer - PDF file contents
+ * @param {Array<string>} pageTexts - Text layer of each page
+ * @returns {Promise<Object>} { pageTexts, ocr } where ocr is null if no page needed it
+ */
+async function applyOCR(dataBuffer, pageTexts) {
+  const imagePages = pageTexts
+    .map((text, index) => (isImageOnlyPage(text) ? index + 1 : null))
+    .filter(Boolean);
+
+  if (imagePages.length === 0) {
+    return { pageTexts, ocr: null };
+  }
+
+  if (!OCR_ENABLED) {
+    logger.warn(`${imagePages.length} page(s) have no text layer and OCR is disabled`);
+    return { pageTexts, ocr: { engine: null, skippedPages: imagePages, pages: [] } };
+  }
+
+  const ocrPages = imagePages.slice(0, OCR_MAX_PAGES);
+  const results = await ocrPdfPages(dataBuffer, ocrPages);
+  const updated = [...pageTexts];
+
+  for (const result of results) {
+    updated[result.page - 1] = result.text;
+  }
+
+  const pages = results.map(result => ({
+    page: result.page,
+    confidence: result.confidence,
+    lowConfidence: result.confidence < OCR_LOW_CONFIDENCE
+  }));
+
+  const averageConfidence = pages.length > 0
+    ? Math.round(pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length * 100) / 100
+    : null;
+
+  return {
+    pageTexts: updated,
+    ocr: {
+      engine: 'tesseract',
+      pages,
+      averageConfidence,
+      lowConfidencePages: pages.filter(page => page.lowConfidence).map(page => page.page),
+      skippedPages: imagePages.slice(OCR_MAX_PAGES)
+    }
+  };
+}
+
 /**
  * Extract text from PDF file
+ * Scanned (image-only) pages are read with OCR.
  */
 async function extractFromPDF(filePath) {
   try {
     const dataBuffer = await fs.readFile(filePath);
-    const data = await pdfParse(dataBuffer);
+
+    // pdf-parse renders pages in order, so pushes line up with page numbers
+    const pageTexts = [];
+    const data = await pdfParse(dataBuffer, {
+      pagerender: pageData => renderPageText(pageData).then(text => {
+        pageTexts.push(text);
+        return text;
+      })
+    });
+
+    const { pageTexts: finalTexts, ocr } = await applyOCR(dataBuffer, pageTexts);
 
     return {
-      text: data.text,
+      text: ocr ? finalTexts.join('\n\n') : data.text,
       metadata: {
         pages: data.numpages,
         info: data.info || {},
-        version: data.version
-      }
+        version: data.version,
+        ...(ocr && { ocr })
+      },
+      structure: buildStructure(blocksFromText(finalTexts), 'pdf-layout', true)
     };
   } catch (error) {
     logger.error('PDF extraction failed:', error);
@@ -32,6 +126,9 @@ async function extractFromPDF(filePath) {
 async function extractFromDOCX(filePath) {
   try {
     const result = await mammoth.extractRawText({ path: filePath });
+
+    // Heading styles, lists and tables only survive the HTML conversion
+    const html = await mammoth.convertToHtml({ path: filePath });
     
     // Count approximate pages (assuming ~500 words per page)
     const wordCount = result.value.split(/\s+/).length;
@@ -43,7 +140,8 @@ async function extractFromDOCX(filePath) {
         pages: estimatedPages,
         wordCount: wordCount,
         messages: result.messages // Any warnings from mammoth
-      }
+      },
+      structure: buildStructure(blocksFromHTML(html.value), 'docx-styles')
     };
   } catch (error) {
     logger.error('DOCX extraction failed:', error);
@@ -51,12 +149,334 @@ async function extractFromDOCX(filePath) {
   }
 }
 
+/**
+ * Extract text from legacy Word 97-2003 (.doc) files
+ */
+async function extractFromDOC(filePath) {
+  let document;
+
+  try {
+    document = await new WordExtractor().extract(filePath);
+  } catch (error) {
+    logger.error('DOC extraction failed:', error);
+    if (/Invalid magic number/i.test(error.message)) {
+      throw new Error('Word 6.0/95 and older documents are not supported. Save the file as .docx and upload it again.');
+    }
+    throw new Error(`Failed to extract text from DOC: ${error.message}`);
+  }
+
+  const body = document.getBody().trim();
+
+  // Encrypted documents parse, but their text stream is ciphertext
+  if (body && !isReadableText(body)) {
+    throw new Error('The document appears to be encrypted or corrupted');
+  }
+
+  // Footnotes and endnotes carry terms too (definitions, exceptions, caps)
+  const notes = [document.getFootnotes(), document.getEndnotes()]
+    .map(part => part.trim())
+    .filter(Boolean);
+
+  const text = tidyText([body, ...notes].join('\n\n'));
+
+  return {
+    text,
+    metadata: {
+      ...estimatePages(text),
+      hasNotes: notes.length > 0
+    },
+    structure: buildStructure(blocksFromText([text]), 'text-layout')
+  };
+}
+
+/**
+ * Check that decoded text is mostly letters, digits, whitespace and punctuation
+ */
+function isReadableText(text) {
+  const sample = text.slice(0, 5000);
+  const readable = (sample.match(/[\p{L}\p{N}\s\p{P}]/gu) || []).length;
+  return readable / sample.length >= 0.85;
+}
+
+/**
+ * Estimate pages for formats without real pagination (~500 words per page)
+ */
+function estimatePages(text) {
+  const wordCount = text.split(/\s+/).filter(Boolean).length;
+  return {
+    pages: Math.max(1, Math.ceil(wordCount / 500)),
+    wordCount
+  };
+}
+
+/**
+ * Collapse runs of blank lines and trailing spaces left behind by markup
+ */
+function tidyText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extract text from plain text file
+ */
+async function extractFromText(filePath) {
+  try {
+    const text = tidyText((await fs.readFile(filePath, 'utf8')).replace(/^\uFEFF/, ''));
+
+    return {
+      text,
+      metadata: estimatePages(text),
+      structure: buildStructure(blocksFromText([text]), 'text-layout')
+    };
+  } catch (error) {
+    logger.error('Text extraction failed:', error);
+    throw new Error(`Failed to extract text from text file: ${error.message}`);
+  }
+}
+
+/**
+ * Extract text from Markdown file
+ * Markup is stripped; headings and list numbering are kept as plain lines.
+ */
+async function extractFromMarkdown(filePath) {
+  try {
+    const markdown = (await fs.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+
+    const text = tidyText(
+      markdown
+        .replace(/^```.*$/gm, '')                              // code fences
+        .replace(/^[ \t]{0,3}#{1,6}[ \t]+(.*?)[ \t]*#*[ \t]*$/gm, '$1') // ATX headings
+        .replace(/^[ \t]{0,3}(=+|-+)[ \t]*$/gm, '')            // setext underlines, rules
+        .replace(/^[ \t]{0,3}>[ \t]?/gm, '')                   // blockquotes
+        .replace(/^[ \t]*[-*+][ \t]+/gm, '- ')                 // bullet markers
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')              // images
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')               // links
+        .replace(/^[ \t]*\|?([ \t]*:?-+:?[ \t]*\|)+[ \t]*:?-*:?[ \t]*$/gm, '') // table separators
+        .replace(/^[ \t]*\|(.*)\|[ \t]*$/gm, (match, cells) => cells.split('|').map(cell => cell.trim()).join('\t'))
+        .replace(/(\*\*|__)([^\s*_](?:.*?[^\s*_])?)\1/g, '$2') // bold
+        .replace(/(^|\W)(\*|_)([^\s*_](?:.*?[^\s*_])?)\2(?=\W|$)/g, '$1$3') // italic
+        .replace(/`([^`]*)`/g, '$1')                           // inline code
+        .replace(/<[^>]+>/g, '')                               // inline HTML
+    );
+
+    return {
+      text: decodeEntities(text),
+      metadata: estimatePages(text),
+      structure: buildStructure(blocksFromMarkdown(markdown), 'markdown')
+    };
+  } catch (error) {
+    logger.error('Markdown extraction failed:', error);
+    throw new Error(`Failed to extract text from Markdown: ${error.message}`);
+  }
+}
+
+/**
+ * Convert RTF source to plain text
+ * Handles groups, hex and unicode escapes, and skips non-text destinations
+ * (font/color tables, stylesheets, document info, pictures).
+ */
+function rtfToText(rtf) {
+  const SKIP_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer',
+    'headerl', 'headerr', 'footerl', 'footerr', 'listtable', 'listoverridetable',
+    'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'latentstyles',
+    'datastore', 'object', 'filetbl', 'revtbl', 'pgdsctbl'
+  ]);
+  const SPECIAL = {
+    par: '\n', line: '\n', sect: '\n\n', page: '\n\n', row: '\n', cell: '\t', tab: '\t',
+    emdash: '—', endash: '–', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”', bullet: '•'
+  };
+
+  const stack = [];
+  let skip = false;
+  let ucSkip = 1;
+  let pendingSkip = 0;
+  let out = '';
+  let i = 0;
+
+  while (i < rtf.length) {
+    const char = rtf[i];
+
+    if (char === '{') {
+      stack.push({ skip, ucSkip });
+      i++;
+    } else if (char === '}') {
+      ({ skip, ucSkip } = stack.pop() || { skip: false, ucSkip: 1 });
+      i++;
+    } else if (char === '\\') {
+      const next = rtf[i + 1];
+
+      if (next === '\\' || next === '{' || next === '}') {
+        if (!skip) out += next;
+        i += 2;
+      } else if (next === '*') {
+        // Ignorable destination we don't understand
+        skip = true;
+        i += 2;
+      } else if (next === "'") {
+        if (pendingSkip > 0) {
+          pendingSkip--;
+        } else if (!skip) {
+          // Hex escapes are cp1252 in practice; latin1 covers the common range
+          out += Buffer.from([parseInt(rtf.substr(i + 2, 2), 16)]).toString('latin1');
+        }
+        i += 4;
+      } else if (next === '~') {
+        if (!skip) out += ' ';
+        i += 2;
+      } else if (next === '\n' || next === '\r') {
+        if (!skip) out += '\n';
+        i += 2;
+      } else {
+        const match = /^\\([a-z]+)(-?\d+)? ?/i.exec(rtf.slice(i, i + 40));
+        if (!match) {
+          i += 2;
+          continue;
+        }
+
+        const [token, word, param] = match;
+        i += token.length;
+
+        if (SKIP_DESTINATIONS.has(word)) {
+          skip = true;
+        } else if (word === 'uc') {
+          ucSkip = parseInt(param, 10);
+        } else if (word === 'u') {
+          let code = parseInt(param, 10);
+          if (code < 0) code += 65536;
+          if (!skip) out += String.fromCharCode(code);
+          pendingSkip = ucSkip;
+        } else if (SPECIAL[word] && !skip) {
+          out += SPECIAL[word];
+        }
+      }
+    } else if (char === '\r' || char === '\n') {
+      i++;
+    } else {
+      if (pendingSkip > 0) {
+        pendingSkip--;
+      } else if (!skip) {
+        out += char;
+      }
+      i++;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Extract text from RTF file
+ */
+async function extractFromRTF(filePath) {
+  try {
+    const rtf = await fs.readFile(filePath, 'latin1');
+
+    if (!rtf.startsWith('{\\rtf')) {
+      throw new Error('Not a valid RTF document');
+    }
+
+    const text = tidyText(rtfToText(rtf));
+
+    return {
+      text,
+      metadata: estimatePages(text),
+      structure: buildStructure(blocksFromText([text]), 'text-layout')
+    };
+  } catch (error) {
+    logger.error('RTF extraction failed:', error);
+    throw new Error(`Failed to extract text from RTF: ${error.message}`);
+  }
+}
+
+/**
+ * Convert HTML markup to plain text, keeping block boundaries as line breaks
+ */
+function htmlToText(html) {
+  return decodeEntities(
+    html
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(script|style|head|noscript|template)[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(td|th)>/gi, '\t')
+      .replace(/<li[^>]*>/gi, '\n- ')
+      .replace(/<\/?(p|div|section|article|h[1-6]|tr|table|ul|ol|li|blockquote|pre|header|footer|dl|dt|dd)[^>]*>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/[ \u00a0]+/g, ' ')
+  );
+}
+
+/**
+ * Extract text from HTML file
+ */
+async function extractFromHTML(filePath) {
+  try {
+    const html = await fs.readFile(filePath, 'utf8');
+    const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    const text = tidyText(htmlToText(html).split('\n').map(line => line.trim()).join('\n'));
+
+    return {
+      text,
+      metadata: {
+        ...estimatePages(text),
+        title: titleMatch ? decodeEntities(titleMatch[1].trim()) : null
+      },
+      structure: buildStructure(blocksFromHTML(html), 'html')
+    };
+  } catch (error) {
+    logger.error('HTML extraction failed:', error);
+    throw new Error(`Failed to extract text from HTML: ${error.message}`);
+  }
+}
+
+/**
+ * Extract text from OpenDocument Text (ODT) file
+ * An ODT is a zip archive; the body lives in content.xml.
+ */
+async function extractFromODT(filePath) {
+  try {
+    const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+    const contentFile = zip.file('content.xml');
+
+    if (!contentFile) {
+      throw new Error('content.xml not found in archive');
+    }
+
+    const xml = await contentFile.async('string');
+    const body = xml.slice(Math.max(xml.indexOf('<office:body'), 0));
+
+    const text = tidyText(decodeEntities(
+      body
+        .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (match, count) => ' '.repeat(parseInt(count || '1', 10)))
+        .replace(/<text:tab\s*\/>/g, '\t')
+        .replace(/<text:line-break\s*\/>/g, '\n')
+        .replace(/<\/table:table-cell>/g, '\t')
+        .replace(/<\/(text:p|text:h|table:table-row)>/g, '\n')
+        .replace(/<[^>]+>/g, '')
+    ));
+
+    return {
+      text,
+      metadata: estimatePages(text),
+      structure: buildStructure(blocksFromODT(xml), 'odt-styles')
+    };
+  } catch (error) {
+    logger.error('ODT extraction failed:', error);
+    throw new Error(`Failed to extract text from ODT: ${error.message}`);
+  }
+}
+
 /**
  * Extract metadata from contract text
  */
 function extractContractMetadata(text) {
   const metadata = {
     parties: [],
+    partyRoles: {},
     dates: [],
     documentType: 'Unknown'
   };
@@ -77,6 +497,21 @@ function extractContractMetadata(text) {
     }
   });
 
+  // Defined roles: Acme Corp ("Customer"), Beta LLC (hereinafter the "Provider")
+  const rolePattern = /([A-Z][A-Za-z&,\.]*(?:\s+[A-Z&][A-Za-z&,\.]*){0,6})\s*\(\s*(?:hereinafter\s+(?:referred\s+to\s+as\s+)?)?(?:the\s+)?["“']([A-Z][A-Za-z]*(?:\s+[A-Z][A-Za-z]*){0,3})["”']\s*\)/g;
+  for (const match of text.matchAll(rolePattern)) {
+    const name = match[1].replace(/[,\s]+$/, '').trim();
+    const role = match[2].trim();
+    const party = metadata.parties.find(candidate => candidate === name || candidate.endsWith(name) || name.endsWith(candidate)) || name;
+
+    if (!metadata.parties.includes(party)) {
+      metadata.parties.push(party);
+    }
+    if (!metadata.partyRoles[party]) {
+      metadata.partyRoles[party] = role;
+    }
+  }
+
   // Remove duplicates
   metadata.parties = [...new Set(metadata.parties)].slice(0, 5);
 
@@ -110,6 +545,135 @@ function extractContractMetadata(text) {
   return metadata;
 }
 
+// File signatures checked before trusting the extension
+const PDF_SIGNATURE = Buffer.from('%PDF-');
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const RTF_SIGNATURE = Buffer.from('{\\rtf');
+
+// Formats each extension may legitimately contain. Word happily saves RTF,
+// HTML and DOCX content under a .doc name, so those are accepted and routed by content.
+const EXTENSION_FORMATS = {
+  '.pdf': ['pdf'],
+  '.docx': ['docx'],
+  '.doc': ['doc', 'docx', 'rtf', 'text'],
+  '.odt': ['odt'],
+  '.rtf': ['rtf'],
+  '.txt': ['text'],
+  '.md': ['text'],
+  '.markdown': ['text'],
+  '.html': ['text'],
+  '.htm': ['text']
+};
+
+// MIME type stored for each binary format; text files keep the type they were uploaded with,
+// which tells plain text, Markdown and HTML apart
+const FORMAT_MIME_TYPES = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  odt: 'application/vnd.oasis.opendocument.text',
+  rtf: 'application/rtf'
+};
+
+/**
+ * MIME type of an uploaded file, from its detected format
+ * @param {string} format - Format returned by detectFileFormat
+ * @param {string} uploadedType - MIME type the client sent
+ * @returns {string} MIME type
+ */
+function mimeTypeForFormat(format, uploadedType) {
+  return FORMAT_MIME_TYPES[format] || uploadedType;
+}
+
+/**
+ * Identify a file by its contents
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} 'pdf', 'doc', 'docx', 'odt', 'rtf' or 'text', or one of
+ *   'encrypted' (password-protected Office file), 'ole' (non-Word Office file),
+ *   'zip' (other archive) and 'binary' for files that cannot be extracted
+ */
+async function detectFileFormat(filePath) {
+  const buffer = await fs.readFile(filePath);
+  const startsWith = signature => buffer.subarray(0, signature.length).equals(signature);
+
+  if (startsWith(PDF_SIGNATURE)) {
+    return 'pdf';
+  }
+
+  if (startsWith(OLE_SIGNATURE)) {
+    // Stream names are stored as UTF-16LE in the compound file directory
+    if (buffer.includes(Buffer.from('EncryptedPackage', 'utf16le'))) {
+      return 'encrypted';
+    }
+    return buffer.includes(Buffer.from('WordDocument', 'utf16le')) ? 'doc' : 'ole';
+  }
+
+  if (startsWith(ZIP_SIGNATURE)) {
+    try {
+      const zip = await JSZip.loadAsync(buffer);
+      if (zip.file('word/document.xml')) {
+        return 'docx';
+      }
+      const mimetype = zip.file('mimetype');
+      if (mimetype && (await mimetype.async('string')).trim() === 'application/vnd.oasis.opendocument.text') {
+        return 'odt';
+      }
+    } catch (error) {
+      logger.debug(`Could not read zip archive ${filePath}: ${error.message}`);
+    }
+    return 'zip';
+  }
+
+  // Skip a UTF-8 byte order mark before looking for RTF
+  const textStart = buffer.subarray(0, 3).equals(Buffer.from([0xef, 0xbb, 0xbf])) ? 3 : 0;
+  if (buffer.subarray(textStart, textStart + RTF_SIGNATURE.length).equals(RTF_SIGNATURE)) {
+    return 'rtf';
+  }
+
+  // Text files never contain NUL bytes
+  return buffer.subarray(0, 8192).includes(0) ? 'binary' : 'text';
+}
+
+/**
+ * Check that an uploaded file can be extracted, before it is stored and queued
+ * @param {string} filePath - Path to the uploaded file
+ * @param {string} originalName - Name the file was uploaded with
+ * @returns {Promise<string>} Detected format
+ * @throws {Error} With a user-facing message if the file is not supported
+ */
+async function validateDocument(filePath, originalName) {
+  const format = await detectFileFormat(filePath);
+  const ext = path.extname(originalName).toLowerCase();
+
+  switch (format) {
+    case 'encrypted':
+      throw new Error('The document is password-protected. Remove the password and upload it again.');
+    case 'ole':
+      throw new Error('The file is not a Word document. Excel, PowerPoint and other Office files are not supported.');
+    case 'zip':
+      throw new Error('The archive is not a DOCX or ODT document.');
+    case 'binary':
+      throw new Error('The file contents were not recognized as a supported document format.');
+  }
+
+  const expected = EXTENSION_FORMATS[ext];
+  if (expected && !expected.includes(format)) {
+    const actual = format === 'text' ? 'plain text' : format.toUpperCase();
+    throw new Error(`The file has a ${ext} extension but contains ${actual}. Rename the file or export it again.`);
+  }
+
+  // Legacy Word files are parsed now so broken, encrypted and pre-97 files fail at upload
+  if (format === 'doc') {
+    const { text } = await extractFromDOC(filePath);
+    if (!text) {
+      throw new Error('The Word document contains no text.');
+    }
+  }
+
+  return format;
+}
+
 /**
  * Main extraction function - routes to appropriate extractor
  */
@@ -119,14 +683,42 @@ async function extractText(filePath, fileType) {
   let result;
   const ext = path.extname(filePath).toLowerCase();
 
-  if (ext === '.pdf' || fileType === 'application/pdf') {
+  // Binary formats are routed by content, so a mislabelled file still reaches the right extractor
+  const format = await detectFileFormat(filePath);
+
+  if (format === 'pdf') {
     result = await extractFromPDF(filePath);
-  } else if (ext === '.docx' || ext === '.doc' || fileType.includes('wordprocessingml')) {
+  } else if (format === 'doc') {
+    result = await extractFromDOC(filePath);
+  } else if (format === 'docx') {
     result = await extractFromDOCX(filePath);
+  } else if (format === 'odt') {
+    result = await extractFromODT(filePath);
+  } else if (format === 'rtf') {
+    result = await extractFromRTF(filePath);
+  } else if (format !== 'text') {
+    throw new Error(`Unsupported file contents (${format})`);
+  } else if (ext === '.doc') {
+    // Word's "Web Page" format is often saved with a .doc name
+    const content = await fs.readFile(filePath, 'utf8');
+    result = /^\s*<(!doctype html|html)/i.test(content)
+      ? await extractFromHTML(filePath)
+      : await extractFromText(filePath);
+  } else if (ext === '.md' || ext === '.markdown' || fileType === 'text/markdown') {
+    result = await extractFromMarkdown(filePath);
+  } else if (ext === '.html' || ext === '.htm' || fileType === 'text/html') {
+    result = await extractFromHTML(filePath);
+  } else if (ext === '.txt' || fileType === 'text/plain') {
+    result = await extractFromText(filePath);
   } else {
     throw new Error(`Unsupported file type: ${ext}`);
   }
 
+  // Fail loudly rather than "analyzing" an empty document
+  if (!result.text || result.text.trim().length === 0) {
+    throw new Error('No text could be extracted from the document');
+  }
+
   // Extract additional metadata from text
   const contractMetadata = extractContractMetadata(result.text);
 
@@ -137,7 +729,8 @@ async function extractText(filePath, fileType) {
       ...contractMetadata,
       characterCount: result.text.length,
       wordCount: result.text.split(/\s+/).length
-    }
+    },
+    structure: result.structure
   };
 }
 
@@ -158,7 +751,16 @@ module.exports = {
   extractText,
   extractFromPDF,
   extractFromDOCX,
+  extractFromDOC,
+  extractFromText,
+  extractFromMarkdown,
+  extractFromRTF,
+  extractFromHTML,
+  extractFromODT,
   extractContractMetadata,
+  detectFileFormat,
+  mimeTypeForFormat,
+  validateDocument,
   getFileSize
 };
 
@@ -0,0 +1,50 @@
+jest.mock('../utils/logger');
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { extractFromRTF } = require('./extraction.service');
+
+describe('extractFromRTF', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lexlens-rtf-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const extract = async (rtf) => {
+    const filePath = path.join(dir, 'contract.rtf');
+    await fs.writeFile(filePath, rtf, 'latin1');
+    return extractFromRTF(filePath);
+  };
+
+  it('keeps the body text and turns paragraph marks into line breaks', async () => {
+    const { text } = await extract('{\\rtf1\\ansi\\f0 1. Payment\\par Customer shall pay all fees.\\par}');
+
+    expect(text).toBe('1. Payment\nCustomer shall pay all fees.');
+  });
+
+  it('skips font tables, document info and other destinations', async () => {
+    const { text } = await extract(
+      '{\\rtf1\\ansi{\\fonttbl{\\f0 Times New Roman;}}{\\info{\\title Internal draft}}{\\*\\generator Word;}\\f0 Fees are due.\\par}'
+    );
+
+    expect(text).toBe('Fees are due.');
+  });
+
+  it('decodes hex escapes, unicode escapes and typographic symbols', async () => {
+    const { text } = await extract(
+      '{\\rtf1\\ansi caf\\\'e9 \\u8364? 10\\par \\ldblquote Fees\\rdblquote\\emdash net\\par}'
+    );
+
+    expect(text).toBe('café € 10\n“Fees”—net');
+  });
+
+  it('rejects files that are not RTF', async () => {
+    await expect(extract('plain text')).rejects.toThrow('Not a valid RTF document');
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * LLM Service
+ * Provider-agnostic entry point for summaries, risk explanations and
+ * obligation extraction.
+ *
+ * Configuration:
+ *   LLM_PROVIDER   'openai' or 'extractive' (default: openai when OPENAI_API_KEY
+ *                  or LLM_BASE_URL is set, otherwise extractive)
+ *   LLM_BASE_URL   OpenAI-compatible endpoint, e.g. http://localhost:11434/v1 for Ollama
+ *   LLM_MODEL      Model name (default: gpt-4o-mini)
+ *   LLM_TIMEOUT_MS Request timeout (default: 30000)
+ *   LLM_RETRY_AFTER_MS How long to skip the model after it was unreachable (default: 300000)
+ *
+ * Every call falls back to the extractive provider if the model fails, so
+ * analysis never depends on a model being reachable. After the model is found
+ * unreachable, calls go straight to the fallback for LLM_RETRY_AFTER_MS, so a
+ * contract's remaining clauses do not each wait out the timeout.
+ */
+
+const { createOpenAIProvider } = require('./llm/openai.provider');
+const { createExtractiveProvider } = require('./llm/extractive.provider');
+const logger = require('../utils/logger');
+
+const fallbackProvider = createExtractiveProvider();
+
+let provider = null;
+
+// Time until which the configured provider is skipped after it was unreachable
+let unavailableUntil = 0;
+
+/**
+ * Create the provider selected by the environment
+ * @returns {Object} Provider
+ */
+function createProvider() {
+  const name = process.env.LLM_PROVIDER ||
+    (process.env.OPENAI_API_KEY || process.env.LLM_BASE_URL ? 'openai' : 'extractive');
+
+  if (name === 'extractive') {
+    return fallbackProvider;
+  }
+
+  if (name === 'openai') {
+    return createOpenAIProvider({
+      apiKey: process.env.OPENAI_API_KEY,
+      baseURL: process.env.LLM_BASE_URL,
+      model: process.env.LLM_MODEL || 'gpt-4o-mini',
+      timeout: parseInt(process.env.LLM_TIMEOUT_MS) || 30000
+    });
+  }
+
+  throw new Error(`Unknown LLM provider: ${name}`);
+}
+
+/**
+ * Get the configured provider (created on first use)
+ * @returns {Object} Provider
+ */
+function getProvider() {
+  if (!provider) {
+    provider = createProvider();
+    logger.info(`Using ${provider.name} LLM provider`);
+  }
+  return provider;
+}
+
+/**
+ * Call a provider method, falling back to the extractive provider on failure
+ */
+async function callWithFallback(method, ...args) {
+  const active = getProvider();
+
+  if (active === fallbackProvider || Date.now() < unavailableUntil) {
+    return fallbackProvider[method](...args);
+  }
+
+  try {
+    return await active[method](...args);
+  } catch (error) {
+    if (error.providerUnavailable) {
+      const retryAfter = parseInt(process.env.LLM_RETRY_AFTER_MS) || 300000;
+      unavailableUntil = Date.now() + retryAfter;
+      logger.warn(`LLM provider ${active.name} unavailable, using extractive fallback for ${Math.round(retryAfter / 1000)}s: ${error.message}`);
+    } else {
+      logger.warn(`LLM provider ${active.name} failed on ${method}, using extractive fallback:`, error.message);
+    }
+    return fallbackProvider[method](...args);
+  }
+}
+
+/**
+ * Summarize text
+ * @param {string} text - Text to summarize
+ * @param {Object} options - { maxSentences }
+ * @returns {Promise<string>} Summary
+ */
+function summarize(text, options = {}) {
+  return callWithFallback('summarize', text, options);
+}
+
+/**
+ * Explain a clause's risk in plain English
+ * @param {Object} clause - { text, clauseType, riskLevel, flags }
+ * @returns {Promise<string|null>} Explanation, or null for low-risk clauses
+ */
+function explainRisk(clause) {
+  return callWithFallback('explainRisk', clause);
+}
+
+/**
+ * Extract obligations from text
+ * @param {string} text - Clause or contract text
+ * @returns {Promise<Array>} { party, obligation, negative } entries
+ */
+function extractObligations(text) {
+  return callWithFallback('extractObligations', text);
+}
+
+module.exports = {
+  getProvider,
+  summarize,
+  explainRisk,
+  extractObligations
+};
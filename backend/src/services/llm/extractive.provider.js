@@ -0,0 +1,195 @@
+/**
+ * Extractive LLM Provider
+ * Deterministic, model-free fallback for summaries, risk explanations and
+ * obligation extraction. Used in air-gapped deployments and whenever the
+ * configured model is unavailable.
+ */
+
+const natural = require('natural');
+
+const sentenceTokenizer = new natural.SentenceTokenizer();
+const wordTokenizer = new natural.WordTokenizer();
+const STOPWORDS = new Set(natural.stopwords);
+
+const OBLIGATION_PATTERN = /\b(shall|must|agrees? to|is required to|will be responsible for)\b/i;
+const NEGATED_OBLIGATION_PATTERN = /\b(shall not|must not|agrees? not to)\b/i;
+
+// Plain-English explanations keyed by the risk indicator that was matched
+const RISK_EXPLANATIONS = [
+  {
+    pattern: /unlimited liability/i,
+    explanation: 'Liability is not capped, so a single claim could cost far more than the value of the contract.'
+  },
+  {
+    pattern: /sole discretion/i,
+    explanation: 'One party can decide this on its own, without needing to be reasonable or to consult the other side.'
+  },
+  {
+    pattern: /without notice/i,
+    explanation: 'Action can be taken without any warning, leaving no time to prepare or respond.'
+  },
+  {
+    pattern: /automatic renewal|auto.?renew/i,
+    explanation: 'The contract renews by itself unless someone cancels in time, which can lock you in for another term.'
+  },
+  {
+    pattern: /perpetual/i,
+    explanation: 'This obligation or right never expires.'
+  },
+  {
+    pattern: /irrevocable/i,
+    explanation: 'Once granted, this cannot be taken back, even if circumstances change.'
+  },
+  {
+    pattern: /waive/i,
+    explanation: 'Rights you would normally have are given up.'
+  },
+  {
+    pattern: /indemnif/i,
+    explanation: 'One party must cover the other\'s losses and legal costs, potentially including claims it did not cause.'
+  },
+  {
+    pattern: /terminate|without cause|at any time/i,
+    explanation: 'The contract can be ended early or without a specific reason, which may leave you without the expected service or revenue.'
+  },
+  {
+    pattern: /exclusive/i,
+    explanation: 'Exclusivity prevents working with other parties for the covered scope.'
+  },
+  {
+    pattern: /non-refundable/i,
+    explanation: 'Money paid will not be returned, even if the contract ends early.'
+  },
+  {
+    pattern: /binding/i,
+    explanation: 'This commitment is legally enforceable and hard to undo.'
+  }
+];
+
+/**
+ * Split text into trimmed sentences
+ */
+function splitSentences(text) {
+  try {
+    return sentenceTokenizer.tokenize(text.replace(/\s+/g, ' ')).map(s => s.trim()).filter(Boolean);
+  } catch (error) {
+    return [text.trim()];
+  }
+}
+
+/**
+ * Content words of a sentence, lowercased with stopwords removed
+ */
+function contentWords(sentence) {
+  return wordTokenizer
+    .tokenize(sentence.toLowerCase())
+    .filter(word => word.length > 2 && !STOPWORDS.has(word) && !/^\d+$/.test(word));
+}
+
+/**
+ * Pick the most representative sentences, scored by term frequency
+ * Sentences are returned in document order so the summary reads naturally.
+ * @param {string} text - Text to summarize
+ * @param {Object} options - { maxSentences }
+ * @returns {Promise<string>} Summary
+ */
+async function summarize(text, options = {}) {
+  const maxSentences = options.maxSentences || 3;
+  const sentences = splitSentences(text).filter(sentence => sentence.length > 30 && sentence.length < 500);
+
+  if (sentences.length <= maxSentences) {
+    return sentences.join(' ');
+  }
+
+  const frequencies = new Map();
+  const sentenceWords = sentences.map(sentence => {
+    const words = contentWords(sentence);
+    words.forEach(word => frequencies.set(word, (frequencies.get(word) || 0) + 1));
+    return words;
+  });
+
+  const scored = sentences.map((sentence, index) => {
+    const words = sentenceWords[index];
+    const weight = words.reduce((sum, word) => sum + frequencies.get(word), 0);
+    // Normalize by length so long sentences don't win by default; favor the opening slightly
+    const score = words.length > 0 ? weight / Math.sqrt(words.length) : 0;
+    return { index, sentence, score: score * (index < 3 ? 1.2 : 1) };
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, maxSentences)
+    .sort((a, b) => a.index - b.index)
+    .map(item => item.sentence)
+    .join(' ');
+}
+
+/**
+ * Explain why a clause was flagged, in plain English
+ * @param {Object} clause - { text, clauseType, riskLevel, flags }
+ * @returns {Promise<string|null>} Explanation or null for low-risk clauses
+ */
+async function explainRisk(clause) {
+  if (!clause.riskLevel || clause.riskLevel === 'low') {
+    return null;
+  }
+
+  const matched = (clause.flags || []).map(flag => flag.pattern || flag.message || '').join(' ') || clause.text;
+  const explanations = RISK_EXPLANATIONS
+    .filter(entry => entry.pattern.test(matched))
+    .map(entry => entry.explanation);
+
+  const clauseType = (clause.clauseType || 'general').replace(/_/g, ' ');
+  const lead = `This ${clauseType} clause is rated ${clause.riskLevel} risk.`;
+
+  if (explanations.length === 0) {
+    return `${lead} Review its wording carefully before agreeing to it.`;
+  }
+
+  return [lead, ...[...new Set(explanations)].slice(0, 3)].join(' ');
+}
+
+/**
+ * Extract obligations ("X shall ...") from text
+ * @param {string} text - Clause or contract text
+ * @returns {Promise<Array>} { party, obligation, negative } entries
+ */
+async function extractObligations(text) {
+  const obligations = [];
+
+  for (const sentence of splitSentences(text)) {
+    const match = sentence.match(OBLIGATION_PATTERN);
+    if (!match) continue;
+
+    // The obligated party is whatever precedes the modal verb, e.g. "The Customer"
+    const subject = sentence.slice(0, match.index).trim();
+    const party = subject.length > 0 && subject.length <= 60
+      ? subject.replace(/^(the|each|either)\s+/i, '').replace(/[,;:]$/, '')
+      : null;
+
+    obligations.push({
+      party,
+      obligation: sentence,
+      negative: NEGATED_OBLIGATION_PATTERN.test(sentence)
+    });
+  }
+
+  return obligations;
+}
+
+/**
+ * Create the extractive provider
+ * @returns {Object} Provider
+ */
+function createExtractiveProvider() {
+  return {
+    name: 'extractive',
+    summarize,
+    explainRisk,
+    extractObligations
+  };
+}
+
+module.exports = {
+  createExtractiveProvider
+};
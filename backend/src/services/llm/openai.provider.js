@@ -0,0 +1,127 @@
+/**
+ * OpenAI-compatible LLM Provider
+ * Talks to any server implementing the chat completions API: OpenAI itself,
+ * or a local llama.cpp / Ollama / vLLM server via LLM_BASE_URL.
+ */
+
+const OpenAI = require('openai');
+
+// Keep prompts well inside small local context windows
+const MAX_INPUT_CHARS = 12000;
+
+const SYSTEM_PROMPT = 'You are a careful legal assistant reviewing contracts. ' +
+  'Answer in plain English for a non-lawyer. Do not invent terms that are not in the text.';
+
+/**
+ * Parse a JSON array from a model reply, tolerating code fences and chatter
+ * @param {string} reply - Model output
+ * @returns {Array} Parsed array
+ */
+function parseJSONArray(reply) {
+  const start = reply.indexOf('[');
+  const end = reply.lastIndexOf(']');
+
+  if (start === -1 || end <= start) {
+    throw new Error('Model reply did not contain a JSON array');
+  }
+
+  const parsed = JSON.parse(reply.slice(start, end + 1));
+  if (!Array.isArray(parsed)) {
+    throw new Error('Model reply was not a JSON array');
+  }
+  return parsed;
+}
+
+/**
+ * Create an OpenAI-compatible provider
+ * @param {Object} config - { apiKey, baseURL, model, timeout }
+ * @returns {Object} Provider
+ */
+function createOpenAIProvider(config) {
+  const client = new OpenAI({
+    // Local servers ignore the key, but the client requires one
+    apiKey: config.apiKey || 'not-needed',
+    baseURL: config.baseURL,
+    timeout: config.timeout,
+    maxRetries: 1
+  });
+
+  async function complete(prompt, maxTokens) {
+    let response;
+    try {
+      response = await client.chat.completions.create({
+        model: config.model,
+        temperature: 0,
+        max_tokens: maxTokens,
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: prompt }
+        ]
+      });
+    } catch (error) {
+      // Unreachable, overloaded or refusing us: later calls would fail the same way.
+      // Rejected requests (400, 422) are specific to this prompt.
+      if (error instanceof OpenAI.APIError && ![400, 422].includes(error.status)) {
+        error.providerUnavailable = true;
+      }
+      throw error;
+    }
+
+    const content = response.choices?.[0]?.message?.content;
+    if (!content || !content.trim()) {
+      throw new Error('Model returned an empty reply');
+    }
+    return content.trim();
+  }
+
+  return {
+    name: 'openai',
+
+    async summarize(text, options = {}) {
+      const maxSentences = options.maxSentences || 3;
+      return complete(
+        `Summarize the following contract text in at most ${maxSentences} sentences. ` +
+        'Cover the purpose, the parties\' main commitments and anything unusual.\n\n' +
+        text.substring(0, MAX_INPUT_CHARS),
+        400
+      );
+    },
+
+    async explainRisk(clause) {
+      if (!clause.riskLevel || clause.riskLevel === 'low') {
+        return null;
+      }
+
+      const flags = (clause.flags || []).map(flag => flag.message).filter(Boolean);
+      return complete(
+        `This ${(clause.clauseType || 'general').replace(/_/g, ' ')} clause was rated ${clause.riskLevel} risk` +
+        (flags.length > 0 ? ` (${[...new Set(flags)].join('; ')})` : '') +
+        '. In two or three sentences, explain what could go wrong for the party signing it.\n\n' +
+        clause.text.substring(0, MAX_INPUT_CHARS),
+        250
+      );
+    },
+
+    async extractObligations(text) {
+      const reply = await complete(
+        'List every obligation in the following contract text as a JSON array of objects with the keys ' +
+        '"party" (who must act, or null), "obligation" (the obligation, quoted or closely paraphrased) and ' +
+        '"negative" (true if it is something the party must not do). Reply with the JSON array only.\n\n' +
+        text.substring(0, MAX_INPUT_CHARS),
+        800
+      );
+
+      return parseJSONArray(reply)
+        .filter(item => item && typeof item.obligation === 'string')
+        .map(item => ({
+          party: typeof item.party === 'string' ? item.party : null,
+          obligation: item.obligation,
+          negative: Boolean(item.negative)
+        }));
+    }
+  };
+}
+
+module.exports = {
+  createOpenAIProvider
+};
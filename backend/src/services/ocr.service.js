@@ -0,0 +1,127 @@
+/**
+ * OCR Service
+ * Renders PDF pages to images and reads them with a local Tesseract engine.
+ * Language data ships with @tesseract.js-data/eng, so no network access is needed.
+ */
+
+const path = require('path');
+const { createCanvas } = require('@napi-rs/canvas');
+const { createWorker } = require('tesseract.js');
+const engLanguageData = require('@tesseract.js-data/eng');
+const logger = require('../utils/logger');
+
+// Render scale; 2x (~144 DPI) is a good trade-off between accuracy and speed
+const RENDER_SCALE = parseFloat(process.env.OCR_RENDER_SCALE) || 2;
+
+// Pages with fewer meaningful characters than this are treated as image-only
+const MIN_PAGE_TEXT_CHARS = 25;
+
+// Below this share of letters, digits and common punctuation the text layer is garbage
+const MIN_READABLE_RATIO = 0.6;
+
+let pdfjsPromise = null;
+
+/**
+ * Load pdf.js (ESM-only) once
+ */
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsPromise;
+}
+
+/**
+ * Decide whether a page's text layer is missing or unusable
+ * @param {string} text - Text extracted from the page's text layer
+ * @returns {boolean} True if the page needs OCR
+ */
+function isImageOnlyPage(text) {
+  const compact = (text || '').replace(/\s+/g, '');
+
+  if (compact.length < MIN_PAGE_TEXT_CHARS) {
+    return true;
+  }
+
+  // Broken font encodings produce runs of symbols and control characters
+  const readable = (compact.match(/[\p{L}\p{N}.,;:()'"$%&§\-\/]/gu) || []).length;
+  return readable / compact.length < MIN_READABLE_RATIO;
+}
+
+/**
+ * Render one PDF page to a PNG buffer
+ * @param {Object} pdfDocument - pdf.js document
+ * @param {number} pageNumber - 1-based page number
+ * @returns {Promise<Buffer>} PNG image
+ */
+async function renderPage(pdfDocument, pageNumber) {
+  const page = await pdfDocument.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: RENDER_SCALE });
+
+  const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  const context = canvas.getContext('2d');
+
+  // Scans may be transparent; Tesseract reads black on white best
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  await page.render({ canvasContext: context, viewport }).promise;
+  page.cleanup();
+
+  return canvas.toBuffer('image/png');
+}
+
+/**
+ * OCR selected pages of a PDF
+ * @param {Buffer} dataBuffer - PDF file contents
+ * @param {Array<number>} pageNumbers - 1-based pages to read
+ * @returns {Promise<Array>} { page, text, confidence } per page, confidence 0-1
+ */
+async function ocrPdfPages(dataBuffer, pageNumbers) {
+  if (pageNumbers.length === 0) {
+    return [];
+  }
+
+  logger.info(`Running OCR on ${pageNumbers.length} page(s)`);
+
+  const pdfjs = await loadPdfjs();
+  const pdfDocument = await pdfjs.getDocument({
+    data: new Uint8Array(dataBuffer),
+    standardFontDataUrl: path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts/'),
+    isEvalSupported: false,
+    disableFontFace: true
+  }).promise;
+
+  const worker = await createWorker(engLanguageData.code, 1, {
+    langPath: process.env.OCR_LANG_PATH || engLanguageData.langPath,
+    gzip: process.env.OCR_LANG_PATH ? false : engLanguageData.gzip,
+    cacheMethod: 'none'
+  });
+
+  const results = [];
+
+  try {
+    for (const pageNumber of pageNumbers) {
+      const image = await renderPage(pdfDocument, pageNumber);
+      const { data } = await worker.recognize(image);
+
+      results.push({
+        page: pageNumber,
+        text: data.text.trim(),
+        confidence: Math.round(data.confidence) / 100
+      });
+
+      logger.debug(`OCR page ${pageNumber}: confidence ${data.confidence}`);
+    }
+  } finally {
+    await worker.terminate();
+    await pdfDocument.destroy();
+  }
+
+  return results;
+}
+
+module.exports = {
+  isImageOnlyPage,
+  ocrPdfPages
+};
@@ -0,0 +1,338 @@
+/**
+ * Playbook Service
+ * Stores the legal team's standard language per clause type and measures how far
+ * contract clauses deviate from it. Each entry takes a position: preferred (our
+ * standard), acceptable (an approved fallback) or unacceptable (wording to reject).
+ */
+
+const { query } = require('../database/connection');
+const { normalizeClauseType } = require('lexlens-shared');
+const {
+  generateEmbedding,
+  formatEmbeddingForDB,
+  parseEmbeddingFromDB,
+  cosineSimilarity
+} = require('./embedding.service');
+const { tokenSimilarity, diffClauseText } = require('./comparison.service');
+const logger = require('../utils/logger');
+
+const POSITIONS = ['preferred', 'acceptable', 'unacceptable'];
+
+// Entries are re-read from the database at most this often
+const CACHE_TTL_MS = 60 * 1000;
+
+// Minimum similarity for a clause to count as a version of a playbook entry
+const MATCH_THRESHOLD = 0.8;
+
+let cache = null;
+
+/**
+ * Embed playbook text, or null when no embedding model is available
+ */
+async function embedText(text) {
+  try {
+    return await generateEmbedding(text);
+  } catch (error) {
+    logger.warn('Could not embed playbook clause; it will be compared by word overlap:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Shape a playbook_clauses row for API responses
+ */
+function formatEntry(row) {
+  return {
+    id: row.id,
+    clauseType: row.clause_type,
+    position: row.position,
+    title: row.title,
+    text: row.text,
+    guidance: row.guidance,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Load every playbook entry for comparison, grouped by clause type (cached)
+ * @param {Object} options - { refresh } to bypass the cache
+ * @returns {Promise<Map>} clause type -> [{ id, position, title, text, guidance, embedding }]
+ */
+async function getPlaybook({ refresh = false } = {}) {
+  if (!refresh && cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.entries;
+  }
+
+  try {
+    const result = await query(
+      `SELECT id, clause_type, position, title, text, guidance, embedding
+       FROM playbook_clauses
+       ORDER BY clause_type, id`
+    );
+
+    const entries = new Map();
+    for (const row of result.rows) {
+      const type = normalizeClauseType(row.clause_type);
+      if (!entries.has(type)) {
+        entries.set(type, []);
+      }
+      entries.get(type).push({
+        id: row.id,
+        position: row.position,
+        title: row.title,
+        text: row.text,
+        guidance: row.guidance,
+        embedding: row.embedding ? parseEmbeddingFromDB(row.embedding) : null
+      });
+    }
+
+    cache = { loadedAt: Date.now(), entries };
+  } catch (error) {
+    logger.error('Failed to load playbook:', error.message);
+    cache = { loadedAt: Date.now(), entries: cache ? cache.entries : new Map() };
+  }
+
+  return cache.entries;
+}
+
+/**
+ * Drop the cached playbook so the next lookup reads the database
+ */
+function invalidateCache() {
+  cache = null;
+}
+
+/**
+ * List playbook entries
+ * @param {Object} filters - { clauseType } (optional)
+ * @returns {Promise<Array>} Entries for the API
+ */
+async function listEntries({ clauseType } = {}) {
+  const params = [];
+  let queryText = `SELECT id, clause_type, position, title, text, guidance, created_by, created_at, updated_at
+     FROM playbook_clauses`;
+
+  if (clauseType) {
+    params.push(clauseType);
+    queryText += ` WHERE clause_type = $1`;
+  }
+
+  queryText += ` ORDER BY clause_type,
+     CASE position WHEN 'preferred' THEN 1 WHEN 'acceptable' THEN 2 ELSE 3 END, id`;
+
+  const result = await query(queryText, params);
+  return result.rows.map(formatEntry);
+}
+
+/**
+ * Get one playbook entry
+ * @param {number} id - Entry ID
+ * @returns {Promise<Object|null>} Entry, or null if not found
+ */
+async function getEntry(id) {
+  const result = await query(
+    `SELECT id, clause_type, position, title, text, guidance, created_by, created_at, updated_at
+     FROM playbook_clauses
+     WHERE id = $1`,
+    [id]
+  );
+
+  return result.rows.length > 0 ? formatEntry(result.rows[0]) : null;
+}
+
+/**
+ * Add a playbook entry
+ * @param {Object} definition - { clauseType, position, title, text, guidance }
+ * @param {number} userId - User adding the entry
+ * @returns {Promise<Object>} Created entry
+ */
+async function createEntry(definition, userId) {
+  const { clauseType, position, title = null, text, guidance = null } = definition;
+  const embedding = await embedText(text);
+
+  const result = await query(
+    `INSERT INTO playbook_clauses (clause_type, position, title, text, guidance, embedding, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id`,
+    [clauseType, position, title, text, guidance, embedding ? formatEmbeddingForDB(embedding) : null, userId]
+  );
+
+  invalidateCache();
+  logger.info(`Playbook ${position} ${clauseType} clause added by user ${userId}`);
+  return getEntry(result.rows[0].id);
+}
+
+/**
+ * Update a playbook entry
+ * Changing the text recomputes its embedding.
+ * @param {number} id - Entry ID
+ * @param {Object} changes - Any of { clauseType, position, title, text, guidance }
+ * @returns {Promise<Object|null>} Updated entry, or null if it does not exist
+ */
+async function updateEntry(id, changes) {
+  const textChanged = typeof changes.text === 'string';
+  const embedding = textChanged ? await embedText(changes.text) : null;
+
+  const result = await query(
+    `UPDATE playbook_clauses SET
+       clause_type = COALESCE($2, clause_type),
+       position = COALESCE($3, position),
+       title = COALESCE($4, title),
+       text = COALESCE($5, text),
+       guidance = COALESCE($6, guidance),
+       embedding = CASE WHEN $7 THEN $8::vector ELSE embedding END,
+       updated_at = NOW()
+     WHERE id = $1
+     RETURNING id`,
+    [
+      id,
+      changes.clauseType || null,
+      changes.position || null,
+      changes.title ?? null,
+      textChanged ? changes.text : null,
+      changes.guidance ?? null,
+      textChanged,
+      embedding ? formatEmbeddingForDB(embedding) : null
+    ]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  invalidateCache();
+  return getEntry(id);
+}
+
+/**
+ * Delete a playbook entry
+ * @param {number} id - Entry ID
+ * @returns {Promise<boolean>} Whether an entry was deleted
+ */
+async function deleteEntry(id) {
+  const result = await query(
+    `DELETE FROM playbook_clauses WHERE id = $1 RETURNING id`,
+    [id]
+  );
+
+  invalidateCache();
+  return result.rows.length > 0;
+}
+
+/**
+ * Similarity between a clause and a playbook entry
+ * Embeddings are compared when both exist, otherwise word overlap is used.
+ */
+function entrySimilarity(clause, entry) {
+  if (clause.embedding && entry.embedding) {
+    return cosineSimilarity(clause.embedding, entry.embedding);
+  }
+  return tokenSimilarity(clause.text, entry.text);
+}
+
+/**
+ * Compare a clause with the playbook entries for its type
+ * The status is the position of the closest entry when the clause is a version of
+ * it, or non_standard when it resembles none of them. Deviation and the diff are
+ * measured against the closest approved entry (preferred, else acceptable), whose
+ * wording is suggested unless the clause already matches preferred language.
+ * @param {Object} clause - { text, clause_type, embedding }
+ * @param {Map} playbook - Output of getPlaybook
+ * @returns {Object|null} Comparison, or null when the playbook has nothing for the type
+ */
+function compareClause(clause, playbook) {
+  const entries = playbook.get(normalizeClauseType(clause.clause_type)) || [];
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const round = value => Math.round(value * 1000) / 1000;
+  const ranked = entries
+    .map(entry => ({ entry, similarity: entrySimilarity(clause, entry) }))
+    .sort((a, b) => b.similarity - a.similarity);
+
+  const closest = ranked[0];
+  const standard = ranked.find(match => match.entry.position === 'preferred') ||
+    ranked.find(match => match.entry.position === 'acceptable') ||
+    null;
+
+  const status = closest.similarity >= MATCH_THRESHOLD ? closest.entry.position : 'non_standard';
+  const summarize = match => ({
+    id: match.entry.id,
+    position: match.entry.position,
+    title: match.entry.title,
+    similarity: round(match.similarity)
+  });
+
+  return {
+    clause_type: normalizeClauseType(clause.clause_type),
+    status,
+    closest: summarize(closest),
+    standard: standard ? summarize(standard) : null,
+    deviation: standard ? round(Math.max(0, 1 - standard.similarity)) : null,
+    diff: standard ? diffClauseText(standard.entry.text, clause.text) : null,
+    suggestion: standard && status !== 'preferred'
+      ? {
+        entry_id: standard.entry.id,
+        position: standard.entry.position,
+        text: standard.entry.text,
+        guidance: standard.entry.guidance
+      }
+      : null
+  };
+}
+
+/**
+ * Compare every clause of a contract with the playbook
+ * @param {number} contractId - Contract ID
+ * @returns {Promise<Object>} { contract_id, counts, clauses } where clauses lists
+ *   { clause_id, section_number, title, ...compareClause }
+ */
+async function reviewContract(contractId) {
+  const result = await query(
+    `SELECT id, section_number, title, text, clause_type, embedding
+     FROM clauses
+     WHERE contract_id = $1
+     ORDER BY position ASC`,
+    [contractId]
+  );
+
+  const playbook = await getPlaybook();
+  const counts = Object.fromEntries([...POSITIONS, 'non_standard'].map(status => [status, 0]));
+  const clauses = [];
+
+  for (const row of result.rows) {
+    const comparison = compareClause({
+      text: row.text,
+      clause_type: row.clause_type,
+      embedding: row.embedding ? parseEmbeddingFromDB(row.embedding) : null
+    }, playbook);
+
+    if (!comparison) continue;
+
+    counts[comparison.status]++;
+    clauses.push({
+      clause_id: row.id,
+      section_number: row.section_number,
+      title: row.title,
+      ...comparison
+    });
+  }
+
+  return { contract_id: contractId, counts, clauses };
+}
+
+module.exports = {
+  POSITIONS,
+  getPlaybook,
+  invalidateCache,
+  listEntries,
+  getEntry,
+  createEntry,
+  updateEntry,
+  deleteEntry,
+  compareClause,
+  reviewContract
+};
@@ -0,0 +1,89 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }));
+jest.mock('@xenova/transformers', () => ({ pipeline: jest.fn() }));
+jest.mock('../utils/logger');
+
+const { compareClause } = require('./playbook.service');
+
+const PREFERRED = 'Customer shall pay each undisputed invoice within thirty days of receipt';
+const ACCEPTABLE = 'Customer shall pay each undisputed invoice within forty five days of receipt';
+const UNACCEPTABLE = 'Customer shall pay every invoice in advance and no amount may be disputed';
+
+const entry = (id, position, text, extra = {}) => ({
+  id, position, text, title: `${position} payment terms`, guidance: `Use the ${position} wording`, embedding: null, ...extra
+});
+
+const playbook = new Map([
+  ['payment', [
+    entry(1, 'preferred', PREFERRED),
+    entry(2, 'acceptable', ACCEPTABLE),
+    entry(3, 'unacceptable', UNACCEPTABLE)
+  ]],
+  ['indemnity', [entry(4, 'preferred', 'Each party shall indemnify the other for third party claims')]]
+]);
+
+const compare = (text, clauseType = 'payment', extra = {}) => compareClause({ text, clause_type: clauseType, ...extra }, playbook);
+
+describe('compareClause', () => {
+  it('returns null when the playbook has nothing for the clause type', () => {
+    expect(compare('Either party may terminate on notice', 'termination')).toBeNull();
+  });
+
+  it('recognizes preferred language and suggests nothing', () => {
+    const result = compare(PREFERRED);
+
+    expect(result).toMatchObject({
+      clause_type: 'payment',
+      status: 'preferred',
+      closest: { id: 1, position: 'preferred', similarity: 1 },
+      standard: { id: 1 },
+      deviation: 0,
+      suggestion: null
+    });
+  });
+
+  it('suggests the preferred wording for an acceptable fallback', () => {
+    const result = compare(ACCEPTABLE);
+
+    expect(result.status).toBe('acceptable');
+    expect(result.closest.id).toBe(2);
+    expect(result.standard.id).toBe(1);
+    expect(result.deviation).toBeGreaterThan(0);
+    expect(result.suggestion).toEqual({
+      entry_id: 1,
+      position: 'preferred',
+      text: PREFERRED,
+      guidance: 'Use the preferred wording'
+    });
+  });
+
+  it('flags wording the playbook rejects', () => {
+    const result = compare(UNACCEPTABLE);
+
+    expect(result.status).toBe('unacceptable');
+    expect(result.suggestion.entry_id).toBe(1);
+  });
+
+  it('calls a clause resembling no entry non-standard and diffs it against the standard', () => {
+    const result = compare('Fees are payable quarterly by wire transfer to the account Provider designates');
+
+    expect(result.status).toBe('non_standard');
+    expect(result.diff.wordsAdded).toBeGreaterThan(0);
+    expect(result.diff.wordsRemoved).toBeGreaterThan(0);
+  });
+
+  it('measures similarity by embedding when the clause and entries have one', () => {
+    const embedded = new Map([['payment', [
+      entry(1, 'preferred', PREFERRED, { embedding: [1, 0] }),
+      entry(3, 'unacceptable', UNACCEPTABLE, { embedding: [0, 1] })
+    ]]]);
+
+    const result = compareClause({ text: 'Invoices are settled within a month', clause_type: 'payment', embedding: [0.95, 0.05] }, embedded);
+
+    expect(result.status).toBe('preferred');
+    expect(result.closest.id).toBe(1);
+  });
+
+  it('matches entries stored under a legacy clause type name', () => {
+    expect(compare('Each party shall indemnify the other for third party claims', 'indemnification').status).toBe('preferred');
+  });
+});
@@ -2,7 +2,10 @@ const Queue = require('bull');
 const { query } = require('../database/connection');
 const { extractText, getFileSize } = require('./extraction.service');
 const { extractAndClassifyClauses } = require('./clause.service');
-const { generateEmbedding, formatEmbeddingForDB } = require('./embedding.service');
+const { generateChunkedEmbeddings, formatEmbeddingForDB } = require('./embedding.service');
+const { compareContracts, invalidateComparisons } = require('./comparison.service');
+const { analyzeContract, rescoreContract } = require('./analysis.service');
+const { buildPerspective } = require('./risk.service');
 const logger = require('../utils/logger');
 
 // Create queue for contract processing
@@ -30,16 +33,19 @@ contractQueue.process('extract-text', async (job) => {
     const fileSize = await getFileSize(filePath);
 
     // Update contract with extracted data
-    await query(
+    const updated = await query(
       `UPDATE contracts
        SET
          extracted_text = $1,
-         metadata = $2,
+         document_structure = $2,
+         metadata = $3,
          status = 'processing',
          processed_at = NOW()
-       WHERE id = $3`,
+       WHERE id = $4
+       RETURNING perspective`,
       [
         extraction.text,
+        extraction.structure ? JSON.stringify(extraction.structure) : null,
         JSON.stringify(extraction.metadata),
         contractId
       ]
@@ -47,39 +53,84 @@ contractQueue.process('extract-text', async (job) => {
 
     // Extract and classify clauses
     logger.info(`Extracting clauses from contract ${contractId}`);
-    const clauses = await extractAndClassifyClauses(extraction.text);
+    // Risk is scored for the party chosen at upload, if any
+    const perspective = buildPerspective(extraction.metadata, updated.rows[0]?.perspective);
+    const clauses = await extractAndClassifyClauses(extraction.text, extraction.structure, { perspective });
 
-    // Generate embeddings and save clauses
+    // Embed every clause with its chunks in one batched pass; chunks embedded during
+    // classification come from the embedding cache. Without an embedding model the
+    // clauses are still saved, just not searchable by meaning.
     logger.info(`Generating embeddings for ${clauses.length} clauses`);
+    try {
+      const embedded = await generateChunkedEmbeddings(clauses.map(clause => clause.text));
+      clauses.forEach((clause, index) => {
+        clause.embedding = embedded[index].embedding;
+        clause.chunks = embedded[index].chunks;
+      });
+    } catch (error) {
+      logger.warn(`Embedding failed for contract ${contractId}, saving clauses without embeddings:`, error.message);
+    }
+
+    // Replace clauses left by an earlier attempt, along with comparisons built on them
+    await query(`DELETE FROM clauses WHERE contract_id = $1`, [contractId]);
+    await invalidateComparisons(contractId);
+
+    // Clauses arrive parents-first, so each parent's id is known before its children are saved
+    const clauseIds = new Map();
+
     for (const clause of clauses) {
       try {
-        // Generate embedding for clause text
-        const embedding = await generateEmbedding(clause.text);
-        const embeddingStr = formatEmbeddingForDB(embedding);
+        const embeddingStr = clause.embedding ? formatEmbeddingForDB(clause.embedding) : null;
 
         // Insert clause into database
-        await query(
+        const inserted = await query(
           `INSERT INTO clauses
-           (contract_id, position, section_number, title, text, clause_type,
-            confidence, entities, word_count, risk_level, risk_flags,
-            requires_review, embedding, created_at)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())`,
+           (contract_id, parent_id, depth, clause_kind, position, section_number, title, text,
+            clause_type, confidence, labels, entities, word_count, risk_level, risk_flags,
+            risk_explanation, requires_review, risk_ruleset_version, embedding, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, NOW())
+           RETURNING id`,
           [
             contractId,
+            clauseIds.get(clause.parent_position) || null,
+            clause.depth || 0,
+            clause.kind || null,
             clause.position,
             clause.section_number,
             clause.title,
             clause.text,
             clause.clause_type,
             clause.confidence,
+            JSON.stringify(clause.labels || []),
             JSON.stringify(clause.entities),
             clause.word_count,
             clause.risk_level,
             JSON.stringify(clause.risk_flags),
+            clause.risk_explanation,
             clause.requires_review,
+            clause.risk_ruleset_version,
             embeddingStr
           ]
         );
+
+        clauseIds.set(clause.position, inserted.rows[0].id);
+
+        if (clause.chunks) {
+          await query(
+            `INSERT INTO clause_chunks (clause_id, chunk_index, start_offset, end_offset, token_count, embedding)
+             SELECT $1, chunk_index, start_offset, end_offset, token_count, embedding::vector
+             FROM unnest($2::int[], $3::int[], $4::int[], $5::int[], $6::text[])
+               AS chunks(chunk_index, start_offset, end_offset, token_count, embedding)`,
+            [
+              inserted.rows[0].id,
+              clause.chunks.map(chunk => chunk.index),
+              clause.chunks.map(chunk => chunk.start),
+              clause.chunks.map(chunk => chunk.end),
+              clause.chunks.map(chunk => chunk.token_count),
+              clause.chunks.map(chunk => formatEmbeddingForDB(chunk.embedding))
+            ]
+          );
+        }
       } catch (error) {
         logger.error(`Failed to process clause ${clause.position}:`, error);
         // Continue with other clauses
@@ -114,6 +165,29 @@ contractQueue.process('extract-text', async (job) => {
 
     logger.info(`Successfully processed contract ${contractId} with ${clauses.length} clauses`);
 
+    // Build the contract-level analysis from the stored clauses
+    try {
+      await queueContractAnalysis(contractId, userId);
+    } catch (error) {
+      logger.warn(`Skipping automatic analysis for contract ${contractId}:`, error.message);
+    }
+
+    // Revisions are compared with the version they replace
+    const versionResult = await query(
+      `SELECT parent_contract_id FROM contracts WHERE id = $1`,
+      [contractId]
+    );
+    const parentContractId = versionResult.rows[0]?.parent_contract_id;
+
+    if (parentContractId) {
+      try {
+        await queueVersionComparison(parentContractId, contractId, userId);
+      } catch (error) {
+        // The extraction itself succeeded; the comparison can still be requested on demand
+        logger.warn(`Skipping automatic comparison for contract ${contractId}:`, error.message);
+      }
+    }
+
     return {
       success: true,
       contractId,
@@ -148,6 +222,143 @@ contractQueue.process('extract-text', async (job) => {
   }
 });
 
+/**
+ * Process contract analysis job
+ */
+contractQueue.process('analyze-contract', async (job) => {
+  const { contractId, userId, rescore } = job.data;
+
+  try {
+    logger.info(`Analyzing contract ${contractId} for user ${userId}`);
+
+    await query(
+      `UPDATE processing_jobs
+       SET status = 'processing', started_at = NOW()
+       WHERE id = $1`,
+      [job.data.jobId]
+    );
+
+    // Clause risk depends on the perspective, so a new one means scoring the clauses again first
+    const rescored = rescore ? await rescoreContract(contractId) : null;
+
+    const analysis = await analyzeContract(contractId);
+
+    await query(
+      `UPDATE processing_jobs
+       SET
+         status = 'completed',
+         completed_at = NOW(),
+         result = $1
+       WHERE id = $2`,
+      [
+        JSON.stringify({
+          success: true,
+          analysisId: analysis.id,
+          overallRiskScore: analysis.overall_risk_score,
+          keyRiskCount: analysis.key_risks.length,
+          changedRiskCount: rescored ? rescored.changedCount : 0
+        }),
+        job.data.jobId
+      ]
+    );
+
+    logger.info(`Successfully analyzed contract ${contractId}`);
+
+    return {
+      success: true,
+      contractId,
+      analysisId: analysis.id
+    };
+
+  } catch (error) {
+    logger.error(`Failed to analyze contract ${contractId}:`, error);
+
+    await query(
+      `UPDATE processing_jobs
+       SET
+         status = 'failed',
+         completed_at = NOW(),
+         error = $1
+       WHERE id = $2`,
+      [error.message, job.data.jobId]
+    );
+
+    throw error;
+  }
+});
+
+/**
+ * Process version comparison job
+ */
+contractQueue.process('compare-versions', async (job) => {
+  const { previousContractId, contractId, userId } = job.data;
+
+  try {
+    logger.info(`Comparing contract ${contractId} with previous version ${previousContractId} for user ${userId}`);
+
+    await query(
+      `UPDATE processing_jobs
+       SET status = 'processing', started_at = NOW()
+       WHERE id = $1`,
+      [job.data.jobId]
+    );
+
+    // The previous version may still be processing; throwing lets Bull retry later
+    const previousResult = await query(
+      `SELECT status FROM contracts WHERE id = $1`,
+      [previousContractId]
+    );
+
+    if (previousResult.rows[0]?.status !== 'analyzed') {
+      throw new Error(`Previous version ${previousContractId} has not finished analysis`);
+    }
+
+    const comparison = await compareContracts(previousContractId, contractId, { refresh: true });
+
+    await query(
+      `UPDATE processing_jobs
+       SET
+         status = 'completed',
+         completed_at = NOW(),
+         result = $1
+       WHERE id = $2`,
+      [
+        JSON.stringify({
+          success: true,
+          comparisonId: comparison.id,
+          previousContractId,
+          changeSummary: comparison.changeSummary
+        }),
+        job.data.jobId
+      ]
+    );
+
+    logger.info(`Compared contract ${contractId} with version ${previousContractId}: ${comparison.changeSummary}`);
+
+    return {
+      success: true,
+      contractId,
+      previousContractId,
+      comparisonId: comparison.id
+    };
+
+  } catch (error) {
+    logger.error(`Failed to compare contract ${contractId} with ${previousContractId}:`, error);
+
+    await query(
+      `UPDATE processing_jobs
+       SET
+         status = 'failed',
+         completed_at = NOW(),
+         error = $1
+       WHERE id = $2`,
+      [error.message, job.data.jobId]
+    );
+
+    throw error;
+  }
+});
+
 /**
  * Add contract to processing queue
  */
@@ -193,6 +404,93 @@ async function queueContractExtraction(contractId, filePath, fileType, userId) {
   }
 }
 
+/**
+ * Queue contract-level analysis of an extracted contract
+ * @param {number} contractId - Contract ID
+ * @param {number} userId - User ID
+ * @param {Object} options - { rescore } re-scores the clauses before analysis, e.g. after a perspective change
+ */
+async function queueContractAnalysis(contractId, userId, options = {}) {
+  try {
+    const jobResult = await query(
+      `INSERT INTO processing_jobs (contract_id, job_type, status, created_at)
+       VALUES ($1, 'analysis', 'pending', NOW())
+       RETURNING id`,
+      [contractId]
+    );
+
+    const jobId = jobResult.rows[0].id;
+
+    const job = await contractQueue.add('analyze-contract', {
+      contractId,
+      userId,
+      jobId,
+      rescore: Boolean(options.rescore)
+    }, {
+      attempts: 3,
+      backoff: {
+        type: 'exponential',
+        delay: 2000
+      },
+      removeOnComplete: false,
+      removeOnFail: false
+    });
+
+    logger.info(`Queued contract ${contractId} for analysis (Job ID: ${job.id})`);
+
+    return {
+      jobId,
+      queueJobId: job.id
+    };
+
+  } catch (error) {
+    logger.error('Failed to queue contract analysis:', error);
+    throw error;
+  }
+}
+
+/**
+ * Queue comparison of a revision with the version it replaces
+ */
+async function queueVersionComparison(previousContractId, contractId, userId) {
+  try {
+    const jobResult = await query(
+      `INSERT INTO processing_jobs (contract_id, job_type, status, created_at)
+       VALUES ($1, 'comparison', 'pending', NOW())
+       RETURNING id`,
+      [contractId]
+    );
+
+    const jobId = jobResult.rows[0].id;
+
+    const job = await contractQueue.add('compare-versions', {
+      previousContractId,
+      contractId,
+      userId,
+      jobId
+    }, {
+      attempts: 3,
+      backoff: {
+        type: 'exponential',
+        delay: 5000
+      },
+      removeOnComplete: false,
+      removeOnFail: false
+    });
+
+    logger.info(`Queued comparison of contract ${contractId} with ${previousContractId} (Job ID: ${job.id})`);
+
+    return {
+      jobId,
+      queueJobId: job.id
+    };
+
+  } catch (error) {
+    logger.error('Failed to queue version comparison:', error);
+    throw error;
+  }
+}
+
 /**
  * Get job status
  */
@@ -250,6 +548,8 @@ contractQueue.on('error', (error) => {
 module.exports = {
   contractQueue,
   queueContractExtraction,
+  queueContractAnalysis,
+  queueVersionComparison,
   getJobStatus,
   cleanupOldJobs
 };
@@ -0,0 +1,673 @@
+/**
+ * Risk Rule Engine
+ * Scores clauses against declarative rules scoped by clause type. Rulesets are
+ * stored in the database as numbered, immutable versions; every change publishes
+ * a new version, and each scored clause records the version that scored it.
+ *
+ * Rule format:
+ *   {
+ *     id: 'termination.short_notice',
+ *     clauseTypes: ['termination'],          // omit or ['*'] for every type
+ *     severity: 'low' | 'medium' | 'high',
+ *     when: <condition>,
+ *     message, explanation, remediation,
+ *     downgradeIfMutual: true,              // one level lower when both parties are bound
+ *     bearer: 'party' | 'counterparty' | 'auto'
+ *                                           // who the risk falls on: the party the clause
+ *                                           // binds (default), the other side when the clause
+ *                                           // grants the party a right, or either depending on
+ *                                           // whether the party "shall" act or only "may"
+ *   }
+ *
+ * Clauses can be scored from one party's perspective. Flags whose risk falls on
+ * the other side are marked favorable and do not count towards the risk level.
+ *
+ * Conditions:
+ *   { pattern: 'regex' }                    text matches (case-insensitive) outside a
+ *                                           negation; add allowNegated: true to keep negated matches
+ *   { notPattern: 'regex' }                 text has no un-negated match
+ *   { entity: 'money', min: 1, max: 3 }     count of extracted entities
+ *   { quantity: 'days', lt: 30 }            a number in the text meets the bounds
+ *                                           (days, percent or amount; lt, lte, gt, gte, eq)
+ *   { all: [...] } | { any: [...] } | { not: <condition> }
+ */
+
+const Joi = require('joi');
+const compromise = require('compromise');
+const { query } = require('../database/connection');
+const defaultRules = require('../config/risk-rules.json');
+const logger = require('../utils/logger');
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+const SEVERITY_BELOW = { high: 'medium', medium: 'low', low: 'low' };
+
+// The active ruleset is re-read from the database at most this often
+const CACHE_TTL_MS = 60 * 1000;
+
+const DAYS_PER_UNIT = { day: 1, week: 7, month: 30, year: 365 };
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fourteen: 14, fifteen: 15, twenty: 20, thirty: 30, 'forty-five': 45,
+  sixty: 60, ninety: 90, 'one hundred twenty': 120, 'one hundred eighty': 180
+};
+
+const NUMBER = `(\\d[\\d,]*(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|')})`;
+const DURATION_PATTERN = new RegExp(
+  `\\b${NUMBER}\\s*(?:\\(\\s*(\\d+)\\s*\\)\\s*)?(?:calendar\\s+|business\\s+|working\\s+)?(day|week|month|year)s?\\b`, 'gi'
+);
+const PERCENT_PATTERN = /(\d+(?:\.\d+)?)\s*(?:%|percent\b|per cent\b)/gi;
+const AMOUNT_PATTERN = /(?:[$€£]|\b(?:USD|EUR|GBP)\s?)(\d[\d,]*(?:\.\d+)?)(?:\s?(million|thousand|m|k)\b)?/gi;
+
+// Negation cues; compromise tags "not" and contractions as #Negative
+const NEGATION_CUES = '(#Negative|no|neither|nor|never|nothing|none|cannot)';
+const NEGATION_WINDOW_WORDS = 10;
+const NEGATION_SCOPE_BREAK = /[,;:()]|\b(but|except|unless|provided|however|whereas|although|save)\b/i;
+const TRAILING_NEGATION = /^\s*(shall|will|does|do|is|are|may|must|can)\s+(not|never)\b|^\s*cannot\b/i;
+
+// "<subject> shall ...": the party an obligation or right falls on
+const OBLIGATION_SUBJECT =
+  '[<subject>(each|either|both|neither|no|the|all)? #Adjective? #Noun+] #Adverb? ' +
+  '(shall|will|must|may|agrees|agree|undertakes|cannot)';
+const MUTUAL_PARTY = /^(each|either|both|neither|all)\b|\bparties\b/i;
+
+// Wording after a subject that gives it a right rather than an obligation
+const RIGHT_AFTER_SUBJECT = /^\s*(\w+ly\s+)?(may|can|is entitled to|shall be entitled to|(shall )?(has|have) the right to|reserves the right to)\b/i;
+
+const ENTITY_KINDS = ['dates', 'money', 'organizations', 'people'];
+const QUANTITY_KINDS = ['days', 'percent', 'amount'];
+
+// Validation schemas
+const CONDITION_KINDS = ['pattern', 'notPattern', 'entity', 'quantity', 'all', 'any', 'not'];
+const BOUNDS = ['lt', 'lte', 'gt', 'gte', 'eq'];
+
+const conditionSchema = Joi.object({
+  pattern: Joi.string().min(1).max(500),
+  allowNegated: Joi.boolean(),
+  notPattern: Joi.string().min(1).max(500),
+  entity: Joi.string().valid(...ENTITY_KINDS),
+  min: Joi.number().integer().min(0),
+  max: Joi.number().integer().min(0),
+  quantity: Joi.string().valid(...QUANTITY_KINDS),
+  ...Object.fromEntries(BOUNDS.map(bound => [bound, Joi.number()])),
+  all: Joi.array().items(Joi.link('#condition')).min(1),
+  any: Joi.array().items(Joi.link('#condition')).min(1),
+  not: Joi.link('#condition')
+})
+  .xor(...CONDITION_KINDS)
+  .with('allowNegated', 'pattern')
+  .with('min', 'entity')
+  .with('max', 'entity')
+  .when(Joi.object({ quantity: Joi.exist() }).unknown(), { then: Joi.object().or(...BOUNDS) })
+  .id('condition');
+
+const ruleSchema = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9_.-]+$/).max(100).required(),
+  clauseTypes: Joi.array().items(Joi.string().max(100)).default(['*']),
+  severity: Joi.string().valid('low', 'medium', 'high').required(),
+  when: conditionSchema.required(),
+  message: Joi.string().trim().max(255).required(),
+  explanation: Joi.string().trim().max(2000).allow(''),
+  remediation: Joi.string().trim().max(2000).allow(''),
+  downgradeIfMutual: Joi.boolean().default(false),
+  bearer: Joi.string().valid('party', 'counterparty', 'auto').default('party'),
+  enabled: Joi.boolean().default(true)
+});
+
+const rulesetSchema = Joi.array().items(ruleSchema).unique('id');
+
+let cache = null;
+let defaultRuleset = null;
+
+/**
+ * Validate a rule list and check that every pattern compiles
+ * @param {Array} rules - Rules as submitted
+ * @returns {Array} Rules with defaults applied
+ * @throws {Error} With a user-facing message if the rules are invalid
+ */
+function validateRules(rules) {
+  const { error, value } = rulesetSchema.validate(rules);
+  if (error) {
+    throw new Error(error.details[0].message);
+  }
+  value.forEach(rule => compileCondition(rule.when, rule.id));
+  return value;
+}
+
+/**
+ * Compile a condition tree, turning pattern sources into regular expressions
+ */
+function compileCondition(condition, ruleId) {
+  const compileRegex = source => {
+    try {
+      return new RegExp(source, 'gi');
+    } catch (error) {
+      throw new Error(`Rule ${ruleId}: invalid pattern "${source}": ${error.message}`);
+    }
+  };
+
+  if (condition.pattern !== undefined) return { ...condition, regex: compileRegex(condition.pattern) };
+  if (condition.notPattern !== undefined) return { ...condition, regex: compileRegex(condition.notPattern) };
+  if (condition.all) return { all: condition.all.map(child => compileCondition(child, ruleId)) };
+  if (condition.any) return { any: condition.any.map(child => compileCondition(child, ruleId)) };
+  if (condition.not) return { not: compileCondition(condition.not, ruleId) };
+  return condition;
+}
+
+/**
+ * Prepare a stored ruleset for evaluation
+ * @param {number|null} version - Ruleset version
+ * @param {Array} rules - Stored rules
+ * @returns {Object} { version, rules } with compiled conditions
+ */
+function compileRuleset(version, rules) {
+  return {
+    version,
+    rules: rules
+      .filter(rule => rule.enabled !== false)
+      .map(rule => ({
+        ...rule,
+        clauseTypes: rule.clauseTypes && rule.clauseTypes.length > 0 ? rule.clauseTypes : ['*'],
+        when: compileCondition(rule.when, rule.id)
+      }))
+  };
+}
+
+/**
+ * Ruleset shipped with the code, used when the database is unavailable
+ * @returns {Object} Compiled ruleset with a null version
+ */
+function getDefaultRuleset() {
+  if (!defaultRuleset) {
+    defaultRuleset = compileRuleset(null, validateRules(defaultRules));
+  }
+  return defaultRuleset;
+}
+
+/**
+ * Pull durations (in days), percentages and currency amounts out of clause text
+ * @param {string} text - Clause text
+ * @returns {Object} { days, percent, amount }, each a list of { value, start, end }
+ */
+function extractQuantities(text) {
+  const toNumber = value => NUMBER_WORDS[value.toLowerCase()] ?? parseFloat(value.replace(/,/g, ''));
+  const at = (match, value) => ({ value, start: match.index, end: match.index + match[0].length });
+  const quantities = { days: [], percent: [], amount: [] };
+
+  for (const match of text.matchAll(DURATION_PATTERN)) {
+    // "thirty (30) days": prefer the figure in brackets
+    const count = match[2] ? parseFloat(match[2]) : toNumber(match[1]);
+    quantities.days.push(at(match, count * DAYS_PER_UNIT[match[3].toLowerCase()]));
+  }
+
+  for (const match of text.matchAll(PERCENT_PATTERN)) {
+    quantities.percent.push(at(match, parseFloat(match[1])));
+  }
+
+  for (const match of text.matchAll(AMOUNT_PATTERN)) {
+    const scale = { million: 1e6, m: 1e6, thousand: 1e3, k: 1e3 }[(match[2] || '').toLowerCase()] || 1;
+    quantities.amount.push(at(match, toNumber(match[1]) * scale));
+  }
+
+  return quantities;
+}
+
+/**
+ * Find sentences, negation cues and obligation subjects in clause text
+ * Offsets are character positions in the original text.
+ * @param {string} text - Clause text
+ * @returns {Object} { sentences, negations, subjects }, each a list of { start, end } (subjects also have text)
+ */
+function analyzeLanguage(text) {
+  const spans = view => view.json({ offset: true }).map(item => ({
+    text: item.text.trim(),
+    start: item.offset.start,
+    end: item.offset.start + item.offset.length
+  }));
+
+  try {
+    const doc = compromise(text);
+    const sentences = spans(doc.sentences());
+
+    return {
+      sentences: sentences.length > 0 ? sentences : [{ start: 0, end: text.length }],
+      negations: spans(doc.match(NEGATION_CUES)),
+      subjects: spans(doc.match(OBLIGATION_SUBJECT).groups('subject'))
+    };
+  } catch (error) {
+    logger.warn('Language analysis failed, matching without negation handling:', error.message);
+    return { sentences: [{ start: 0, end: text.length }], negations: [], subjects: [] };
+  }
+}
+
+/**
+ * Sentence containing a character range
+ */
+function sentenceAt(language, start) {
+  return language.sentences.find(sentence => start >= sentence.start && start < sentence.end) ||
+    { start: 0, end: Infinity };
+}
+
+/**
+ * Whether a match falls inside a negation's scope
+ * A cue negates a match that follows it in the same sentence, within a few
+ * words and with no clause break in between ("shall not have unlimited
+ * liability", "Neither party shall ..."). A negated verb straight after the
+ * match also counts ("unlimited liability shall not apply").
+ */
+function isNegated(match, context) {
+  const { text, language } = context;
+  const sentence = sentenceAt(language, match.start);
+
+  const cue = language.negations
+    .filter(negation => negation.start >= sentence.start && negation.end <= match.start)
+    .pop();
+
+  if (cue) {
+    const between = text.slice(cue.end, match.start);
+    const words = between.trim() ? between.trim().split(/\s+/).length : 0;
+    if (!NEGATION_SCOPE_BREAK.test(between) && words <= NEGATION_WINDOW_WORDS) {
+      return true;
+    }
+  }
+
+  return TRAILING_NEGATION.test(text.slice(match.end, Math.min(sentence.end, text.length)));
+}
+
+/**
+ * Subject of the obligation a match belongs to: the nearest subject before the
+ * match in the same sentence, otherwise the first one after it
+ * @returns {Object|null} { text, start, end }
+ */
+function obligationSubject(match, context) {
+  const sentence = sentenceAt(context.language, match.start);
+  const inSentence = context.language.subjects.filter(subject =>
+    subject.start >= sentence.start && subject.end <= sentence.end);
+
+  return inSentence.filter(candidate => candidate.end <= match.start).pop() ||
+    inSentence.find(candidate => candidate.start >= match.end) || null;
+}
+
+/**
+ * Party an obligation falls on
+ * @returns {string|null} Party as written, without a leading article
+ */
+function obligatedParty(match, context) {
+  const subject = obligationSubject(match, context);
+  return subject ? subject.text.replace(/^(the|a|an)\s+/i, '') : null;
+}
+
+/**
+ * Whether a rule's risk falls on the other side of the party its match names
+ * True for rules that grant a right, and for 'auto' rules whose party "may" act.
+ */
+function risksOtherSide(rule, match, context) {
+  if (rule.bearer !== 'auto') {
+    return rule.bearer === 'counterparty';
+  }
+  const subject = match ? obligationSubject(match, context) : null;
+  return Boolean(subject) && RIGHT_AFTER_SUBJECT.test(context.text.slice(subject.end));
+}
+
+/**
+ * Whether a party reference covers both sides ("each party", "the parties")
+ */
+function isMutualParty(party) {
+  return Boolean(party) && MUTUAL_PARTY.test(party);
+}
+
+/**
+ * Reduce a party reference to comparable words ("the Customer's" -> "customer")
+ */
+function normalizePartyName(name) {
+  return name.toLowerCase().replace(/['’]s\b/g, '').replace(/[^a-z0-9&\s]/g, ' ')
+    .replace(/\b(the|a|an)\b/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build the perspective used to score a contract for one of its parties
+ * The represented party is known by its name and its defined role ("Customer");
+ * every other detected party, and its role, is the other side.
+ * @param {Object} metadata - Contract metadata ({ parties, partyRoles })
+ * @param {string|null} party - Party being represented
+ * @returns {Object|null} { party, ours, theirs } or null for a neutral view
+ */
+function buildPerspective(metadata = {}, party) {
+  if (!party) {
+    return null;
+  }
+
+  const roles = metadata.partyRoles || {};
+  const namesOf = name => [name, roles[name]].filter(Boolean).map(normalizePartyName);
+  const represented = findParty(metadata, party) || party;
+
+  return {
+    party: represented,
+    ours: namesOf(represented),
+    theirs: (metadata.parties || []).filter(name => name !== represented).flatMap(namesOf)
+  };
+}
+
+/**
+ * Find a detected party by its name or defined role
+ * @param {Object} metadata - Contract metadata ({ parties, partyRoles })
+ * @param {string} name - Party name or role
+ * @returns {string|null} Party name as detected, or null if it is not a party
+ */
+function findParty(metadata = {}, name) {
+  const wanted = normalizePartyName(name);
+  const roles = metadata.partyRoles || {};
+
+  return (metadata.parties || []).find(party =>
+    normalizePartyName(party) === wanted ||
+    (roles[party] && normalizePartyName(roles[party]) === wanted)
+  ) || null;
+}
+
+/**
+ * Which side of the perspective a party reference belongs to
+ * @returns {string|null} 'ours', 'theirs', or null when it cannot be told
+ */
+function sideOf(party, perspective) {
+  if (!party || !perspective) {
+    return null;
+  }
+
+  const name = normalizePartyName(party);
+  const refersTo = names => names.some(candidate =>
+    candidate && (name === candidate || ` ${name} `.includes(` ${candidate} `) || ` ${candidate} `.includes(` ${name} `)));
+
+  if (refersTo(perspective.ours)) return 'ours';
+  if (refersTo(perspective.theirs)) return 'theirs';
+
+  // In a two-party contract, "the other party" and similar are the other side
+  return /\bother party\b|\bcounterparty\b/i.test(party) ? 'theirs' : null;
+}
+
+/**
+ * Whether a number satisfies every bound on a quantity condition
+ */
+function withinBounds(value, condition) {
+  return (condition.lt === undefined || value < condition.lt) &&
+    (condition.lte === undefined || value <= condition.lte) &&
+    (condition.gt === undefined || value > condition.gt) &&
+    (condition.gte === undefined || value >= condition.gte) &&
+    (condition.eq === undefined || value === condition.eq);
+}
+
+/**
+ * Pattern matches that are not negated (unless the condition allows negated matches)
+ */
+function patternMatches(condition, context) {
+  return [...context.text.matchAll(condition.regex)]
+    .filter(match => match[0].length > 0)
+    .map(match => ({ text: match[0], start: match.index, end: match.index + match[0].length }))
+    .filter(match => condition.allowNegated || !isNegated(match, context));
+}
+
+/**
+ * Evaluate a compiled condition
+ * @param {Object} condition - Compiled condition
+ * @param {Object} context - { text, entities, quantities, language }
+ * @returns {Object} { matched, evidence } where evidence lists the triggering { text, start, end }
+ */
+function evaluateCondition(condition, context) {
+  if (condition.regex && condition.pattern !== undefined) {
+    const evidence = patternMatches(condition, context);
+    return { matched: evidence.length > 0, evidence };
+  }
+
+  if (condition.regex && condition.notPattern !== undefined) {
+    return { matched: patternMatches(condition, context).length === 0, evidence: [] };
+  }
+
+  if (condition.entity) {
+    const count = (context.entities?.[condition.entity] || []).length;
+    const matched = count >= (condition.min ?? 1) && (condition.max === undefined || count <= condition.max);
+    return { matched, evidence: [] };
+  }
+
+  if (condition.quantity) {
+    const evidence = context.quantities[condition.quantity]
+      .filter(quantity => withinBounds(quantity.value, condition))
+      .map(quantity => ({ text: context.text.slice(quantity.start, quantity.end), start: quantity.start, end: quantity.end }));
+    return { matched: evidence.length > 0, evidence };
+  }
+
+  if (condition.all) {
+    const results = condition.all.map(child => evaluateCondition(child, context));
+    return {
+      matched: results.every(result => result.matched),
+      evidence: results.flatMap(result => result.evidence)
+    };
+  }
+
+  if (condition.any) {
+    const results = condition.any.map(child => evaluateCondition(child, context)).filter(result => result.matched);
+    return { matched: results.length > 0, evidence: results.flatMap(result => result.evidence) };
+  }
+
+  if (condition.not) {
+    return { matched: !evaluateCondition(condition.not, context).matched, evidence: [] };
+  }
+
+  return { matched: false, evidence: [] };
+}
+
+/**
+ * Score a clause against a ruleset
+ * A rule applies when its clauseTypes include '*', the clause type, or one of
+ * the clause's secondary labels. Negated matches do not trigger rules, and rules
+ * marked downgradeIfMutual drop one severity level when the obligation falls on
+ * both parties. With a perspective, each flag is marked adverse or favorable
+ * depending on which side bears the risk; the risk level is the highest severity
+ * among the flags that are not favorable.
+ * @param {Object} clause - { text, clauseType, labels, entities }
+ * @param {Object} ruleset - Compiled ruleset (defaults to the built-in rules)
+ * @param {Object} options - { perspective } from buildPerspective (optional)
+ * @returns {Object} { risk_level, flags, requires_review, ruleset_version, perspective }
+ */
+function evaluateClause(clause, ruleset = getDefaultRuleset(), options = {}) {
+  const { perspective = null } = options;
+  const types = new Set([clause.clauseType, ...(clause.labels || []).map(entry => entry.label)]);
+  const context = {
+    text: clause.text,
+    entities: clause.entities || {},
+    quantities: extractQuantities(clause.text),
+    language: analyzeLanguage(clause.text)
+  };
+
+  const flags = [];
+
+  for (const rule of ruleset.rules) {
+    if (!rule.clauseTypes.includes('*') && !rule.clauseTypes.some(type => types.has(type))) {
+      continue;
+    }
+
+    const result = evaluateCondition(rule.when, context);
+    if (!result.matched) {
+      continue;
+    }
+
+    const trigger = result.evidence[0] || null;
+    const party = trigger ? obligatedParty(trigger, context) : null;
+    const mutual = isMutualParty(party);
+    const severity = rule.downgradeIfMutual && mutual ? SEVERITY_BELOW[rule.severity] : rule.severity;
+
+    // The party bound by the clause bears the risk, unless the rule says the clause gives it a right
+    const side = mutual ? null : sideOf(party, perspective);
+    const bearer = side && risksOtherSide(rule, trigger, context) ? (side === 'ours' ? 'theirs' : 'ours') : side;
+
+    flags.push({
+      rule_id: rule.id,
+      severity,
+      message: rule.message,
+      explanation: rule.explanation || null,
+      remediation: rule.remediation || null,
+      pattern: trigger ? trigger.text : null,
+      span: trigger ? { start: trigger.start, end: trigger.end } : null,
+      spans: result.evidence.map(evidence => ({ start: evidence.start, end: evidence.end })),
+      party,
+      mutual,
+      stance: bearer === 'ours' ? 'adverse' : bearer === 'theirs' ? 'favorable' : null
+    });
+  }
+
+  flags.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+
+  const counted = flags.filter(flag => flag.stance !== 'favorable');
+  const riskLevel = counted.length > 0 ? counted[0].severity : 'low';
+
+  return {
+    risk_level: riskLevel,
+    flags,
+    requires_review: riskLevel !== 'low',
+    ruleset_version: ruleset.version,
+    perspective: perspective ? perspective.party : null
+  };
+}
+
+/**
+ * Load the active ruleset (cached)
+ * Seeds the shipped defaults as version 1 the first time, and falls back to them
+ * if the database cannot be read.
+ * @param {Object} options - { refresh } to bypass the cache
+ * @returns {Promise<Object>} Compiled ruleset
+ */
+async function getActiveRuleset({ refresh = false } = {}) {
+  if (!refresh && cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.ruleset;
+  }
+
+  try {
+    let result = await query(
+      `SELECT version, rules FROM risk_rulesets WHERE is_active = true ORDER BY version DESC LIMIT 1`
+    );
+
+    if (result.rows.length === 0) {
+      await query(
+        `INSERT INTO risk_rulesets (version, rules, notes, is_active)
+         SELECT 1, $1, 'Default rules', true
+         WHERE NOT EXISTS (SELECT 1 FROM risk_rulesets)
+         ON CONFLICT (version) DO NOTHING`,
+        [JSON.stringify(defaultRules)]
+      );
+      result = await query(
+        `SELECT version, rules FROM risk_rulesets WHERE is_active = true ORDER BY version DESC LIMIT 1`
+      );
+    }
+
+    const row = result.rows[0];
+    const ruleset = row ? compileRuleset(row.version, row.rules) : getDefaultRuleset();
+    cache = { loadedAt: Date.now(), ruleset };
+  } catch (error) {
+    logger.error('Failed to load risk rules, using the built-in defaults:', error.message);
+    cache = { loadedAt: Date.now(), ruleset: cache ? cache.ruleset : getDefaultRuleset() };
+  }
+
+  return cache.ruleset;
+}
+
+/**
+ * Drop the cached ruleset so the next lookup reads the database
+ */
+function invalidateCache() {
+  cache = null;
+}
+
+/**
+ * List ruleset versions, newest first
+ * @returns {Promise<Array>} { version, notes, is_active, rule_count, created_by, created_at }
+ */
+async function listRulesetVersions() {
+  const result = await query(
+    `SELECT r.version, r.notes, r.is_active, jsonb_array_length(r.rules) AS rule_count,
+      u.email AS created_by, r.created_at
+     FROM risk_rulesets r
+     LEFT JOIN users u ON r.created_by = u.id
+     ORDER BY r.version DESC`
+  );
+  return result.rows;
+}
+
+/**
+ * Get one ruleset version with its rules, or the active one if no version is given
+ * @param {number} version - Ruleset version (optional)
+ * @returns {Promise<Object|null>} { version, notes, is_active, rules, created_at }
+ */
+async function getRuleset(version = null) {
+  if (version === null) {
+    await getActiveRuleset();
+  }
+
+  const result = await query(
+    `SELECT version, notes, is_active, rules, created_at
+     FROM risk_rulesets
+     WHERE ${version === null ? 'is_active = true' : 'version = $1'}
+     ORDER BY version DESC
+     LIMIT 1`,
+    version === null ? [] : [version]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Publish a new ruleset version and make it active
+ * @param {Array} rules - Complete rule list
+ * @param {Object} options - { notes, userId }
+ * @returns {Promise<Object>} { version, notes, is_active, rules, created_at }
+ * @throws {Error} If the rules are invalid
+ */
+async function publishRuleset(rules, { notes = null, userId = null } = {}) {
+  const validated = validateRules(rules);
+
+  const result = await query(
+    `WITH next AS (
+       SELECT COALESCE(MAX(version), 0) + 1 AS version FROM risk_rulesets
+     ), deactivated AS (
+       UPDATE risk_rulesets SET is_active = false WHERE is_active = true
+     )
+     INSERT INTO risk_rulesets (version, rules, notes, is_active, created_by)
+     SELECT version, $1, $2, true, $3 FROM next
+     RETURNING version, notes, is_active, rules, created_at`,
+    [JSON.stringify(validated), notes, userId]
+  );
+
+  invalidateCache();
+  logger.info(`Published risk ruleset version ${result.rows[0].version} (${validated.length} rules)`);
+  return result.rows[0];
+}
+
+/**
+ * Make an earlier ruleset version active again
+ * @param {number} version - Ruleset version
+ * @returns {Promise<boolean>} Whether the version exists
+ */
+async function activateRuleset(version) {
+  const result = await query(
+    `UPDATE risk_rulesets SET is_active = (version = $1)
+     WHERE EXISTS (SELECT 1 FROM risk_rulesets WHERE version = $1)
+     RETURNING version`,
+    [version]
+  );
+
+  invalidateCache();
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  SEVERITY_RANK,
+  validateRules,
+  extractQuantities,
+  analyzeLanguage,
+  buildPerspective,
+  findParty,
+  evaluateClause,
+  getDefaultRuleset,
+  getActiveRuleset,
+  invalidateCache,
+  listRulesetVersions,
+  getRuleset,
+  publishRuleset,
+  activateRuleset
+};
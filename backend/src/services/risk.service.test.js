@@ -0,0 +1,122 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }));
+jest.mock('../utils/logger');
+
+const { evaluateClause, buildPerspective, findParty, validateRules } = require('./risk.service');
+
+const metadata = {
+  parties: ['Acme Inc', 'Beta LLC'],
+  partyRoles: { 'Acme Inc': 'Provider', 'Beta LLC': 'Customer' }
+};
+const customer = buildPerspective(metadata, 'Customer');
+
+const evaluate = (clauseType, text, perspective = null) =>
+  evaluateClause({ text, clauseType, labels: [], entities: {} }, undefined, { perspective });
+
+const flag = (result, ruleId) => result.flags.find(entry => entry.rule_id === ruleId);
+
+describe('evaluateClause', () => {
+  it('flags a matching rule and takes the highest severity as the risk level', () => {
+    const result = evaluate('liability', 'Customer shall have unlimited liability for breach.');
+
+    expect(flag(result, 'liability.unlimited')).toMatchObject({ severity: 'high', party: 'Customer' });
+    expect(result.risk_level).toBe('high');
+    expect(result.requires_review).toBe(true);
+  });
+
+  it('only applies rules for the clause type or its labels', () => {
+    const text = 'Customer shall have unlimited liability for breach.';
+
+    expect(evaluate('payment', text).flags).toEqual([]);
+    expect(evaluateClause({ text, clauseType: 'payment', labels: [{ label: 'liability' }] }).risk_level).toBe('high');
+  });
+
+  it.each([
+    ['liability', 'Customer shall not have unlimited liability.'],
+    ['liability', 'In no event shall Customer have unlimited liability.'],
+    ['warranty', 'Provider does not disclaim any warranties.'],
+    ['dispute', 'Nothing in this Agreement waives the right to a jury trial.']
+  ])('does not trigger on negated language: %s', (clauseType, text) => {
+    const result = evaluate(clauseType, text);
+
+    expect(result.flags).toEqual([]);
+    expect(result.risk_level).toBe('low');
+  });
+
+  describe('with a perspective', () => {
+    it('marks an obligation on the represented party as adverse', () => {
+      const result = evaluate('liability', 'Customer shall have unlimited liability for breach.', customer);
+
+      expect(flag(result, 'liability.unlimited').stance).toBe('adverse');
+      expect(result.risk_level).toBe('high');
+      expect(result.perspective).toBe('Beta LLC');
+    });
+
+    it('does not count an obligation on the other side toward the risk level', () => {
+      const result = evaluate('liability', 'Provider shall have unlimited liability for breach.', customer);
+
+      expect(flag(result, 'liability.unlimited').stance).toBe('favorable');
+      expect(result.risk_level).toBe('low');
+    });
+
+    it('treats a short notice period as a risk for the party facing termination', () => {
+      const theirRight = evaluate('termination', 'Provider may terminate this Agreement upon five days notice to Customer.', customer);
+      const ourRight = evaluate('termination', 'Customer may terminate this Agreement upon five days notice to Provider.', customer);
+
+      expect(flag(theirRight, 'termination.short_notice')).toMatchObject({ party: 'Provider', stance: 'adverse' });
+      expect(theirRight.risk_level).toBe('medium');
+      expect(flag(ourRight, 'termination.short_notice')).toMatchObject({ party: 'Customer', stance: 'favorable' });
+      expect(ourRight.risk_level).toBe('low');
+    });
+
+    it('leaves mutual obligations without a stance', () => {
+      const result = evaluate('termination', 'Either party may terminate this Agreement upon five days notice.', customer);
+
+      expect(flag(result, 'termination.short_notice')).toMatchObject({ mutual: true, stance: null });
+      expect(result.risk_level).toBe('medium');
+    });
+
+    it('gives late interest the stance of the side paying it', () => {
+      const weOwe = evaluate('payment', 'Customer shall pay interest at 2% per month on late payments.', customer);
+      const theyCharge = evaluate('payment', 'Provider may charge interest of 2% per month on overdue amounts.', customer);
+
+      expect(flag(weOwe, 'payment.high_late_interest').stance).toBe('adverse');
+      expect(flag(theyCharge, 'payment.high_late_interest').stance).toBe('adverse');
+    });
+  });
+});
+
+describe('buildPerspective', () => {
+  it('resolves a role to the party and puts every other party on the other side', () => {
+    expect(customer).toEqual({
+      party: 'Beta LLC',
+      ours: ['beta llc', 'customer'],
+      theirs: ['acme inc', 'provider']
+    });
+  });
+
+  it('returns null for a neutral view', () => {
+    expect(buildPerspective(metadata, null)).toBeNull();
+  });
+});
+
+describe('findParty', () => {
+  it('matches party names and roles case-insensitively', () => {
+    expect(findParty(metadata, 'acme inc')).toBe('Acme Inc');
+    expect(findParty(metadata, 'customer')).toBe('Beta LLC');
+    expect(findParty(metadata, 'Gamma Corp')).toBeNull();
+  });
+});
+
+describe('validateRules', () => {
+  const rule = { id: 'x.y', severity: 'low', when: { pattern: 'x' }, message: 'X' };
+
+  it('accepts the party, counterparty and auto bearers', () => {
+    for (const bearer of ['party', 'counterparty', 'auto']) {
+      expect(validateRules([{ ...rule, bearer }])).toHaveLength(1);
+    }
+  });
+
+  it('rejects a rule with an unknown bearer', () => {
+    expect(() => validateRules([{ ...rule, bearer: 'nobody' }])).toThrow(/bearer/);
+  });
+});
@@ -0,0 +1,371 @@
+/**
+ * Search Service
+ * Hybrid clause search: Postgres full-text ranking over clause and contract text,
+ * fused with pgvector similarity over the stored clause and chunk embeddings
+ */
+
+const { query } = require('../database/connection');
+const { normalizeClauseType } = require('lexlens-shared');
+const { generateEmbedding, formatEmbeddingForDB } = require('./embedding.service');
+const logger = require('../utils/logger');
+
+const SEARCH_MODES = ['hybrid', 'semantic', 'keyword'];
+
+// Reciprocal rank fusion constant: higher values flatten the advantage of top ranks
+const RRF_K = 60;
+
+// Share of a clause's text rank that comes from its contract matching the query,
+// so terms that only appear in the preamble (party names, dates) still surface clauses
+const CONTRACT_RANK_WEIGHT = 0.3;
+
+// Each ranker contributes this many candidates per requested result, before fusion
+const CANDIDATES_PER_RESULT = 3;
+const MIN_CANDIDATES = 50;
+
+// Nearest chunks fetched per clause candidate, since one long clause can own several
+const CHUNKS_PER_CANDIDATE = 3;
+
+// Longest excerpt of a matched chunk shown when no keyword was highlighted
+const CHUNK_EXCERPT_LENGTH = 400;
+
+// ts_headline settings; the markers are split out before results leave the service
+const SNIPPET_START = '<mark>';
+const SNIPPET_STOP = '</mark>';
+const HEADLINE_OPTIONS = `StartSel=${SNIPPET_START}, StopSel=${SNIPPET_STOP}, ` +
+  'MaxWords=35, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "';
+
+/**
+ * Translate the query syntax lawyers expect into websearch_to_tsquery syntax
+ * websearch_to_tsquery already handles "quoted phrases", OR and -exclusion;
+ * upper-case AND and NOT are accepted as aliases for the implicit AND and for -.
+ * @param {string} text - Raw query
+ * @returns {string} Query for websearch_to_tsquery
+ */
+function toWebSearchQuery(text) {
+  return text
+    .replace(/\bAND\b/g, ' ')
+    .replace(/\bNOT\s+/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a ts_headline result into plain and highlighted segments
+ * @param {string} headline - Text with highlight markers
+ * @returns {Array} [{ text, highlight }]
+ */
+function parseSnippet(headline) {
+  if (!headline) {
+    return [];
+  }
+
+  const segments = [];
+  let rest = headline;
+  while (rest.length > 0) {
+    const start = rest.indexOf(SNIPPET_START);
+    if (start === -1) {
+      segments.push({ text: rest, highlight: false });
+      break;
+    }
+
+    const stop = rest.indexOf(SNIPPET_STOP, start);
+    if (start > 0) {
+      segments.push({ text: rest.slice(0, start), highlight: false });
+    }
+    const end = stop === -1 ? rest.length : stop;
+    segments.push({ text: rest.slice(start + SNIPPET_START.length, end), highlight: true });
+    rest = stop === -1 ? '' : rest.slice(stop + SNIPPET_STOP.length);
+  }
+
+  return segments.filter(segment => segment.text.length > 0);
+}
+
+/**
+ * SQL selecting the clauses nearest to a vector, with their best-matching chunk
+ * Candidates are the nearest chunks plus the nearest pooled clause embeddings, each
+ * served by its own ivfflat index; the pooled ones also cover clauses stored before
+ * chunking. A clause's similarity is that of its best candidate.
+ * @param {string} vector - SQL expression for the query vector
+ * @param {string} where - Conditions over clauses cl and contracts c
+ * @param {string} limit - SQL expression for the number of clause candidates
+ * @returns {string} SELECT of (id, similarity, matched_chunk) with matched_chunk as
+ *   { index, start, end } or null
+ */
+function nearestClausesSql(vector, where, limit) {
+  return `SELECT id, 1 - MIN(distance) AS similarity,
+             (ARRAY_AGG(chunk ORDER BY distance) FILTER (WHERE chunk IS NOT NULL))[1] AS matched_chunk
+      FROM (
+        (SELECT ch.clause_id AS id, ch.embedding <=> ${vector} AS distance,
+                jsonb_build_object('index', ch.chunk_index, 'start', ch.start_offset, 'end', ch.end_offset) AS chunk
+         FROM clause_chunks ch
+         JOIN clauses cl ON cl.id = ch.clause_id
+         JOIN contracts c ON c.id = cl.contract_id
+         WHERE ${where}
+         ORDER BY ch.embedding <=> ${vector}
+         LIMIT ${limit} * ${CHUNKS_PER_CANDIDATE})
+        UNION ALL
+        (SELECT cl.id, cl.embedding <=> ${vector} AS distance, NULL::jsonb AS chunk
+         FROM clauses cl
+         JOIN contracts c ON c.id = cl.contract_id
+         WHERE ${where} AND cl.embedding IS NOT NULL
+         ORDER BY cl.embedding <=> ${vector}
+         LIMIT ${limit})
+      ) candidates
+      GROUP BY id`;
+}
+
+/**
+ * Shape the matched chunk of a result row
+ * Only reported for clauses split into several chunks.
+ */
+function formatMatchedChunk(row) {
+  if (!row.matched_chunk || row.chunk_count < 2) {
+    return null;
+  }
+  return { ...row.matched_chunk, count: row.chunk_count };
+}
+
+/**
+ * Excerpt of the matched chunk, used as a snippet when no keyword was highlighted
+ */
+function chunkExcerpt(text, chunk) {
+  const excerpt = text.slice(chunk.start, chunk.end);
+  const shortened = excerpt.length > CHUNK_EXCERPT_LENGTH
+    ? `${excerpt.slice(0, CHUNK_EXCERPT_LENGTH).replace(/\s+\S*$/, '')} …`
+    : excerpt;
+  return [{ text: chunk.start > 0 ? `… ${shortened}` : shortened, highlight: false }];
+}
+
+/**
+ * Embed the query, or null when the embedding model is unavailable
+ * Queries are not cached: they are rarely repeated and would only grow the cache.
+ */
+async function embedQuery(text) {
+  try {
+    return await generateEmbedding(text, { cache: false });
+  } catch (error) {
+    logger.warn('Could not embed search query; falling back to keyword search:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Search the user's clauses
+ * Each enabled ranker returns its own top candidates: pgvector cosine distance over
+ * clause and chunk embeddings (see nearestClausesSql), and ts_rank_cd over the clause's
+ * search_vector plus a share of its contract's (served by the GIN indexes). Candidate
+ * lists are merged with reciprocal rank fusion, which needs no calibration between
+ * the two score scales. Filters are applied inside both rankers.
+ * @param {number} userId - Owner of the contracts to search
+ * @param {string} queryText - Query; supports "phrases", OR, AND, NOT and -term
+ * @param {Object} filters - { mode, clauseType, riskLevel, documentType, from, to, minSimilarity,
+ *   limit, offset }; from/to bound the contract upload date
+ * @returns {Promise<Object>} { mode, results } where each result carries similarity and
+ *   text_rank (null when that ranker did not return it), the fused score, matched_by,
+ *   matched_chunk for long clauses, and a highlighted snippet
+ */
+async function searchClauses(userId, queryText, filters = {}) {
+  const {
+    mode = 'hybrid',
+    clauseType,
+    riskLevel,
+    documentType,
+    from,
+    to,
+    minSimilarity = 0,
+    limit = 20,
+    offset = 0
+  } = filters;
+
+  const embedding = mode === 'keyword' ? null : await embedQuery(queryText);
+  const useSemantic = embedding !== null;
+  const useKeyword = mode !== 'semantic' || !useSemantic;
+  const effectiveMode = useSemantic && useKeyword ? 'hybrid' : (useSemantic ? 'semantic' : 'keyword');
+
+  const params = [];
+  const param = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const tsquery = `websearch_to_tsquery('english', ${param(toWebSearchQuery(queryText))})`;
+  const vector = useSemantic ? `${param(formatEmbeddingForDB(embedding))}::vector` : null;
+  const candidates = param(Math.max((offset + limit) * CANDIDATES_PER_RESULT, MIN_CANDIDATES));
+
+  const conditions = [`c.user_id = ${param(userId)}`];
+
+  if (clauseType) {
+    const type = param(normalizeClauseType(clauseType));
+    conditions.push(
+      `(cl.clause_type = ${type}
+        OR cl.labels @> jsonb_build_array(jsonb_build_object('label', ${type}::text)))`
+    );
+  }
+
+  if (riskLevel) {
+    conditions.push(`cl.risk_level = ${param(riskLevel)}`);
+  }
+
+  if (documentType) {
+    conditions.push(`c.metadata->>'documentType' = ${param(documentType)}`);
+  }
+
+  if (from) {
+    conditions.push(`c.uploaded_at >= ${param(from)}`);
+  }
+
+  if (to) {
+    conditions.push(`c.uploaded_at < ${param(to)}::date + 1`);
+  }
+
+  const where = conditions.join(' AND ');
+  const scope = `FROM clauses cl
+       JOIN contracts c ON c.id = cl.contract_id
+       WHERE ${where}`;
+
+  const rankers = [];
+
+  if (useSemantic) {
+    const similarityFilter = minSimilarity > 0
+      ? `WHERE similarity >= ${param(minSimilarity)}`
+      : '';
+
+    rankers.push(`semantic AS (
+      SELECT id, similarity, matched_chunk,
+             ROW_NUMBER() OVER (ORDER BY similarity DESC, id) AS rank
+      FROM (
+      ${nearestClausesSql(vector, where, candidates)}
+      ) nearest
+      ${similarityFilter}
+      ORDER BY similarity DESC, id
+      LIMIT ${candidates}
+    )`);
+  }
+
+  if (useKeyword) {
+    rankers.push(`keyword AS (
+      SELECT id, text_rank, ROW_NUMBER() OVER (ORDER BY text_rank DESC, id) AS rank
+      FROM (
+        SELECT cl.id,
+               ts_rank_cd(cl.search_vector, ${tsquery}, 32)
+                 + ${CONTRACT_RANK_WEIGHT} * ts_rank_cd(c.search_vector, ${tsquery}, 32) AS text_rank
+        ${scope} AND (cl.search_vector @@ ${tsquery} OR c.search_vector @@ ${tsquery})
+      ) matches
+      ORDER BY text_rank DESC, id
+      LIMIT ${candidates}
+    )`);
+  }
+
+  let fused;
+  if (useSemantic && useKeyword) {
+    fused = `SELECT COALESCE(s.id, k.id) AS id, s.similarity, s.matched_chunk, k.text_rank,
+             COALESCE(1.0 / (${RRF_K} + s.rank), 0) + COALESCE(1.0 / (${RRF_K} + k.rank), 0) AS score
+      FROM semantic s
+      FULL OUTER JOIN keyword k ON k.id = s.id`;
+  } else if (useSemantic) {
+    fused = `SELECT id, similarity, matched_chunk, NULL::real AS text_rank, 1.0 / (${RRF_K} + rank) AS score
+      FROM semantic`;
+  } else {
+    fused = `SELECT id, NULL::float AS similarity, NULL::jsonb AS matched_chunk, text_rank,
+             1.0 / (${RRF_K} + rank) AS score
+      FROM keyword`;
+  }
+
+  const result = await query(
+    `WITH ${rankers.join(',\n    ')},
+    fused AS (
+      ${fused}
+    )
+    SELECT cl.id, cl.contract_id, cl.section_number, cl.title, cl.text, cl.clause_type,
+           cl.risk_level, c.title AS contract_title, c.original_filename, c.version,
+           c.metadata->>'documentType' AS document_type, c.uploaded_at AS contract_uploaded_at,
+           f.similarity, f.text_rank, f.score, f.matched_chunk,
+           (SELECT COUNT(*)::int FROM clause_chunks WHERE clause_id = cl.id) AS chunk_count,
+           ts_headline('english', cl.text, ${tsquery}, '${HEADLINE_OPTIONS}') AS headline
+    FROM fused f
+    JOIN clauses cl ON cl.id = f.id
+    JOIN contracts c ON c.id = cl.contract_id
+    ORDER BY f.score DESC, f.similarity DESC NULLS LAST, cl.id
+    LIMIT ${param(limit)} OFFSET ${param(offset)}`,
+    params
+  );
+
+  logger.debug(`${effectiveMode} clause search for user ${userId} returned ${result.rows.length} results`);
+
+  const round = value => (value === null ? null : Math.round(parseFloat(value) * 1000) / 1000);
+
+  const results = result.rows.map(({ headline, chunk_count: chunkCount, ...row }) => {
+    const matchedChunk = formatMatchedChunk({ ...row, chunk_count: chunkCount });
+    const snippet = parseSnippet(headline);
+
+    return {
+      ...row,
+      similarity: round(row.similarity),
+      text_rank: round(row.text_rank),
+      score: parseFloat(row.score),
+      matched_by: [
+        row.similarity !== null && 'semantic',
+        row.text_rank !== null && 'keyword'
+      ].filter(Boolean),
+      matched_chunk: matchedChunk,
+      snippet: matchedChunk && !snippet.some(segment => segment.highlight)
+        ? chunkExcerpt(row.text, matchedChunk)
+        : snippet
+    };
+  });
+
+  return { mode: effectiveMode, results };
+}
+
+/**
+ * Find the clauses nearest to a stored clause embedding
+ * Ranked by pgvector cosine distance against the clause's own (pooled) embedding, so
+ * nothing is re-embedded; any chunk of a long clause can make it a match.
+ * @param {string} embedding - The clause's embedding as stored (pgvector text form)
+ * @param {number} userId - Owner of the contracts to search
+ * @param {Object} options - { excludeContractIds, clauseType, limit }; excludeContractIds
+ *   leaves out the clause's own contract and its other versions
+ * @returns {Promise<Array>} Nearest clauses with their contract, similarity (0-1) and
+ *   matched_chunk for long clauses
+ */
+async function findSimilarClauses(embedding, userId, { excludeContractIds = [], clauseType = null, limit = 5 } = {}) {
+  const params = [embedding, userId, excludeContractIds, limit];
+  const conditions = [
+    'c.user_id = $2',
+    'NOT (cl.contract_id = ANY($3::int[]))'
+  ];
+
+  if (clauseType) {
+    params.push(normalizeClauseType(clauseType));
+    conditions.push(`cl.clause_type = $${params.length}`);
+  }
+
+  const result = await query(
+    `SELECT cl.id, cl.contract_id, cl.section_number, cl.title, cl.text, cl.clause_type,
+            cl.risk_level, cl.risk_explanation, c.title AS contract_title, c.original_filename,
+            c.version, c.metadata->>'documentType' AS document_type, c.uploaded_at AS contract_uploaded_at,
+            n.similarity, n.matched_chunk,
+            (SELECT COUNT(*)::int FROM clause_chunks WHERE clause_id = cl.id) AS chunk_count
+     FROM (
+      ${nearestClausesSql('$1::vector', conditions.join(' AND '), '$4')}
+     ) n
+     JOIN clauses cl ON cl.id = n.id
+     JOIN contracts c ON c.id = cl.contract_id
+     ORDER BY n.similarity DESC, cl.id
+     LIMIT $4`,
+    params
+  );
+
+  return result.rows.map(({ chunk_count: chunkCount, ...row }) => ({
+    ...row,
+    similarity: Math.round(parseFloat(row.similarity) * 1000) / 1000,
+    matched_chunk: formatMatchedChunk({ ...row, chunk_count: chunkCount })
+  }));
+}
+
+module.exports = {
+  SEARCH_MODES,
+  toWebSearchQuery,
+  searchClauses,
+  findSimilarClauses
+};
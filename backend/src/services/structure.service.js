@@ -0,0 +1,508 @@
+/**
+ * Document Structure Service
+ * Builds an outline of blocks (headings, paragraphs, list items, tables) from
+ * extracted documents, so segmentation can follow the real document layout
+ * instead of guessing sections from plain text.
+ *
+ * Block shape:
+ *   { type: 'heading' | 'paragraph' | 'list_item' | 'table',
+ *     text, level, numbering, page, rows (tables only) }
+ */
+
+const WORDS_PER_PAGE = 500;
+
+// Headings in plain text are short; anything longer is body text
+const MAX_HEADING_CHARS = 80;
+
+const HEADING_KEYWORDS = /^(article|section|schedule|exhibit|annex|appendix|part|recitals?|background|whereas)\b/i;
+
+/**
+ * Decode HTML/XML character entities
+ */
+function decodeEntities(text) {
+  const named = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    sect: '§', para: '¶', copy: '©', reg: '®', trade: '™',
+    ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    hellip: '…', bull: '•', euro: '€', pound: '£', yen: '¥'
+  };
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return named[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Collapse whitespace inside a block
+ */
+function cleanInline(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse a leading numbering label such as "1.2", "(a)", "(iv)" or "Article III"
+ * @param {string} text - Block or line text
+ * @returns {Object|null} { label, style, value, rest } where style is one of
+ *   'article', 'section', 'decimal', 'alpha', 'upper_alpha', 'roman', 'upper_roman',
+ *   'paren_decimal'; value is the label's components (e.g. ['1', '2'] for "1.2")
+ */
+function parseNumbering(text) {
+  const line = text.trimStart();
+  let match;
+
+  if ((match = line.match(/^(article|section)\s+(\d+(?:\.\d+)*|[IVXLC]+)\b[.:]?\s*/i))) {
+    return {
+      label: match[0].trim().replace(/[.:]$/, ''),
+      style: match[1].toLowerCase(),
+      value: match[2].split('.'),
+      rest: line.slice(match[0].length)
+    };
+  }
+
+  // Decimal numbering; up to three digits per part so years and amounts are not labels
+  if ((match = line.match(/^(\d{1,3}(?:\.\d{1,3})*)(\.?)(?=\s|$)\s*/)) && (match[2] || match[1].includes('.') || /^\s*[A-Z(]/.test(line.slice(match[0].length)))) {
+    return {
+      label: match[1],
+      style: 'decimal',
+      value: match[1].split('.'),
+      rest: line.slice(match[0].length)
+    };
+  }
+
+  if ((match = line.match(/^\(?([a-z]{1,4}|[A-Z]{1,4}|\d{1,3})\)\s*/)) && (line[0] === '(' || match[1].length === 1)) {
+    return {
+      label: match[0].trim(),
+      style: numberingStyle(match[1]),
+      value: [match[1]],
+      rest: line.slice(match[0].length)
+    };
+  }
+
+  // "A. Background" style lettered headings
+  if ((match = line.match(/^([A-Z])\.\s+(?=[A-Z])/))) {
+    return {
+      label: `${match[1]}.`,
+      style: 'upper_alpha',
+      value: [match[1]],
+      rest: line.slice(match[0].length)
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Style of a parenthesized label; single i/v/x are read as roman numerals, other single letters as letters
+ */
+function numberingStyle(value) {
+  if (/^\d+$/.test(value)) return 'paren_decimal';
+  if (/^[ivxlc]+$/i.test(value) && (value.length > 1 || /^[ivx]$/i.test(value))) {
+    return value === value.toLowerCase() ? 'roman' : 'upper_roman';
+  }
+  if (value.length > 1) return null;
+  return value === value.toLowerCase() ? 'alpha' : 'upper_alpha';
+}
+
+/**
+ * Create a block, detecting a numbering label in its text when none was given
+ */
+function makeBlock(type, text, props = {}) {
+  let numbering = props.numbering;
+  if (numbering === undefined) {
+    const parsed = parseNumbering(text);
+    numbering = parsed && parsed.style ? parsed.label : null;
+  }
+
+  return {
+    type,
+    text,
+    level: props.level || null,
+    numbering: numbering || null,
+    page: props.page || null,
+    ...(props.rows && { rows: props.rows })
+  };
+}
+
+/**
+ * Decide whether a plain-text line reads as a heading
+ */
+function isHeadingLine(line) {
+  if (line.length > MAX_HEADING_CHARS || /[.;,]$/.test(line)) {
+    return false;
+  }
+
+  const numbering = parseNumbering(line);
+  const body = numbering ? numbering.rest : line;
+  const letters = body.replace(/[^A-Za-z]/g, '');
+
+  if (letters.length < 3) {
+    return Boolean(numbering && ['article', 'section'].includes(numbering.style));
+  }
+
+  // ALL CAPS lines, keyword headings, and short numbered titles like "4. Confidentiality"
+  if (letters === letters.toUpperCase() || HEADING_KEYWORDS.test(line)) {
+    return true;
+  }
+
+  return Boolean(numbering) && body.split(/\s+/).length <= 6 && /^[A-Z]/.test(body) && !/\b(shall|will|must|may)\b/i.test(body);
+}
+
+/**
+ * Heading level from its numbering depth ("1" -> 1, "1.2" -> 2); unnumbered headings are top level
+ */
+function headingLevel(line) {
+  const numbering = parseNumbering(line);
+  if (!numbering) return 1;
+  if (numbering.style === 'decimal') return Math.min(numbering.value.length, 6);
+  if (numbering.style === 'article') return 1;
+  if (numbering.style === 'section') return Math.min(numbering.value.length + 1, 6);
+  return 3;
+}
+
+/**
+ * Build blocks from plain text, one string per page
+ * Used for PDF, DOC, RTF and TXT, which carry no usable style information.
+ * Headings are detected from layout cues, numbered lines start new blocks,
+ * and runs of tab-separated lines become tables.
+ * @param {Array<string>} pages - Text of each page
+ * @returns {Array} Blocks
+ */
+function blocksFromText(pages) {
+  const blocks = [];
+
+  pages.forEach((pageText, index) => {
+    const page = index + 1;
+    let paragraph = [];
+    let rows = [];
+
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        blocks.push(makeBlock('paragraph', cleanInline(paragraph.join(' ')), { page }));
+        paragraph = [];
+      }
+    };
+    const flushTable = () => {
+      if (rows.length > 0) {
+        blocks.push(makeBlock('table', rows.map(row => row.join('\t')).join('\n'), { page, rows, numbering: null }));
+        rows = [];
+      }
+    };
+
+    for (const rawLine of pageText.replace(/\r\n?/g, '\n').split('\n')) {
+      const line = rawLine.trim();
+
+      if (!line) {
+        flushParagraph();
+        flushTable();
+        continue;
+      }
+
+      if (rawLine.includes('\t') && rawLine.split('\t').filter(cell => cell.trim()).length >= 2) {
+        flushParagraph();
+        rows.push(rawLine.split('\t').map(cell => cleanInline(cell)));
+        continue;
+      }
+      flushTable();
+
+      if (isHeadingLine(line)) {
+        flushParagraph();
+        blocks.push(makeBlock('heading', cleanInline(line), { page, level: headingLevel(line) }));
+      } else if (parseNumbering(line)?.style || /^([-•*]\s+|whereas\b|now,?\s+therefore\b)/i.test(line)) {
+        // Numbered and bulleted items and recitals always start a new block
+        flushParagraph();
+        paragraph.push(line);
+      } else {
+        paragraph.push(line);
+      }
+    }
+
+    flushParagraph();
+    flushTable();
+  });
+
+  return blocks;
+}
+
+/**
+ * Build blocks from HTML, including mammoth's DOCX conversion
+ * Headings keep their h1-h6 level; ordered list items get hierarchical
+ * numbering ("2.1") from their position, since the source numbering is not in the markup.
+ * @param {string} html - HTML source
+ * @returns {Array} Blocks
+ */
+function blocksFromHTML(html) {
+  const source = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript|template)[^>]*>[\s\S]*?<\/\1>/gi, '');
+
+  const blocks = [];
+  const lists = [];
+  let current = null;
+  let table = null;
+  let tableDepth = 0;
+
+  const flush = () => {
+    if (current) {
+      const text = cleanInline(decodeEntities(current.text));
+      if (text) {
+        blocks.push(makeBlock(current.type, text, current));
+      }
+    }
+    current = null;
+  };
+  const start = (type, props = {}) => {
+    flush();
+    current = { type, text: '', ...props };
+  };
+
+  const tokens = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)[^>]*>|([^<]+)/g;
+  let match;
+
+  while ((match = tokens.exec(source)) !== null) {
+    const [, closing, rawName, text] = match;
+
+    if (text !== undefined) {
+      if (table && table.cell !== null) {
+        table.cell += text;
+      } else if (!table) {
+        if (!current) current = { type: 'paragraph', text: '' };
+        current.text += text;
+      }
+      continue;
+    }
+
+    const name = rawName.toLowerCase();
+
+    if (name === 'table') {
+      if (closing) {
+        tableDepth = Math.max(tableDepth - 1, 0);
+        if (tableDepth === 0 && table) {
+          if (table.rows.length > 0) {
+            blocks.push(makeBlock('table', table.rows.map(row => row.join('\t')).join('\n'), { rows: table.rows, numbering: null }));
+          }
+          table = null;
+        }
+      } else {
+        if (tableDepth === 0) {
+          flush();
+          table = { rows: [], row: null, cell: null };
+        }
+        tableDepth++;
+      }
+      continue;
+    }
+
+    if (table) {
+      // Nested tables are flattened into the outer cell's text
+      if (tableDepth > 1) {
+        if (table.cell !== null) table.cell += ' ';
+      } else if (name === 'tr') {
+        if (closing) {
+          if (table.row && table.row.some(Boolean)) table.rows.push(table.row);
+          table.row = null;
+        } else {
+          table.row = [];
+        }
+      } else if (name === 'td' || name === 'th') {
+        if (closing) {
+          if (table.row && table.cell !== null) table.row.push(cleanInline(decodeEntities(table.cell)));
+          table.cell = null;
+        } else {
+          table.cell = '';
+        }
+      } else if (table.cell !== null && /^(p|br|div|li)$/.test(name)) {
+        table.cell += ' ';
+      }
+      continue;
+    }
+
+    if (/^h[1-6]$/.test(name)) {
+      if (closing) flush();
+      else start('heading', { level: parseInt(name[1]) });
+    } else if (name === 'ol' || name === 'ul') {
+      flush();
+      if (closing) lists.pop();
+      else lists.push({ ordered: name === 'ol', count: 0 });
+    } else if (name === 'li') {
+      if (closing) {
+        flush();
+      } else {
+        const list = lists[lists.length - 1];
+        if (list) list.count++;
+        const ordered = lists.filter(item => item.ordered);
+        start('list_item', {
+          level: Math.max(lists.length, 1),
+          numbering: list && list.ordered ? ordered.map(item => item.count).join('.') : undefined
+        });
+      }
+    } else if (/^(p|div|blockquote|pre|section|article|header|footer|dd|dt)$/.test(name)) {
+      // Paragraphs inside a list item belong to the item
+      if (current && current.type === 'list_item') continue;
+      flush();
+    } else if (name === 'br' && current) {
+      current.text += ' ';
+    }
+  }
+
+  flush();
+  return blocks;
+}
+
+/**
+ * Build blocks from Markdown source
+ * @param {string} markdown - Markdown source
+ * @returns {Array} Blocks
+ */
+function blocksFromMarkdown(markdown) {
+  const blocks = [];
+  let paragraph = [];
+  let rows = [];
+  let inFence = false;
+
+  const inline = text => cleanInline(decodeEntities(
+    text
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/(\*\*|__)([^\s*_](?:.*?[^\s*_])?)\1/g, '$2')
+      .replace(/(^|\W)(\*|_)([^\s*_](?:.*?[^\s*_])?)\2(?=\W|$)/g, '$1$3')
+      .replace(/`([^`]*)`/g, '$1')
+      .replace(/<[^>]+>/g, '')
+  ));
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      const text = inline(paragraph.join(' '));
+      if (text) blocks.push(makeBlock('paragraph', text));
+      paragraph = [];
+    }
+  };
+  const flushTable = () => {
+    if (rows.length > 0) {
+      blocks.push(makeBlock('table', rows.map(row => row.join('\t')).join('\n'), { rows, numbering: null }));
+      rows = [];
+    }
+  };
+
+  const lines = markdown.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+
+  for (const line of lines) {
+    if (/^[ \t]*```/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) {
+      paragraph.push(line);
+      continue;
+    }
+
+    let match;
+
+    if (!line.trim()) {
+      flushParagraph();
+      flushTable();
+    } else if ((match = line.match(/^[ \t]{0,3}(#{1,6})[ \t]+(.*?)[ \t]*#*[ \t]*$/))) {
+      flushParagraph();
+      flushTable();
+      blocks.push(makeBlock('heading', inline(match[2]), { level: match[1].length }));
+    } else if (/^[ \t]{0,3}(=+|-+)[ \t]*$/.test(line) && paragraph.length === 1) {
+      // Setext heading: the underline promotes the previous line
+      const text = inline(paragraph[0]);
+      paragraph = [];
+      blocks.push(makeBlock('heading', text, { level: line.trim()[0] === '=' ? 1 : 2 }));
+    } else if (/^[ \t]{0,3}([-*_])([ \t]*\1){2,}[ \t]*$/.test(line)) {
+      flushParagraph();
+    } else if (/^[ \t]*\|/.test(line)) {
+      flushParagraph();
+      if (!/^[ \t]*\|?([ \t]*:?-+:?[ \t]*\|)+[ \t]*:?-*:?[ \t]*$/.test(line)) {
+        rows.push(line.trim().replace(/^\||\|$/g, '').split('|').map(cell => inline(cell)));
+      }
+    } else if ((match = line.match(/^([ \t]*)([-*+]|\d{1,3}[.)])[ \t]+(.*)$/))) {
+      flushParagraph();
+      flushTable();
+      const ordered = /\d/.test(match[2]);
+      blocks.push(makeBlock('list_item', inline(match[3]), {
+        level: Math.floor(match[1].replace(/\t/g, '  ').length / 2) + 1,
+        numbering: ordered ? match[2].replace(/[.)]$/, '') : null
+      }));
+    } else {
+      flushTable();
+      paragraph.push(line.replace(/^[ \t]{0,3}>[ \t]?/, ''));
+    }
+  }
+
+  flushParagraph();
+  flushTable();
+  return blocks;
+}
+
+/**
+ * Build blocks from an ODT content.xml by mapping it onto equivalent HTML
+ * @param {string} xml - content.xml source
+ * @returns {Array} Blocks
+ */
+function blocksFromODT(xml) {
+  const body = xml.slice(Math.max(xml.indexOf('<office:body'), 0));
+
+  const html = body
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (match, count) => ' '.repeat(parseInt(count || '1', 10)))
+    .replace(/<text:(tab|line-break)\s*\/>/g, ' ')
+    .replace(/<text:h(?=[\s>])([^>]*)>([\s\S]*?)<\/text:h>/g, (match, attributes, content) => {
+      const level = Math.min(parseInt((attributes.match(/text:outline-level="(\d+)"/) || [])[1] || '1'), 6);
+      return `<h${level}>${content}</h${level}>`;
+    })
+    .replace(/<text:p(?=[\s/>])[^>]*\/>/g, '')
+    .replace(/<(\/?)text:p(?=[\s/>])[^>]*>/g, '<$1p>')
+    .replace(/<(\/?)text:list(?=[\s/>])[^>]*>/g, '<$1ul>')
+    .replace(/<(\/?)text:list-item(?=[\s/>])[^>]*>/g, '<$1li>')
+    .replace(/<(\/?)table:table(?=[\s/>])[^>]*>/g, '<$1table>')
+    .replace(/<(\/?)table:table-row(?=[\s/>])[^>]*>/g, '<$1tr>')
+    .replace(/<(\/?)table:table-cell(?=[\s/>])[^>]*>/g, '<$1td>')
+    .replace(/<\/?[a-z]+:[^>]*>/g, '');
+
+  return blocksFromHTML(html);
+}
+
+/**
+ * Assign estimated page numbers to blocks from formats without pagination
+ * @param {Array} blocks - Blocks without pages
+ * @returns {Array} Same blocks with page set
+ */
+function estimateBlockPages(blocks) {
+  let words = 0;
+
+  for (const block of blocks) {
+    block.page = Math.floor(words / WORDS_PER_PAGE) + 1;
+    words += block.text.split(/\s+/).filter(Boolean).length;
+  }
+
+  return blocks;
+}
+
+/**
+ * Wrap blocks into the structure stored with a contract
+ * @param {Array} blocks - Blocks
+ * @param {string} source - How the structure was obtained
+ * @param {boolean} paginated - Whether page numbers are real or estimated
+ * @returns {Object} { source, pagesEstimated, blocks }
+ */
+function buildStructure(blocks, source, paginated = false) {
+  return {
+    source,
+    pagesEstimated: !paginated,
+    blocks: paginated ? blocks : estimateBlockPages(blocks)
+  };
+}
+
+module.exports = {
+  decodeEntities,
+  parseNumbering,
+  blocksFromText,
+  blocksFromHTML,
+  blocksFromMarkdown,
+  blocksFromODT,
+  buildStructure
+};
@@ -0,0 +1,284 @@
+/**
+ * Clause Taxonomy Service
+ * Combines the built-in clause types from the shared package with custom types
+ * that admins define at runtime. A custom type is recognized by its keyword
+ * patterns, by similarity to its example clauses, or both.
+ */
+
+const { query } = require('../database/connection');
+const {
+  CLAUSE_TAXONOMY,
+  isBuiltInClauseType,
+  getClauseTypeLabel,
+  getClauseTypeColor
+} = require('lexlens-shared');
+const {
+  generateEmbeddingsBatch,
+  formatEmbeddingForDB,
+  parseEmbeddingFromDB
+} = require('./embedding.service');
+const logger = require('../utils/logger');
+
+// Custom types are re-read from the database at most this often
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+
+/**
+ * Compile stored pattern sources into case-insensitive regular expressions
+ * @param {Array<string>} sources - Regular expression sources
+ * @returns {Array<RegExp>} Compiled patterns
+ * @throws {Error} If a pattern is not a valid regular expression
+ */
+function compilePatterns(sources = []) {
+  return sources.map(source => {
+    try {
+      return new RegExp(source, 'i');
+    } catch (error) {
+      throw new Error(`Invalid pattern "${source}": ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Mean of the example embeddings, used to match clauses against a custom type
+ * @param {Array<string>} examples - Example clause texts
+ * @returns {Promise<Array<number>|null>} Centroid, or null without examples or an embedding model
+ */
+async function embedExamples(examples = []) {
+  if (examples.length === 0) {
+    return null;
+  }
+
+  try {
+    const embeddings = await generateEmbeddingsBatch(examples);
+    const centroid = new Array(embeddings[0].length).fill(0);
+    for (const embedding of embeddings) {
+      embedding.forEach((value, i) => { centroid[i] += value / embeddings.length; });
+    }
+    return centroid;
+  } catch (error) {
+    logger.warn('Could not embed clause type examples; the type will match on patterns only:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Shape a clause_types row for API responses
+ */
+function formatCustomType(row) {
+  return {
+    key: row.key,
+    label: row.label,
+    description: row.description,
+    builtIn: false,
+    color: getClauseTypeColor(row.key),
+    patterns: row.patterns || [],
+    examples: row.examples || [],
+    matchesExamples: Boolean(row.embedding),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Load custom clause types for classification (cached)
+ * @param {Object} options - { refresh } to bypass the cache
+ * @returns {Promise<Array>} { key, label, patterns: RegExp[], centroid }
+ */
+async function getCustomClauseTypes({ refresh = false } = {}) {
+  if (!refresh && cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.types;
+  }
+
+  try {
+    const result = await query(
+      `SELECT key, label, patterns, embedding FROM clause_types ORDER BY key`
+    );
+
+    const types = [];
+    for (const row of result.rows) {
+      try {
+        types.push({
+          key: row.key,
+          label: row.label,
+          patterns: compilePatterns(row.patterns || []),
+          centroid: row.embedding ? parseEmbeddingFromDB(row.embedding) : null
+        });
+      } catch (error) {
+        logger.warn(`Skipping custom clause type ${row.key}:`, error.message);
+      }
+    }
+
+    cache = { loadedAt: Date.now(), types };
+  } catch (error) {
+    logger.error('Failed to load custom clause types:', error.message);
+    cache = { loadedAt: Date.now(), types: cache ? cache.types : [] };
+  }
+
+  return cache.types;
+}
+
+/**
+ * Drop the cached custom types so the next lookup reads the database
+ */
+function invalidateCache() {
+  cache = null;
+}
+
+/**
+ * List every clause type, built-in first
+ * @returns {Promise<Array>} Clause types for the API
+ */
+async function listClauseTypes() {
+  const builtIn = Object.entries(CLAUSE_TAXONOMY).map(([key, entry]) => ({
+    key,
+    label: entry.label,
+    builtIn: true,
+    color: entry.color,
+    patterns: entry.patterns.map(pattern => pattern.source)
+  }));
+
+  const result = await query(
+    `SELECT key, label, description, patterns, examples, embedding IS NOT NULL AS embedding,
+      created_at, updated_at
+     FROM clause_types
+     ORDER BY key`
+  );
+
+  return [...builtIn, ...result.rows.map(formatCustomType)];
+}
+
+/**
+ * Get one custom clause type
+ * @param {string} key - Clause type key
+ * @returns {Promise<Object|null>} Clause type, or null if there is no such custom type
+ */
+async function getCustomClauseType(key) {
+  const result = await query(
+    `SELECT key, label, description, patterns, examples, embedding IS NOT NULL AS embedding,
+      created_at, updated_at
+     FROM clause_types
+     WHERE key = $1`,
+    [key]
+  );
+
+  return result.rows.length > 0 ? formatCustomType(result.rows[0]) : null;
+}
+
+/**
+ * Whether a key names a built-in or custom clause type
+ * @param {string} key - Clause type key
+ * @returns {Promise<boolean>}
+ */
+async function isKnownClauseType(key) {
+  if (isBuiltInClauseType(key)) {
+    return true;
+  }
+  const types = await getCustomClauseTypes();
+  return types.some(type => type.key === key);
+}
+
+/**
+ * Create a custom clause type
+ * @param {Object} definition - { key, label, description, patterns, examples }
+ * @param {number} userId - Admin creating the type
+ * @returns {Promise<Object>} Created clause type
+ */
+async function createClauseType(definition, userId) {
+  const { key, description = null, patterns = [], examples = [] } = definition;
+  const label = definition.label || getClauseTypeLabel(key);
+
+  compilePatterns(patterns);
+  const centroid = await embedExamples(examples);
+
+  await query(
+    `INSERT INTO clause_types (key, label, description, patterns, examples, embedding, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      key,
+      label,
+      description,
+      JSON.stringify(patterns),
+      JSON.stringify(examples),
+      centroid ? formatEmbeddingForDB(centroid) : null,
+      userId
+    ]
+  );
+
+  invalidateCache();
+  logger.info(`Custom clause type ${key} created by user ${userId}`);
+  return getCustomClauseType(key);
+}
+
+/**
+ * Update a custom clause type
+ * Replacing the examples recomputes the example embedding.
+ * @param {string} key - Clause type key
+ * @param {Object} changes - Any of { label, description, patterns, examples }
+ * @returns {Promise<Object|null>} Updated clause type, or null if it does not exist
+ */
+async function updateClauseType(key, changes) {
+  if (changes.patterns) {
+    compilePatterns(changes.patterns);
+  }
+
+  const examplesChanged = Array.isArray(changes.examples);
+  const centroid = examplesChanged ? await embedExamples(changes.examples) : null;
+
+  const result = await query(
+    `UPDATE clause_types SET
+       label = COALESCE($2, label),
+       description = COALESCE($3, description),
+       patterns = COALESCE($4, patterns),
+       examples = COALESCE($5, examples),
+       embedding = CASE WHEN $6 THEN $7::vector ELSE embedding END,
+       updated_at = NOW()
+     WHERE key = $1
+     RETURNING key`,
+    [
+      key,
+      changes.label || null,
+      changes.description ?? null,
+      changes.patterns ? JSON.stringify(changes.patterns) : null,
+      examplesChanged ? JSON.stringify(changes.examples) : null,
+      examplesChanged,
+      centroid ? formatEmbeddingForDB(centroid) : null
+    ]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  invalidateCache();
+  return getCustomClauseType(key);
+}
+
+/**
+ * Delete a custom clause type
+ * Clauses already labeled with it keep the label.
+ * @param {string} key - Clause type key
+ * @returns {Promise<boolean>} Whether a type was deleted
+ */
+async function deleteClauseType(key) {
+  const result = await query(
+    `DELETE FROM clause_types WHERE key = $1 RETURNING key`,
+    [key]
+  );
+
+  invalidateCache();
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  compilePatterns,
+  getCustomClauseTypes,
+  invalidateCache,
+  listClauseTypes,
+  getCustomClauseType,
+  isKnownClauseType,
+  createClauseType,
+  updateClauseType,
+  deleteClauseType
+};
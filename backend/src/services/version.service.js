@@ -0,0 +1,102 @@
+/**
+ * Version Service
+ * Tracks revisions of a logical contract through parent_contract_id and version
+ */
+
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+
+/**
+ * Get every version of the logical contract a contract belongs to
+ * Walks up parent_contract_id to the root, then back down to all revisions.
+ * @param {number} contractId - Any contract in the lineage
+ * @param {number} userId - Owner of the contracts
+ * @param {Object} db - Pool or transaction client to run the query on
+ * @returns {Array} Versions ordered from oldest to newest (empty if not found)
+ */
+async function getContractLineage(contractId, userId, db = { query }) {
+  const result = await db.query(
+    `WITH RECURSIVE ancestors AS (
+       SELECT id, parent_contract_id
+       FROM contracts
+       WHERE id = $1 AND user_id = $2
+       UNION ALL
+       SELECT c.id, c.parent_contract_id
+       FROM contracts c
+       JOIN ancestors a ON c.id = a.parent_contract_id
+     ),
+     descendants AS (
+       SELECT id FROM ancestors WHERE parent_contract_id IS NULL
+       UNION ALL
+       SELECT c.id
+       FROM contracts c
+       JOIN descendants d ON c.parent_contract_id = d.id
+     )
+     SELECT
+       c.id,
+       c.original_filename,
+       c.parent_contract_id,
+       c.version,
+       c.perspective,
+       c.status,
+       c.uploaded_at,
+       c.processed_at
+     FROM contracts c
+     JOIN descendants d ON d.id = c.id
+     WHERE c.user_id = $2
+     ORDER BY c.version ASC, c.id ASC`,
+    [contractId, userId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Work out where a new revision goes in a lineage
+ * Revisions always follow the latest version, whichever version the user picked.
+ * Locks the lineage's root contract so concurrent revisions get distinct versions:
+ * call inside a transaction and insert the revision before committing.
+ * @param {Object} client - Client with an open transaction
+ * @param {number} contractId - Any contract in the lineage
+ * @param {number} userId - Owner of the contracts
+ * @returns {Object|null} { parentContractId, version } or null if the contract is not found
+ */
+async function getNextVersion(client, contractId, userId) {
+  const root = await client.query(
+    `WITH RECURSIVE ancestors AS (
+       SELECT id, parent_contract_id
+       FROM contracts
+       WHERE id = $1 AND user_id = $2
+       UNION ALL
+       SELECT c.id, c.parent_contract_id
+       FROM contracts c
+       JOIN ancestors a ON c.id = a.parent_contract_id
+     )
+     SELECT c.id
+     FROM contracts c
+     JOIN ancestors a ON a.id = c.id
+     WHERE a.parent_contract_id IS NULL
+     FOR UPDATE OF c`,
+    [contractId, userId]
+  );
+
+  if (root.rows.length === 0) {
+    return null;
+  }
+
+  // Read after the lock so revisions committed while waiting are included
+  const lineage = await getContractLineage(contractId, userId, client);
+
+  const latest = lineage[lineage.length - 1];
+  logger.info(`New revision of contract ${contractId} follows version ${latest.version} (contract ${latest.id})`);
+
+  return {
+    parentContractId: latest.id,
+    version: latest.version + 1
+  };
+}
+
+module.exports = {
+  getContractLineage,
+  getNextVersion
+};
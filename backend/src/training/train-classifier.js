@@ -0,0 +1,95 @@
+/**
+ * Train the clause classifier
+ *
+ * Usage:
+ *   npm run train:classifier
+ *   npm run train:classifier -- --data corrections.jsonl --out models/clause-classifier.json
+ *   npm run train:classifier -- --if-missing
+ *
+ * Always trains on the seed examples in clause-examples.json; --data adds
+ * further labeled examples (a JSON array or JSON lines of { text, label }).
+ *
+ * --if-missing keeps an existing model and never fails: the server runs it before
+ * starting, and without a model classification falls back to pattern scoring.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { trainClassifier, getModelPath } = require('../services/classifier.service');
+const logger = require('../utils/logger');
+
+const SEED_PATH = path.join(__dirname, 'clause-examples.json');
+
+/**
+ * Read --data and --out options
+ */
+function parseArgs(argv) {
+  const options = { data: [], out: getModelPath(), ifMissing: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--data' && argv[i + 1]) {
+      options.data.push(path.resolve(argv[++i]));
+    } else if (argv[i] === '--out' && argv[i + 1]) {
+      options.out = path.resolve(argv[++i]);
+    } else if (argv[i] === '--if-missing') {
+      options.ifMissing = true;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Load labeled examples from a JSON array or JSON lines file
+ */
+function loadExamples(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8').trim();
+  const records = content.startsWith('[')
+    ? JSON.parse(content)
+    : content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+  return records.filter(record => typeof record.text === 'string' && record.text.trim() && typeof record.label === 'string');
+}
+
+async function train() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.ifMissing && fs.existsSync(options.out)) {
+    logger.info(`Clause classifier already trained at ${options.out}`);
+    process.exit(0);
+  }
+
+  try {
+    // Loaded here so a broken model runtime is reported like any other training failure
+    const { generateEmbeddingsBatch } = require('../services/embedding.service');
+
+    const examples = [SEED_PATH, ...options.data].flatMap(filePath => {
+      const loaded = loadExamples(filePath);
+      logger.info(`Loaded ${loaded.length} examples from ${filePath}`);
+      return loaded;
+    });
+
+    const counts = examples.reduce((acc, example) => ({ ...acc, [example.label]: (acc[example.label] || 0) + 1 }), {});
+    logger.info(`Training on ${examples.length} examples: ${JSON.stringify(counts)}`);
+
+    const embeddings = await generateEmbeddingsBatch(examples.map(example => example.text));
+    const model = trainClassifier(examples.map((example, i) => ({ label: example.label, embedding: embeddings[i] })));
+
+    fs.mkdirSync(path.dirname(options.out), { recursive: true });
+    fs.writeFileSync(options.out, JSON.stringify(model));
+
+    logger.info(`✅ Saved clause classifier to ${options.out}`);
+    logger.info(`Validation metrics: ${JSON.stringify(model.metrics)}, temperature ${model.temperature}`);
+    process.exit(0);
+  } catch (error) {
+    if (options.ifMissing) {
+      logger.warn(`Could not train the clause classifier; clauses will be classified by pattern scoring: ${error.message.split('\n').find(Boolean)}`);
+      process.exit(0);
+    }
+    logger.error('❌ Classifier training failed:', error);
+    process.exit(1);
+  }
+}
+
+train();
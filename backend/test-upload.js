@@ -48,16 +48,19 @@ Date: January 15, 2024
     console.log('📄 Test file created:', testFilePath);
     console.log('📏 File size:', fs.statSync(testFilePath).size, 'bytes\n');
 
-    // Note: This will fail for .txt files, but demonstrates the service
-    console.log('⚠️  Note: Text extraction works with PDF/DOCX files.');
-    console.log('   For testing, upload a real PDF or DOCX through the UI.\n');
+    const result = await extractText(testFilePath, 'text/plain');
 
-    console.log('✅ Service is ready to process PDF and DOCX files!');
-    console.log('\n📋 To test:');
+    console.log('📝 Extracted', result.metadata.characterCount, 'characters,', result.metadata.wordCount, 'words');
+    console.log('📋 Document type:', result.metadata.documentType);
+    console.log('👥 Parties:', result.metadata.parties.join(', ') || 'none detected');
+    console.log('📅 Dates:', result.metadata.dates.join(', ') || 'none detected');
+
+    console.log('\n✅ Service can process PDF, DOCX, ODT, RTF, TXT, Markdown and HTML files!');
+    console.log('\n📋 To test the full pipeline:');
     console.log('   1. Start the application: docker-compose up -d');
     console.log('   2. Open http://localhost:5173');
     console.log('   3. Login or register');
-    console.log('   4. Upload a PDF or DOCX contract');
+    console.log('   4. Upload a contract');
     console.log('   5. Check the contract list to see processing status\n');
 
   } catch (error) {
@@ -13,6 +13,8 @@ import Upload from './pages/Upload';
 import ContractList from './pages/ContractList';
 import ContractAnalysis from './pages/ContractAnalysis';
 import ContractComparison from './pages/ContractComparison';
+import Playbook from './pages/Playbook';
+import Search from './pages/Search';
 
 // Protected Route Component
 const ProtectedRoute = ({ children }) => {
@@ -68,6 +70,8 @@ function App() {
           <Route path="contracts" element={<ContractList />} />
           <Route path="contracts/:id/analysis" element={<ContractAnalysis />} />
           <Route path="contracts/compare" element={<ContractComparison />} />
+          <Route path="playbook" element={<Playbook />} />
+          <Route path="search" element={<Search />} />
         </Route>
 
         {/* Catch all */}
@@ -18,6 +18,8 @@ const Layout = () => {
     { path: '/upload', label: 'Upload', icon: '📤' },
     { path: '/contracts', label: 'Contracts', icon: '📄' },
     { path: '/contracts/compare', label: 'Compare', icon: '🔍' },
+    { path: '/search', label: 'Search', icon: '🔎' },
+    { path: '/playbook', label: 'Playbook', icon: '📘' },
   ];
 
   return (
@@ -1,22 +1,72 @@
 import { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import toast from 'react-hot-toast';
-import { contractAPI, clauseAPI } from '../utils/api';
+import {
+  CLAUSE_TAXONOMY,
+  getClauseTypeColor,
+  getClauseTypeLabel,
+  getRiskScoreLevel,
+  normalizeClauseType
+} from 'lexlens-shared';
+import { contractAPI, clauseAPI, analysisAPI, clauseTypeAPI } from '../utils/api';
 
 const ContractAnalysis = () => {
   const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const linkedClauseId = parseInt(searchParams.get('clause'), 10);
   const [contract, setContract] = useState(null);
   const [clauses, setClauses] = useState([]);
   const [summary, setSummary] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
+  const [playbookReview, setPlaybookReview] = useState(null);
+  const [similar, setSimilar] = useState({});
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('all');
   const [selectedClause, setSelectedClause] = useState(null);
+  const [collapsed, setCollapsed] = useState(new Set());
+  const [correction, setCorrection] = useState(null);
+  const [savingCorrection, setSavingCorrection] = useState(false);
+  const [rescoring, setRescoring] = useState(false);
+  const [clauseTypes, setClauseTypes] = useState(
+    Object.entries(CLAUSE_TAXONOMY).map(([key, entry]) => ({ key, label: entry.label }))
+  );
 
   useEffect(() => {
     fetchContractData();
   }, [id]);
 
+  // Custom clause types are only needed for corrections, so the built-in list is used until they load
+  useEffect(() => {
+    clauseTypeAPI.getAll()
+      .then(response => setClauseTypes(response.data.clauseTypes))
+      .catch(() => {});
+  }, []);
+
+  // Similar clauses are loaded on request and kept per clause and filter
+  const loadSimilar = async (clauseId, sameType = false) => {
+    setSimilar(prev => ({ ...prev, [clauseId]: { loading: true, sameType, results: prev[clauseId]?.results || [] } }));
+    try {
+      const response = await clauseAPI.getSimilar(clauseId, { sameType, limit: 5 });
+      setSimilar(prev => ({
+        ...prev,
+        [clauseId]: { loading: false, sameType, results: response.data.similar, message: response.data.message }
+      }));
+    } catch (error) {
+      console.error('Failed to find similar clauses:', error);
+      toast.error('Failed to find similar clauses');
+      setSimilar(prev => ({ ...prev, [clauseId]: undefined }));
+    }
+  };
+
+  // Open and scroll to the clause linked from search results
+  useEffect(() => {
+    const linked = clauses.find(clause => clause.id === linkedClauseId);
+    if (!linked) return;
+    setSelectedClause(linked);
+    document.getElementById(`clause-${linked.id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [clauses, linkedClauseId]);
+
   const fetchContractData = async () => {
     try {
       setLoading(true);
@@ -28,10 +78,26 @@ const ContractAnalysis = () => {
         clauseAPI.getSummary(id)
       ]);
 
-      setContract(contractRes.data);
+      setContract(contractRes.data.contract);
       setClauses(clausesRes.data.clauses);
       setSummary(summaryRes.data);
 
+      // The contract-level analysis is built in the background and may not exist yet
+      try {
+        const analysisRes = await analysisAPI.getSummary(id);
+        setAnalysis(analysisRes.data.analysis);
+      } catch (analysisError) {
+        setAnalysis(null);
+      }
+
+      // Clauses with no playbook entry for their type are left out of the review
+      try {
+        const playbookRes = await analysisAPI.getPlaybookReview(id);
+        setPlaybookReview(playbookRes.data.review);
+      } catch (playbookError) {
+        setPlaybookReview(null);
+      }
+
     } catch (error) {
       console.error('Failed to fetch contract data:', error);
       toast.error('Failed to load contract analysis');
@@ -49,22 +115,169 @@ const ContractAnalysis = () => {
     return classes[riskLevel] || classes.low;
   };
 
-  const getClauseTypeColor = (type) => {
-    const colors = {
-      confidentiality: 'bg-purple-100 text-purple-700',
-      termination: 'bg-red-100 text-red-700',
-      liability: 'bg-orange-100 text-orange-700',
-      payment: 'bg-green-100 text-green-700',
-      intellectual_property: 'bg-blue-100 text-blue-700',
-      governing_law: 'bg-indigo-100 text-indigo-700',
-      warranty: 'bg-yellow-100 text-yellow-700',
-      general: 'bg-neutral-100 text-neutral-700'
+  // Split clause text into plain and highlighted parts using the flag spans
+  const highlightFlags = (text, flags = []) => {
+    // Flags favorable to the represented party rank below every risk
+    const rank = { favorable: 0, low: 1, medium: 2, high: 3 };
+    const spans = flags
+      .flatMap(flag => (flag.spans || (flag.span ? [flag.span] : [])).map(span => ({
+        ...span,
+        severity: flag.stance === 'favorable' ? 'favorable' : flag.severity
+      })))
+      .filter(span => span.end > span.start)
+      .sort((a, b) => a.start - b.start);
+
+    // Merge overlapping spans, keeping the higher severity
+    const merged = [];
+    for (const span of spans) {
+      const last = merged[merged.length - 1];
+      if (last && span.start < last.end) {
+        last.end = Math.max(last.end, span.end);
+        if (rank[span.severity] > rank[last.severity]) last.severity = span.severity;
+      } else {
+        merged.push({ ...span });
+      }
+    }
+
+    const parts = [];
+    let position = 0;
+    for (const span of merged) {
+      if (span.start > position) parts.push(text.slice(position, span.start));
+      parts.push(
+        <mark
+          key={span.start}
+          className={`rounded px-0.5 ${
+            span.severity === 'high' ? 'bg-danger-light' : span.severity === 'favorable' ? 'bg-success-light' : 'bg-warning-light'
+          }`}
+        >
+          {text.slice(span.start, span.end)}
+        </mark>
+      );
+      position = span.end;
+    }
+    parts.push(text.slice(position));
+    return parts;
+  };
+
+  const playbookByClause = new Map((playbookReview?.clauses || []).map(review => [review.clause_id, review]));
+
+  const getPlaybookBadgeClass = (status) => {
+    const classes = {
+      preferred: 'badge bg-success-light text-success-dark',
+      acceptable: 'badge bg-warning-light text-warning-dark',
+      unacceptable: 'badge bg-danger-light text-danger-dark',
+      non_standard: 'badge bg-neutral-200 text-neutral-700'
     };
-    return colors[type] || colors.general;
+    return classes[status] || classes.non_standard;
+  };
+
+  const PLAYBOOK_STATUS_LABELS = {
+    preferred: 'Matches preferred wording',
+    acceptable: 'Matches acceptable fallback',
+    unacceptable: 'Matches unacceptable wording',
+    non_standard: 'Non-standard wording'
+  };
+
+  // Sections with sub-clauses can be collapsed when viewing the full outline
+  const parentIds = new Set(clauses.map(clause => clause.parent_id).filter(Boolean));
+  const parentOf = new Map(clauses.map(clause => [clause.id, clause.parent_id]));
+  const showOutline = filter === 'all' && parentIds.size > 0;
+
+  const isHidden = (clause) => {
+    let parentId = clause.parent_id;
+    while (parentId) {
+      if (collapsed.has(parentId)) return true;
+      parentId = parentOf.get(parentId);
+    }
+    return false;
+  };
+
+  const toggleCollapsed = (clauseId) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      if (next.has(clauseId)) {
+        next.delete(clauseId);
+      } else {
+        next.add(clauseId);
+      }
+      return next;
+    });
+  };
+
+  // Parties detected in the contract, with the role each is called by in the clauses
+  const parties = (contract?.metadata?.parties || []).map(name => ({
+    name,
+    role: contract.metadata.partyRoles?.[name] || null
+  }));
+
+  // The stored perspective may be the role typed at upload ("Customer") rather than the party name
+  const currentParty = parties.find(party =>
+    [party.name, party.role].some(name => name && name.toLowerCase() === contract?.perspective?.toLowerCase())
+  )?.name || '';
+
+  const changePerspective = async (party) => {
+    try {
+      setRescoring(true);
+      const response = await contractAPI.setPerspective(id, party || null);
+      toast.success(response.data.message);
+
+      // Re-scoring runs as a queued analysis job; reload once it has finished
+      let job = null;
+      do {
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        job = (await contractAPI.getStatus(id)).data.job;
+      } while (job && job.id === response.data.jobId && ['pending', 'processing'].includes(job.status));
+
+      if (job && job.id === response.data.jobId && job.status === 'failed') {
+        toast.error(job.error || 'Re-scoring failed');
+      }
+      await fetchContractData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to change perspective');
+    } finally {
+      setRescoring(false);
+    }
+  };
+
+  const startCorrection = (clause) => {
+    setCorrection({
+      clauseId: clause.id,
+      clauseType: normalizeClauseType(clause.clause_type),
+      riskLevel: clause.risk_level,
+      reason: ''
+    });
+  };
+
+  const saveCorrection = async (clause) => {
+    const changes = {};
+    if (correction.clauseType !== normalizeClauseType(clause.clause_type)) changes.clauseType = correction.clauseType;
+    if (correction.riskLevel !== clause.risk_level) changes.riskLevel = correction.riskLevel;
+
+    if (Object.keys(changes).length === 0) {
+      toast.error('Change the type or risk level first');
+      return;
+    }
+    if (correction.reason.trim().length < 3) {
+      toast.error('Please give a reason for the correction');
+      return;
+    }
+
+    try {
+      setSavingCorrection(true);
+      const response = await clauseAPI.correct(clause.id, { ...changes, reason: correction.reason.trim() });
+      const updated = response.data.clause;
+      setClauses(prev => prev.map(c => (c.id === clause.id ? { ...c, ...updated } : c)));
+      setCorrection(null);
+      toast.success('Correction saved');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save correction');
+    } finally {
+      setSavingCorrection(false);
+    }
   };
 
   const filteredClauses = clauses.filter(clause => {
-    if (filter === 'all') return true;
+    if (filter === 'all') return !isHidden(clause);
     if (filter === 'risky') return clause.risk_level === 'high' || clause.risk_level === 'medium';
     return clause.risk_level === filter;
   });
@@ -104,6 +317,26 @@ const ContractAnalysis = () => {
               {contract.original_filename}
             </h1>
             <p className="text-neutral-600">Clause-by-clause analysis and risk assessment</p>
+            {parties.length > 0 && (
+              <div className="flex items-center space-x-2 mt-3">
+                <label htmlFor="perspective" className="text-sm text-neutral-600">Reviewing as:</label>
+                <select
+                  id="perspective"
+                  className="input py-1 w-auto"
+                  value={currentParty}
+                  disabled={rescoring}
+                  onChange={(e) => changePerspective(e.target.value)}
+                >
+                  <option value="">Neutral (no party)</option>
+                  {parties.map(party => (
+                    <option key={party.name} value={party.name}>
+                      {party.name}{party.role ? ` ("${party.role}")` : ''}
+                    </option>
+                  ))}
+                </select>
+                {rescoring && <span className="text-sm text-neutral-500">Re-scoring...</span>}
+              </div>
+            )}
           </div>
           <Link to="/contracts" className="btn btn-secondary">
             Back to Contracts
@@ -111,6 +344,149 @@ const ContractAnalysis = () => {
         </div>
       </div>
 
+      {/* OCR Quality Warning */}
+      {contract.metadata?.ocr?.pages?.length > 0 && (
+        <div className={`card border ${
+          contract.metadata.ocr.lowConfidencePages.length > 0
+            ? 'bg-warning-light border-warning'
+            : 'bg-neutral-50 border-neutral-200'
+        }`}>
+          <div className="font-medium text-neutral-800">
+            🔎 {contract.metadata.ocr.pages.length} scanned page{contract.metadata.ocr.pages.length === 1 ? ' was' : 's were'} read
+            with OCR (average confidence {Math.round(contract.metadata.ocr.averageConfidence * 100)}%)
+          </div>
+          {contract.metadata.ocr.lowConfidencePages.length > 0 && (
+            <p className="text-sm text-neutral-700 mt-1">
+              ⚠️ Low recognition confidence on page{contract.metadata.ocr.lowConfidencePages.length === 1 ? '' : 's'}{' '}
+              {contract.metadata.ocr.lowConfidencePages.join(', ')}. Check clauses from these pages against the original document.
+            </p>
+          )}
+          {contract.metadata.ocr.skippedPages?.length > 0 && (
+            <p className="text-sm text-neutral-700 mt-1">
+              Pages {contract.metadata.ocr.skippedPages.join(', ')} were not read and are missing from the analysis.
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Contract Summary */}
+      {analysis && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="card space-y-4"
+        >
+          <div className="flex justify-between items-start">
+            <h2 className="text-xl font-bold text-neutral-800">Contract Summary</h2>
+            {analysis.overallRiskScore !== null && (
+              <span className={getRiskBadgeClass(getRiskScoreLevel(analysis.overallRiskScore))}>
+                Risk score {Math.round(analysis.overallRiskScore * 100)}/100
+              </span>
+            )}
+          </div>
+          <p className="text-neutral-700">{analysis.summary}</p>
+
+          {analysis.riskBreakdown?.length > 0 && (
+            <div>
+              <h4 className="font-semibold text-neutral-800 mb-2">How the score is made up:</h4>
+              <div className="space-y-3">
+                {analysis.riskBreakdown.map(factor => (
+                  <div key={factor.factor}>
+                    <div className="flex justify-between text-sm text-neutral-700 mb-1">
+                      <span>{factor.label} <span className="text-neutral-500">(weight {Math.round(factor.weight * 100)}%)</span></span>
+                      <span className="font-medium">+{Math.round(factor.contribution * 100)}</span>
+                    </div>
+                    <div className="w-full bg-neutral-200 rounded-full h-2 overflow-hidden">
+                      <div className="h-full bg-primary-500" style={{ width: `${Math.round(factor.score * 100)}%` }} />
+                    </div>
+                    {factor.details.length > 0 && (
+                      <p className="text-xs text-neutral-600 mt-1">
+                        {factor.factor === 'missing_clauses'
+                          ? `Missing: ${factor.details.map(detail => detail.label).join(', ')}`
+                          : factor.details.map(detail =>
+                            `${getClauseTypeLabel(detail.clause_type)} (${[
+                              detail.high > 0 && `${detail.high} high`,
+                              detail.medium > 0 && `${detail.medium} medium`
+                            ].filter(Boolean).join(', ')})`
+                          ).join(' · ')}
+                      </p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {analysis.missingClauses?.length > 0 && (
+            <div>
+              <h4 className="font-semibold text-neutral-800 mb-2">Missing Clauses:</h4>
+              <div className="space-y-2">
+                {analysis.missingClauses.map(item => (
+                  <div
+                    key={item.id}
+                    className={`p-3 rounded-lg border ${
+                      item.severity === 'high' ? 'bg-danger-light border-danger' : 'bg-warning-light border-warning'
+                    }`}
+                  >
+                    <div className="font-medium text-sm">
+                      {item.severity === 'high' ? '🚨' : '⚠️'} No {item.label.toLowerCase()} clause
+                    </div>
+                    <p className="text-sm text-neutral-700 mt-1">{item.reason}</p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {analysis.mainObligations?.length > 0 && (
+              <div>
+                <h4 className="font-semibold text-neutral-800 mb-2">Main Obligations:</h4>
+                <ul className="space-y-1 text-sm text-neutral-700 list-disc list-inside">
+                  {analysis.mainObligations.slice(0, 5).map((obligation, idx) => (
+                    <li key={idx}>
+                      {obligation.party && <span className="font-medium">{obligation.party}: </span>}
+                      {obligation.obligation}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {(analysis.paymentTerms?.amounts?.length > 0 || analysis.paymentTerms?.due_days) && (
+              <div>
+                <h4 className="font-semibold text-neutral-800 mb-2">Payment Terms:</h4>
+                <div className="space-y-1 text-sm text-neutral-700">
+                  {analysis.paymentTerms.amounts.length > 0 && (
+                    <div>💰 {analysis.paymentTerms.amounts.join(', ')}</div>
+                  )}
+                  {analysis.paymentTerms.due_days && (
+                    <div>📅 Due within {analysis.paymentTerms.due_days} days</div>
+                  )}
+                  {analysis.paymentTerms.late_payment && (
+                    <div>⚠️ {analysis.paymentTerms.late_payment}</div>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {analysis.renewalTerms && (
+              <div>
+                <h4 className="font-semibold text-neutral-800 mb-2">Renewal:</h4>
+                <p className="text-sm text-neutral-700">{analysis.renewalTerms}</p>
+              </div>
+            )}
+
+            {analysis.terminationTerms && (
+              <div>
+                <h4 className="font-semibold text-neutral-800 mb-2">Termination:</h4>
+                <p className="text-sm text-neutral-700 line-clamp-4">{analysis.terminationTerms}</p>
+              </div>
+            )}
+          </div>
+        </motion.div>
+      )}
+
       {/* Summary Statistics */}
       {summary && (
         <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
@@ -181,6 +557,23 @@ const ContractAnalysis = () => {
               {filterOption.charAt(0).toUpperCase() + filterOption.slice(1)}
             </button>
           ))}
+          {showOutline && (
+            <div className="ml-auto flex items-center space-x-2">
+              <button
+                onClick={() => setCollapsed(new Set())}
+                className="text-sm text-neutral-600 hover:text-neutral-800"
+              >
+                Expand all
+              </button>
+              <span className="text-neutral-300">|</span>
+              <button
+                onClick={() => setCollapsed(new Set(parentIds))}
+                className="text-sm text-neutral-600 hover:text-neutral-800"
+              >
+                Collapse all
+              </button>
+            </div>
+          )}
         </div>
       </div>
 
@@ -195,15 +588,29 @@ const ContractAnalysis = () => {
           filteredClauses.map((clause, index) => (
             <motion.div
               key={clause.id}
+              id={`clause-${clause.id}`}
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
-              transition={{ delay: index * 0.05 }}
+              transition={{ delay: Math.min(index * 0.05, 1) }}
               className="card hover:shadow-soft-lg transition-shadow cursor-pointer"
+              style={showOutline ? { marginLeft: `${Math.min(clause.depth || 0, 6) * 1.5}rem` } : undefined}
               onClick={() => setSelectedClause(selectedClause?.id === clause.id ? null : clause)}
             >
               <div className="flex items-start justify-between">
                 <div className="flex-1">
                   <div className="flex items-center space-x-3 mb-2">
+                    {showOutline && parentIds.has(clause.id) && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          toggleCollapsed(clause.id);
+                        }}
+                        className="w-6 h-6 flex items-center justify-center rounded-lg text-neutral-500 hover:bg-neutral-100"
+                        title={collapsed.has(clause.id) ? 'Expand section' : 'Collapse section'}
+                      >
+                        {collapsed.has(clause.id) ? '▸' : '▾'}
+                      </button>
+                    )}
                     {clause.section_number && (
                       <span className="text-sm font-mono text-neutral-500">
                         {clause.section_number}
@@ -213,8 +620,17 @@ const ContractAnalysis = () => {
                       {clause.title || `Clause ${clause.position + 1}`}
                     </h3>
                     <span className={`badge ${getClauseTypeColor(clause.clause_type)}`}>
-                      {clause.clause_type.replace(/_/g, ' ')}
+                      {getClauseTypeLabel(clause.clause_type)}
                     </span>
+                    {clause.labels?.filter(entry => normalizeClauseType(entry.label) !== normalizeClauseType(clause.clause_type)).map(entry => (
+                      <span
+                        key={entry.label}
+                        className={`badge opacity-75 ${getClauseTypeColor(entry.label)}`}
+                        title={`Also classified as ${getClauseTypeLabel(entry.label)}`}
+                      >
+                        + {getClauseTypeLabel(entry.label)} {Math.round(entry.score * 100)}%
+                      </span>
+                    ))}
                     <span className={getRiskBadgeClass(clause.risk_level)}>
                       {clause.risk_level} risk
                     </span>
@@ -230,6 +646,9 @@ const ContractAnalysis = () => {
                     {clause.requires_review && (
                       <span className="text-danger-600 font-medium">⚠️ Requires Review</span>
                     )}
+                    {clause.reviewed_at && (
+                      <span className="text-success-600 font-medium">✓ Reviewed</span>
+                    )}
                   </div>
 
                   {/* Expanded View */}
@@ -242,9 +661,72 @@ const ContractAnalysis = () => {
                     >
                       <h4 className="font-semibold text-neutral-800 mb-2">Full Text:</h4>
                       <p className="text-neutral-700 mb-4 whitespace-pre-wrap">
-                        {clause.text}
+                        {highlightFlags(clause.text, clause.risk_flags)}
                       </p>
 
+                      {/* Reviewer correction */}
+                      <div className="mb-4" onClick={(e) => e.stopPropagation()}>
+                        {clause.reviewed_at && (clause.original_clause_type || clause.original_risk_level) && (
+                          <p className="text-sm text-neutral-600 mb-2">
+                            Originally classified as {getClauseTypeLabel(clause.original_clause_type || clause.clause_type)}
+                            {' '}with {clause.original_risk_level || clause.risk_level} risk
+                          </p>
+                        )}
+                        {correction?.clauseId === clause.id ? (
+                          <div className="p-4 rounded-lg bg-neutral-50 border border-neutral-200 space-y-3">
+                            <div className="grid grid-cols-2 gap-3">
+                              <select
+                                className="input"
+                                value={correction.clauseType}
+                                onChange={(e) => setCorrection({ ...correction, clauseType: e.target.value })}
+                              >
+                                {clauseTypes.map(type => (
+                                  <option key={type.key} value={type.key}>{type.label}</option>
+                                ))}
+                              </select>
+                              <select
+                                className="input"
+                                value={correction.riskLevel}
+                                onChange={(e) => setCorrection({ ...correction, riskLevel: e.target.value })}
+                              >
+                                <option value="low">low risk</option>
+                                <option value="medium">medium risk</option>
+                                <option value="high">high risk</option>
+                              </select>
+                            </div>
+                            <input
+                              className="input"
+                              placeholder="Reason for the correction"
+                              value={correction.reason}
+                              onChange={(e) => setCorrection({ ...correction, reason: e.target.value })}
+                            />
+                            <div className="flex space-x-2">
+                              <button
+                                className="btn btn-primary"
+                                disabled={savingCorrection}
+                                onClick={() => saveCorrection(clause)}
+                              >
+                                {savingCorrection ? 'Saving...' : 'Save correction'}
+                              </button>
+                              <button className="btn btn-secondary" onClick={() => setCorrection(null)}>
+                                Cancel
+                              </button>
+                            </div>
+                          </div>
+                        ) : (
+                          <button className="btn btn-secondary text-sm" onClick={() => startCorrection(clause)}>
+                            ✏️ Correct labels
+                          </button>
+                        )}
+                      </div>
+
+                      {clause.risk_explanation && (
+                        <div className="mb-4">
+                          <h4 className="font-semibold text-neutral-800 mb-2">Why This Matters:</h4>
+                          <p className="text-sm text-neutral-700">{clause.risk_explanation}</p>
+                        </div>
+                      )}
+
                       {clause.risk_flags && clause.risk_flags.length > 0 && (
                         <div className="mb-4">
                           <h4 className="font-semibold text-neutral-800 mb-2">Risk Flags:</h4>
@@ -253,20 +735,163 @@ const ContractAnalysis = () => {
                               <div
                                 key={idx}
                                 className={`p-3 rounded-lg ${
-                                  flag.severity === 'high'
-                                    ? 'bg-danger-50 border border-danger-200'
-                                    : 'bg-primary-50 border border-primary-200'
+                                  flag.stance === 'favorable'
+                                    ? 'bg-success-light border border-success'
+                                    : flag.severity === 'high'
+                                      ? 'bg-danger-50 border border-danger-200'
+                                      : 'bg-primary-50 border border-primary-200'
                                 }`}
                               >
                                 <div className="font-medium text-sm">
                                   {flag.severity === 'high' ? '🚨' : '⚠️'} {flag.message}
+                                  {flag.party && (
+                                    <span className="ml-2 text-xs font-normal text-neutral-500">
+                                      {flag.mutual ? 'applies to both parties' : `applies to ${flag.party}`}
+                                    </span>
+                                  )}
+                                  {flag.stance && (
+                                    <span className="ml-2 text-xs font-normal text-neutral-500">
+                                      · {flag.stance === 'favorable' ? 'favorable to you' : 'against you'}
+                                    </span>
+                                  )}
                                 </div>
+                                {flag.explanation && (
+                                  <p className="text-sm text-neutral-700 mt-1">{flag.explanation}</p>
+                                )}
+                                {flag.remediation && (
+                                  <p className="text-sm text-neutral-600 mt-1">
+                                    <span className="font-medium">Suggested change:</span> {flag.remediation}
+                                  </p>
+                                )}
                               </div>
                             ))}
                           </div>
+                          {clause.risk_ruleset_version && (
+                            <p className="text-xs text-neutral-500 mt-2">
+                              Scored with risk rules v{clause.risk_ruleset_version}
+                            </p>
+                          )}
                         </div>
                       )}
 
+                      {playbookByClause.has(clause.id) && (() => {
+                        const review = playbookByClause.get(clause.id);
+                        return (
+                          <div className="mb-4">
+                            <h4 className="font-semibold text-neutral-800 mb-2">Playbook:</h4>
+                            <div className="flex items-center flex-wrap gap-2 mb-2">
+                              <span className={getPlaybookBadgeClass(review.status)}>
+                                {PLAYBOOK_STATUS_LABELS[review.status]}
+                              </span>
+                              {review.standard && (
+                                <span className="text-sm text-neutral-600">
+                                  {Math.round(review.standard.similarity * 100)}% similar to the {review.standard.position} wording
+                                  {review.standard.title ? ` "${review.standard.title}"` : ''}
+                                </span>
+                              )}
+                            </div>
+                            {review.diff && review.status !== 'preferred' && (
+                              <div className="p-3 rounded-lg bg-neutral-50 border border-neutral-200 text-sm text-neutral-700 leading-relaxed mb-2">
+                                <div className="text-xs text-neutral-500 mb-1">
+                                  Changes from the standard: {review.diff.wordsAdded} words added, {review.diff.wordsRemoved} removed
+                                </div>
+                                {review.diff.changes.map((change, idx) => {
+                                  if (change.type === 'removed') {
+                                    return <del key={idx} className="bg-danger-light text-danger-dark">{change.value}</del>;
+                                  }
+                                  if (change.type === 'added') {
+                                    return <ins key={idx} className="bg-success-light text-success-dark no-underline">{change.value}</ins>;
+                                  }
+                                  return <span key={idx}>{change.value}</span>;
+                                })}
+                              </div>
+                            )}
+                            {review.suggestion && (
+                              <div className="p-3 rounded-lg bg-success-light border border-success text-sm">
+                                <div className="font-medium mb-1">
+                                  Suggested replacement ({review.suggestion.position} wording):
+                                </div>
+                                <p className="text-neutral-700 whitespace-pre-wrap">{review.suggestion.text}</p>
+                                {review.suggestion.guidance && (
+                                  <p className="text-neutral-600 mt-1">💡 {review.suggestion.guidance}</p>
+                                )}
+                                <button
+                                  className="btn btn-secondary text-sm mt-2"
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    navigator.clipboard?.writeText(review.suggestion.text)
+                                      .then(() => toast.success('Suggested wording copied'))
+                                      .catch(() => toast.error('Could not copy to the clipboard'));
+                                  }}
+                                >
+                                  📋 Copy wording
+                                </button>
+                              </div>
+                            )}
+                          </div>
+                        );
+                      })()}
+
+                      {/* Similar clauses from other contracts */}
+                      <div className="mb-4" onClick={(e) => e.stopPropagation()}>
+                        <div className="flex items-center justify-between mb-2">
+                          <h4 className="font-semibold text-neutral-800">Similar Clauses:</h4>
+                          {similar[clause.id] && (
+                            <label className="flex items-center space-x-2 text-sm text-neutral-600">
+                              <input
+                                type="checkbox"
+                                checked={similar[clause.id].sameType}
+                                disabled={similar[clause.id].loading}
+                                onChange={(e) => loadSimilar(clause.id, e.target.checked)}
+                              />
+                              <span>Same type only</span>
+                            </label>
+                          )}
+                        </div>
+                        {!similar[clause.id] ? (
+                          <button className="btn btn-secondary text-sm" onClick={() => loadSimilar(clause.id)}>
+                            🔍 Find similar clauses in other contracts
+                          </button>
+                        ) : similar[clause.id].loading ? (
+                          <p className="text-sm text-neutral-500">Searching...</p>
+                        ) : similar[clause.id].results.length === 0 ? (
+                          <p className="text-sm text-neutral-500">
+                            {similar[clause.id].message || 'No similar clauses in your other contracts'}
+                          </p>
+                        ) : (
+                          <div className="space-y-2">
+                            {similar[clause.id].results.map(match => (
+                              <div key={match.id} className="p-3 rounded-lg bg-neutral-50 border border-neutral-200">
+                                <div className="flex items-center justify-between gap-2 mb-1">
+                                  <Link
+                                    to={`/contracts/${match.contract_id}/analysis?clause=${match.id}`}
+                                    className="text-sm font-medium text-primary-600 hover:underline"
+                                  >
+                                    {match.contract_title || match.original_filename}
+                                    {match.version > 1 && ` (v${match.version})`}
+                                    {match.section_number && ` · §${match.section_number}`}
+                                  </Link>
+                                  <div className="flex items-center gap-2 whitespace-nowrap">
+                                    {match.risk_level && (
+                                      <span className={getRiskBadgeClass(match.risk_level)}>{match.risk_level}</span>
+                                    )}
+                                    <span className="text-xs text-neutral-500">
+                                      {Math.round(match.similarity * 100)}% similar
+                                      {match.matched_chunk && ` (part ${match.matched_chunk.index + 1} of ${match.matched_chunk.count})`}
+                                    </span>
+                                  </div>
+                                </div>
+                                <p className="text-sm text-neutral-700 line-clamp-3">
+                                  {match.matched_chunk
+                                    ? `${match.matched_chunk.start > 0 ? '… ' : ''}${match.text.slice(match.matched_chunk.start, match.matched_chunk.end)}`
+                                    : match.text}
+                                </p>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+
                       {clause.entities && (
                         <div>
                           <h4 className="font-semibold text-neutral-800 mb-2">Extracted Entities:</h4>
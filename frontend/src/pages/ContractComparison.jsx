@@ -1,6 +1,302 @@
+import { useState, useEffect, useLayoutEffect, useRef, useMemo, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { contractAPI, clauseAPI, comparisonAPI } from '../utils/api';
+
+const RISK_ORDER = { low: 0, medium: 1, high: 2 };
+
+/**
+ * Merge both clause lists and the comparison into aligned rows.
+ * Each row holds the left (v1) and right (v2) clause, either of which may be missing.
+ */
+const buildRows = (comparison, clausesV1, clausesV2) => {
+  const v1ById = new Map(clausesV1.map(clause => [clause.id, clause]));
+  const modifiedByV2 = new Map(comparison.modified.map(change => [change.v2.id, change]));
+  const unchangedByV2 = new Map(comparison.unchanged.map(pair => [pair.v2_id, pair.v1_id]));
+
+  // Walk the revised version in order; matched clauses carry their original alongside
+  const rows = clausesV2.map(clause => {
+    const change = modifiedByV2.get(clause.id);
+    if (change) {
+      return { status: 'modified', left: v1ById.get(change.v1.id) || change.v1, right: clause, change };
+    }
+    if (unchangedByV2.has(clause.id)) {
+      return { status: 'unchanged', left: v1ById.get(unchangedByV2.get(clause.id)), right: clause };
+    }
+    return { status: 'added', left: null, right: clause };
+  });
+
+  // Slot each removed clause in after the row holding its closest preceding original clause
+  comparison.removed
+    .slice()
+    .sort((a, b) => a.position - b.position)
+    .forEach(removed => {
+      let insertAt = 0;
+      rows.forEach((row, index) => {
+        if (row.left && row.left.position < removed.position) {
+          insertAt = index + 1;
+        }
+      });
+      rows.splice(insertAt, 0, { status: 'removed', left: v1ById.get(removed.id) || removed, right: null });
+    });
+
+  return rows.map((row, index) => ({ ...row, key: `${row.status}-${row.left?.id}-${row.right?.id || index}` }));
+};
 
 const ContractComparison = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [contracts, setContracts] = useState([]);
+  const [v1Id, setV1Id] = useState(searchParams.get('v1') || '');
+  const [v2Id, setV2Id] = useState(searchParams.get('v2') || '');
+  const [comparison, setComparison] = useState(null);
+  const [clauses, setClauses] = useState({ v1: [], v2: [] });
+  const [loading, setLoading] = useState(false);
+  const [activeChange, setActiveChange] = useState(-1);
+
+  const leftPaneRef = useRef(null);
+  const rightPaneRef = useRef(null);
+  const leftRowRefs = useRef([]);
+  const rightRowRefs = useRef([]);
+  const syncingRef = useRef(false);
+
+  useEffect(() => {
+    fetchContracts();
+  }, []);
+
+  useEffect(() => {
+    if (searchParams.get('v1') && searchParams.get('v2')) {
+      runComparison(searchParams.get('v1'), searchParams.get('v2'));
+    }
+  }, [searchParams]);
+
+  const fetchContracts = async () => {
+    try {
+      const response = await contractAPI.getAll({ status: 'analyzed' });
+      setContracts(response.data.contracts);
+    } catch (error) {
+      console.error('Failed to fetch contracts:', error);
+      toast.error('Failed to load contracts');
+    }
+  };
+
+  const runComparison = async (firstId, secondId) => {
+    try {
+      setLoading(true);
+      setActiveChange(-1);
+
+      const [comparisonRes, v1ClausesRes, v2ClausesRes] = await Promise.all([
+        comparisonAPI.compare(firstId, secondId),
+        clauseAPI.getAll(firstId),
+        clauseAPI.getAll(secondId)
+      ]);
+
+      setComparison(comparisonRes.data.comparison);
+      setClauses({ v1: v1ClausesRes.data.clauses, v2: v2ClausesRes.data.clauses });
+    } catch (error) {
+      console.error('Comparison failed:', error);
+      toast.error(error.response?.data?.message || 'Failed to compare contracts');
+      setComparison(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCompare = () => {
+    if (!v1Id || !v2Id) {
+      toast.error('Select two contracts to compare');
+      return;
+    }
+    if (v1Id === v2Id) {
+      toast.error('Select two different contracts');
+      return;
+    }
+    setSearchParams({ v1: v1Id, v2: v2Id });
+  };
+
+  const rows = useMemo(
+    () => (comparison ? buildRows(comparison, clauses.v1, clauses.v2) : []),
+    [comparison, clauses]
+  );
+
+  const changeIndexes = useMemo(
+    () => rows.reduce((indexes, row, index) => (row.status !== 'unchanged' ? [...indexes, index] : indexes), []),
+    [rows]
+  );
+
+  // Give both cells of a row the same height so the two columns stay aligned
+  const equalizeRowHeights = useCallback(() => {
+    rows.forEach((_, index) => {
+      const left = leftRowRefs.current[index];
+      const right = rightRowRefs.current[index];
+      if (!left || !right) return;
+
+      left.style.minHeight = '';
+      right.style.minHeight = '';
+      const height = Math.max(left.offsetHeight, right.offsetHeight);
+      left.style.minHeight = `${height}px`;
+      right.style.minHeight = `${height}px`;
+    });
+  }, [rows]);
+
+  useLayoutEffect(() => {
+    equalizeRowHeights();
+    window.addEventListener('resize', equalizeRowHeights);
+    return () => window.removeEventListener('resize', equalizeRowHeights);
+  }, [equalizeRowHeights]);
+
+  const handleScroll = (source, target) => {
+    if (syncingRef.current) {
+      syncingRef.current = false;
+      return;
+    }
+    if (source.current && target.current && target.current.scrollTop !== source.current.scrollTop) {
+      syncingRef.current = true;
+      target.current.scrollTop = source.current.scrollTop;
+    }
+  };
+
+  const goToChange = useCallback((changeNumber) => {
+    if (changeIndexes.length === 0) return;
+
+    const wrapped = (changeNumber + changeIndexes.length) % changeIndexes.length;
+    const row = leftRowRefs.current[changeIndexes[wrapped]];
+    setActiveChange(wrapped);
+
+    if (row && leftPaneRef.current) {
+      leftPaneRef.current.scrollTop = row.offsetTop - 16;
+    }
+  }, [changeIndexes]);
+
+  // Keyboard navigation: j / n for the next change, k / p for the previous one
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+
+      if (e.key === 'j' || e.key === 'n') {
+        e.preventDefault();
+        goToChange(activeChange + 1);
+      } else if (e.key === 'k' || e.key === 'p') {
+        e.preventDefault();
+        goToChange(activeChange - 1);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [goToChange, activeChange]);
+
+  const getStatusClass = (status) => {
+    const classes = {
+      added: 'bg-success-light/40 border-success',
+      removed: 'bg-danger-light/40 border-danger',
+      modified: 'bg-warning-light/40 border-warning',
+      unchanged: 'bg-white border-neutral-200'
+    };
+    return classes[status];
+  };
+
+  const getRiskBadgeClass = (riskLevel) => {
+    const classes = {
+      high: 'badge bg-danger-200 text-danger-700',
+      medium: 'badge bg-primary-200 text-primary-700',
+      low: 'badge bg-success-200 text-success-700'
+    };
+    return classes[riskLevel] || classes.low;
+  };
+
+  const renderRiskDelta = (row) => {
+    if (row.status === 'unchanged') return null;
+
+    const before = row.left?.risk_level;
+    const after = row.right?.risk_level;
+    const delta = (RISK_ORDER[after] ?? 0) - (RISK_ORDER[before] ?? 0);
+
+    let label;
+    if (row.status === 'added') {
+      label = `new ${after} risk`;
+    } else if (row.status === 'removed') {
+      label = `removed ${before} risk`;
+    } else if (delta === 0) {
+      label = `${after} risk (no change)`;
+    } else {
+      label = `${delta > 0 ? '▲' : '▼'} ${before} → ${after} risk`;
+    }
+
+    const color = delta > 0 || (row.status === 'added' && after !== 'low')
+      ? 'bg-danger-light text-danger-dark'
+      : delta < 0 || row.status === 'removed'
+        ? 'bg-success-light text-success-dark'
+        : 'bg-neutral-100 text-neutral-700';
+
+    return <span className={`badge text-xs ${color}`}>{label}</span>;
+  };
+
+  const renderText = (row, side) => {
+    const clause = side === 'left' ? row.left : row.right;
+    if (!clause) return null;
+
+    if (row.status !== 'modified') {
+      return <p className="text-sm text-neutral-700 whitespace-pre-wrap">{clause.text}</p>;
+    }
+
+    // Left column shows deletions, right column shows insertions
+    const hidden = side === 'left' ? 'added' : 'removed';
+    return (
+      <p className="text-sm text-neutral-700 whitespace-pre-wrap">
+        {row.change.changes
+          .filter(part => part.type !== hidden)
+          .map((part, index) => {
+            if (part.type === 'removed') {
+              return <del key={index} className="bg-danger-light text-danger-dark">{part.value}</del>;
+            }
+            if (part.type === 'added') {
+              return <ins key={index} className="bg-success-light text-success-dark no-underline">{part.value}</ins>;
+            }
+            return <span key={index}>{part.value}</span>;
+          })}
+      </p>
+    );
+  };
+
+  const renderCell = (row, index, side) => {
+    const clause = side === 'left' ? row.left : row.right;
+    const refs = side === 'left' ? leftRowRefs : rightRowRefs;
+    const isActive = changeIndexes[activeChange] === index;
+
+    return (
+      <div
+        key={row.key}
+        ref={(el) => { refs.current[index] = el; }}
+        className={`p-4 mb-3 rounded-xl border ${clause ? getStatusClass(row.status) : 'border-dashed border-neutral-200 bg-neutral-50'} ${
+          isActive ? 'ring-2 ring-primary-500' : ''
+        }`}
+      >
+        {clause ? (
+          <>
+            <div className="flex items-center flex-wrap gap-2 mb-2">
+              {clause.section_number && (
+                <span className="text-sm font-mono text-neutral-500">{clause.section_number}</span>
+              )}
+              <span className="font-semibold text-neutral-800 text-sm">
+                {clause.title || `Clause ${clause.position + 1}`}
+              </span>
+              <span className={getRiskBadgeClass(clause.risk_level)}>{clause.risk_level}</span>
+              {side === 'right' || row.status === 'removed' ? renderRiskDelta(row) : null}
+            </div>
+            {renderText(row, side)}
+          </>
+        ) : (
+          <p className="text-sm text-neutral-400 italic">
+            {row.status === 'added' ? 'Not present in original' : 'Removed in revision'}
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  const contractLabel = (id) => contracts.find(contract => String(contract.id) === String(id))?.original_filename;
+
   return (
     <div className="space-y-6">
       <div className="card">
@@ -8,20 +304,125 @@ const ContractComparison = () => {
         <p className="text-neutral-600">Side-by-side comparison of contract versions</p>
       </div>
 
-      <motion.div
-        initial={{ opacity: 0, y: 20 }}
-        animate={{ opacity: 1, y: 0 }}
-        className="card"
-      >
-        <div className="text-center py-16 text-neutral-500">
-          <p className="text-6xl mb-4">⚖️</p>
-          <p className="text-lg">Comparison view coming soon</p>
-          <p className="text-sm mt-2">Will be implemented in Days 9-10</p>
+      {/* Contract Selection */}
+      <div className="card">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-neutral-700 mb-2">Original version</label>
+            <select className="input" value={v1Id} onChange={(e) => setV1Id(e.target.value)}>
+              <option value="">Select a contract</option>
+              {contracts.map((contract) => (
+                <option key={contract.id} value={contract.id}>{contract.original_filename}</option>
+              ))}
+            </select>
+          </div>
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-neutral-700 mb-2">Revised version</label>
+            <select className="input" value={v2Id} onChange={(e) => setV2Id(e.target.value)}>
+              <option value="">Select a contract</option>
+              {contracts.map((contract) => (
+                <option key={contract.id} value={contract.id}>{contract.original_filename}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            onClick={handleCompare}
+            disabled={loading}
+            className="btn btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading ? 'Comparing...' : 'Compare'}
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="card text-center py-12">
+          <div className="text-4xl mb-4">⏳</div>
+          <p className="text-neutral-600">Comparing contracts...</p>
         </div>
-      </motion.div>
+      ) : !comparison ? (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="card"
+        >
+          <div className="text-center py-16 text-neutral-500">
+            <p className="text-6xl mb-4">⚖️</p>
+            <p className="text-lg">Select two analyzed contracts to compare</p>
+          </div>
+        </motion.div>
+      ) : (
+        <>
+          {/* Change Summary */}
+          <div className="card">
+            <div className="flex flex-wrap justify-between items-center gap-4">
+              <div className="flex items-center space-x-3 text-sm">
+                <span className="badge bg-success-light text-success-dark">{comparison.added.length} added</span>
+                <span className="badge bg-danger-light text-danger-dark">{comparison.removed.length} removed</span>
+                <span className="badge bg-warning-light text-warning-dark">{comparison.modified.length} modified</span>
+                <span className="text-neutral-600">{comparison.changeSummary}</span>
+              </div>
+              <div className="flex items-center space-x-2">
+                <span className="text-sm text-neutral-600">
+                  {changeIndexes.length === 0
+                    ? 'No changes'
+                    : `Change ${activeChange + 1 || '-'} of ${changeIndexes.length}`}
+                </span>
+                <button
+                  onClick={() => goToChange(activeChange - 1)}
+                  disabled={changeIndexes.length === 0}
+                  className="btn btn-secondary text-sm px-3 py-2"
+                  title="Previous change (k)"
+                >
+                  ↑
+                </button>
+                <button
+                  onClick={() => goToChange(activeChange + 1)}
+                  disabled={changeIndexes.length === 0}
+                  className="btn btn-secondary text-sm px-3 py-2"
+                  title="Next change (j)"
+                >
+                  ↓
+                </button>
+              </div>
+            </div>
+            <p className="text-xs text-neutral-500 mt-2">
+              Press <kbd className="font-mono">j</kbd>/<kbd className="font-mono">n</kbd> for the next change and{' '}
+              <kbd className="font-mono">k</kbd>/<kbd className="font-mono">p</kbd> for the previous one.
+            </p>
+          </div>
+
+          {/* Side-by-side Columns */}
+          <div className="grid grid-cols-2 gap-4">
+            <div className="card p-4">
+              <h2 className="font-semibold text-neutral-800 mb-3 truncate">
+                Original: {contractLabel(comparison.contractV1Id) || `Contract ${comparison.contractV1Id}`}
+              </h2>
+              <div
+                ref={leftPaneRef}
+                onScroll={() => handleScroll(leftPaneRef, rightPaneRef)}
+                className="relative h-[70vh] overflow-y-auto pr-2"
+              >
+                {rows.map((row, index) => renderCell(row, index, 'left'))}
+              </div>
+            </div>
+            <div className="card p-4">
+              <h2 className="font-semibold text-neutral-800 mb-3 truncate">
+                Revised: {contractLabel(comparison.contractV2Id) || `Contract ${comparison.contractV2Id}`}
+              </h2>
+              <div
+                ref={rightPaneRef}
+                onScroll={() => handleScroll(rightPaneRef, leftPaneRef)}
+                className="relative h-[70vh] overflow-y-auto pr-2"
+              >
+                {rows.map((row, index) => renderCell(row, index, 'right'))}
+              </div>
+            </div>
+          </div>
+        </>
+      )}
     </div>
   );
 };
 
 export default ContractComparison;
-
@@ -1,7 +1,8 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { motion } from 'framer-motion';
 import { Link } from 'react-router-dom';
 import toast from 'react-hot-toast';
+import { getRiskScoreLevel } from 'lexlens-shared';
 import { contractAPI } from '../utils/api';
 import { format } from 'date-fns';
 
@@ -9,15 +10,18 @@ const ContractList = () => {
   const [contracts, setContracts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('all');
+  const [sort, setSort] = useState('recent');
+  const [expandedGroups, setExpandedGroups] = useState({});
 
   useEffect(() => {
     fetchContracts();
-  }, [filter]);
+  }, [filter, sort]);
 
   const fetchContracts = async () => {
     try {
       setLoading(true);
       const params = filter !== 'all' ? { status: filter } : {};
+      if (sort === 'risk') params.sort = 'risk';
       const response = await contractAPI.getAll(params);
       setContracts(response.data.contracts);
     } catch (error) {
@@ -51,10 +55,48 @@ const ContractList = () => {
     return badges[status] || badges.uploaded;
   };
 
+  const getRiskScoreBadge = (score) => {
+    const badges = {
+      high: 'badge bg-danger-200 text-danger-700',
+      medium: 'badge bg-primary-200 text-primary-700',
+      low: 'badge bg-success-200 text-success-700'
+    };
+    return badges[getRiskScoreLevel(score)];
+  };
+
   const formatFileSize = (bytes) => {
     return (bytes / 1024 / 1024).toFixed(2) + ' MB';
   };
 
+  // Group revisions under their original upload, newest version first
+  const contractGroups = useMemo(() => {
+    const groups = new Map();
+
+    contracts.forEach((contract) => {
+      const rootId = contract.root_contract_id || contract.id;
+      if (!groups.has(rootId)) {
+        groups.set(rootId, []);
+      }
+      groups.get(rootId).push(contract);
+    });
+
+    const grouped = [...groups.entries()].map(([rootId, versions]) => {
+      versions.sort((a, b) => b.version - a.version);
+      return { rootId, latest: versions[0], versions };
+    });
+
+    // Triage by the latest version's score; unscored contracts go last
+    if (sort === 'risk') {
+      grouped.sort((a, b) => (b.latest.overall_risk_score ?? -1) - (a.latest.overall_risk_score ?? -1));
+    }
+
+    return grouped;
+  }, [contracts, sort]);
+
+  const toggleGroup = (rootId) => {
+    setExpandedGroups((prev) => ({ ...prev, [rootId]: !prev[rootId] }));
+  };
+
   return (
     <div className="max-w-6xl mx-auto">
       <div className="card mb-6">
@@ -71,20 +113,26 @@ const ContractList = () => {
 
       {/* Filters */}
       <div className="card mb-6">
-        <div className="flex space-x-2">
-          {['all', 'uploaded', 'processing', 'analyzed', 'failed'].map((status) => (
-            <button
-              key={status}
-              onClick={() => setFilter(status)}
-              className={`px-4 py-2 rounded-xl font-medium transition-all ${
-                filter === status
-                  ? 'bg-primary-500 text-white'
-                  : 'bg-neutral-100 text-neutral-700 hover:bg-neutral-200'
-              }`}
-            >
-              {status.charAt(0).toUpperCase() + status.slice(1)}
-            </button>
-          ))}
+        <div className="flex justify-between items-center">
+          <div className="flex space-x-2">
+            {['all', 'uploaded', 'processing', 'analyzed', 'failed'].map((status) => (
+              <button
+                key={status}
+                onClick={() => setFilter(status)}
+                className={`px-4 py-2 rounded-xl font-medium transition-all ${
+                  filter === status
+                    ? 'bg-primary-500 text-white'
+                    : 'bg-neutral-100 text-neutral-700 hover:bg-neutral-200'
+                }`}
+              >
+                {status.charAt(0).toUpperCase() + status.slice(1)}
+              </button>
+            ))}
+          </div>
+          <select className="input w-auto" value={sort} onChange={(e) => setSort(e.target.value)}>
+            <option value="recent">Most recent first</option>
+            <option value="risk">Highest risk first</option>
+          </select>
         </div>
       </div>
 
@@ -113,9 +161,9 @@ const ContractList = () => {
       ) : (
         /* Contract List */
         <div className="space-y-4">
-          {contracts.map((contract, index) => (
+          {contractGroups.map(({ rootId, latest: contract, versions }, index) => (
             <motion.div
-              key={contract.id}
+              key={rootId}
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
               transition={{ delay: index * 0.05 }}
@@ -127,9 +175,15 @@ const ContractList = () => {
                     <h3 className="text-lg font-semibold text-neutral-800">
                       {contract.original_filename}
                     </h3>
+                    <span className="badge bg-neutral-100 text-neutral-700">v{contract.version}</span>
                     <span className={getStatusBadge(contract.status)}>
                       {contract.status}
                     </span>
+                    {contract.overall_risk_score !== null && contract.overall_risk_score !== undefined && (
+                      <span className={getRiskScoreBadge(contract.overall_risk_score)}>
+                        Risk {Math.round(contract.overall_risk_score * 100)}/100
+                      </span>
+                    )}
                   </div>
                   <div className="flex items-center space-x-4 text-sm text-neutral-600">
                     <span>📊 {formatFileSize(contract.file_size)}</span>
@@ -137,6 +191,17 @@ const ContractList = () => {
                     {contract.metadata?.documentType && (
                       <span>📋 {contract.metadata.documentType}</span>
                     )}
+                    {contract.metadata?.ocr?.lowConfidencePages?.length > 0 && (
+                      <span className="text-warning-dark font-medium">⚠️ Low OCR confidence</span>
+                    )}
+                    {versions.length > 1 && (
+                      <button
+                        onClick={() => toggleGroup(rootId)}
+                        className="text-primary-600 hover:text-primary-700 font-medium"
+                      >
+                        🗂️ {expandedGroups[rootId] ? 'Hide' : 'Show'} {versions.length} versions
+                      </button>
+                    )}
                   </div>
                 </div>
                 <div className="flex items-center space-x-3">
@@ -153,6 +218,12 @@ const ContractList = () => {
                       Processing...
                     </button>
                   )}
+                  <Link
+                    to={`/upload?parent=${contract.id}`}
+                    className="btn btn-secondary"
+                  >
+                    New Version
+                  </Link>
                   <button
                     onClick={() => handleDelete(contract.id)}
                     className="btn btn-danger"
@@ -161,6 +232,53 @@ const ContractList = () => {
                   </button>
                 </div>
               </div>
+
+              {/* Version History */}
+              {expandedGroups[rootId] && (
+                <div className="mt-4 pt-4 border-t border-neutral-200 space-y-2">
+                  {versions.map((version, versionIndex) => {
+                    const previous = versions[versionIndex + 1];
+                    return (
+                      <div key={version.id} className="flex items-center justify-between text-sm">
+                        <div className="flex items-center space-x-3">
+                          <span className="font-mono text-neutral-500">v{version.version}</span>
+                          <span className="text-neutral-800">{version.original_filename}</span>
+                          <span className="text-neutral-500">
+                            {format(new Date(version.uploaded_at), 'MMM dd, yyyy')}
+                          </span>
+                          <span className={getStatusBadge(version.status)}>{version.status}</span>
+                        </div>
+                        <div className="flex items-center space-x-3">
+                          {previous && version.status === 'analyzed' && previous.status === 'analyzed' && (
+                            <Link
+                              to={`/contracts/compare?v1=${previous.id}&v2=${version.id}`}
+                              className="text-primary-600 hover:text-primary-700 font-medium"
+                            >
+                              Compare with v{previous.version}
+                            </Link>
+                          )}
+                          {version.status === 'analyzed' && (
+                            <Link
+                              to={`/contracts/${version.id}/analysis`}
+                              className="text-primary-600 hover:text-primary-700 font-medium"
+                            >
+                              Analysis
+                            </Link>
+                          )}
+                          {version.id !== contract.id && (
+                            <button
+                              onClick={() => handleDelete(version.id)}
+                              className="text-danger-dark hover:underline font-medium"
+                            >
+                              Delete
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
             </motion.div>
           ))}
         </div>
@@ -0,0 +1,250 @@
+import { useState, useEffect, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { CLAUSE_TAXONOMY, getClauseTypeLabel } from 'lexlens-shared';
+import { playbookAPI, clauseTypeAPI } from '../utils/api';
+import { useAuthStore } from '../store/authStore';
+
+const POSITIONS = [
+  { key: 'preferred', label: 'Preferred', badge: 'badge bg-success-light text-success-dark' },
+  { key: 'acceptable', label: 'Acceptable', badge: 'badge bg-warning-light text-warning-dark' },
+  { key: 'unacceptable', label: 'Unacceptable', badge: 'badge bg-danger-light text-danger-dark' }
+];
+
+const EMPTY_FORM = { clauseType: '', position: 'preferred', title: '', text: '', guidance: '' };
+
+const Playbook = () => {
+  const { user } = useAuthStore();
+  const canEdit = ['admin', 'lawyer'].includes(user?.role);
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [clauseTypes, setClauseTypes] = useState(
+    Object.entries(CLAUSE_TAXONOMY).map(([key, entry]) => ({ key, label: entry.label }))
+  );
+
+  useEffect(() => {
+    fetchEntries();
+    clauseTypeAPI.getAll()
+      .then(response => setClauseTypes(response.data.clauseTypes))
+      .catch(() => {});
+  }, []);
+
+  const fetchEntries = async () => {
+    try {
+      setLoading(true);
+      const response = await playbookAPI.getAll();
+      setEntries(response.data.entries);
+    } catch (error) {
+      console.error('Failed to fetch playbook:', error);
+      toast.error('Failed to load playbook');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Entries arrive sorted by clause type, then position
+  const groups = useMemo(() => {
+    const byType = new Map();
+    entries.forEach((entry) => {
+      if (!byType.has(entry.clauseType)) byType.set(entry.clauseType, []);
+      byType.get(entry.clauseType).push(entry);
+    });
+    return [...byType.entries()];
+  }, [entries]);
+
+  const handleSave = async () => {
+    const { id, ...values } = form;
+    setSaving(true);
+    try {
+      if (id) {
+        await playbookAPI.update(id, values);
+        toast.success('Playbook clause updated');
+      } else {
+        await playbookAPI.create(values);
+        toast.success('Playbook clause added');
+      }
+      setForm(null);
+      fetchEntries();
+    } catch (error) {
+      console.error('Failed to save playbook clause:', error);
+      toast.error(error.response?.data?.message || 'Failed to save playbook clause');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!confirm('Remove this clause from the playbook?')) return;
+
+    try {
+      await playbookAPI.delete(id);
+      toast.success('Playbook clause removed');
+      fetchEntries();
+    } catch (error) {
+      console.error('Failed to delete playbook clause:', error);
+      toast.error('Failed to delete playbook clause');
+    }
+  };
+
+  const startEdit = (entry) => {
+    setForm({
+      id: entry.id,
+      clauseType: entry.clauseType,
+      position: entry.position,
+      title: entry.title || '',
+      text: entry.text,
+      guidance: entry.guidance || ''
+    });
+  };
+
+  const positionOf = (key) => POSITIONS.find(position => position.key === key) || POSITIONS[0];
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="card flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-neutral-800 mb-2">Playbook</h1>
+          <p className="text-neutral-600">
+            Standard clause language. Analyzed contracts are compared with it clause by clause.
+          </p>
+        </div>
+        {canEdit && !form && (
+          <button onClick={() => setForm({ ...EMPTY_FORM })} className="btn btn-primary">
+            Add Clause
+          </button>
+        )}
+      </div>
+
+      {form && (
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="card space-y-4">
+          <h2 className="text-xl font-semibold text-neutral-800">
+            {form.id ? 'Edit Playbook Clause' : 'New Playbook Clause'}
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label htmlFor="playbook-type" className="block text-sm font-medium text-neutral-700 mb-1">Clause type</label>
+              <select
+                id="playbook-type"
+                className="input"
+                value={form.clauseType}
+                onChange={(e) => setForm({ ...form, clauseType: e.target.value })}
+              >
+                <option value="" disabled>Select a type</option>
+                {clauseTypes.map(type => (
+                  <option key={type.key} value={type.key}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="playbook-position" className="block text-sm font-medium text-neutral-700 mb-1">Position</label>
+              <select
+                id="playbook-position"
+                className="input"
+                value={form.position}
+                onChange={(e) => setForm({ ...form, position: e.target.value })}
+              >
+                {POSITIONS.map(position => (
+                  <option key={position.key} value={position.key}>{position.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="playbook-title" className="block text-sm font-medium text-neutral-700 mb-1">Title (optional)</label>
+              <input
+                id="playbook-title"
+                className="input"
+                value={form.title}
+                onChange={(e) => setForm({ ...form, title: e.target.value })}
+              />
+            </div>
+          </div>
+          <div>
+            <label htmlFor="playbook-text" className="block text-sm font-medium text-neutral-700 mb-1">Clause text</label>
+            <textarea
+              id="playbook-text"
+              className="input min-h-[120px]"
+              value={form.text}
+              onChange={(e) => setForm({ ...form, text: e.target.value })}
+            />
+          </div>
+          <div>
+            <label htmlFor="playbook-guidance" className="block text-sm font-medium text-neutral-700 mb-1">Guidance (optional)</label>
+            <textarea
+              id="playbook-guidance"
+              className="input"
+              placeholder="When to use this wording, or what to push back with"
+              value={form.guidance}
+              onChange={(e) => setForm({ ...form, guidance: e.target.value })}
+            />
+          </div>
+          <div className="flex space-x-3">
+            <button
+              onClick={handleSave}
+              disabled={saving || !form.clauseType || form.text.trim().length < 10}
+              className="btn btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button onClick={() => setForm(null)} disabled={saving} className="btn btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </motion.div>
+      )}
+
+      {groups.length === 0 ? (
+        <div className="card text-center py-12">
+          <div className="text-6xl mb-4">📘</div>
+          <h3 className="text-xl font-semibold text-neutral-800 mb-2">The playbook is empty</h3>
+          <p className="text-neutral-600">
+            Add your standard wording for a clause type to see how contracts deviate from it.
+          </p>
+        </div>
+      ) : (
+        groups.map(([clauseType, typeEntries]) => (
+          <div key={clauseType} className="card">
+            <h2 className="text-xl font-semibold text-neutral-800 mb-4">{getClauseTypeLabel(clauseType)}</h2>
+            <div className="space-y-4">
+              {typeEntries.map(entry => (
+                <div key={entry.id} className="border border-neutral-200 rounded-xl p-4">
+                  <div className="flex items-start justify-between gap-4 mb-2">
+                    <div className="flex items-center space-x-2">
+                      <span className={positionOf(entry.position).badge}>{positionOf(entry.position).label}</span>
+                      {entry.title && <span className="font-medium text-neutral-800">{entry.title}</span>}
+                    </div>
+                    {canEdit && (
+                      <div className="flex space-x-2">
+                        <button onClick={() => startEdit(entry)} className="text-sm text-primary-600 hover:underline">
+                          Edit
+                        </button>
+                        <button onClick={() => handleDelete(entry.id)} className="text-sm text-danger hover:underline">
+                          Delete
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                  <p className="text-neutral-700 whitespace-pre-line">{entry.text}</p>
+                  {entry.guidance && (
+                    <p className="text-sm text-neutral-500 mt-2">💡 {entry.guidance}</p>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default Playbook;
@@ -0,0 +1,251 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { CLAUSE_TAXONOMY, getClauseTypeColor, getClauseTypeLabel } from 'lexlens-shared';
+import { searchAPI, clauseTypeAPI } from '../utils/api';
+
+// Document types detected during extraction
+const DOCUMENT_TYPES = [
+  'NDA',
+  'Service Agreement',
+  'Consulting Agreement',
+  'Employment Contract',
+  'License Agreement',
+  'Lease Agreement',
+  'Purchase Agreement',
+  'Partnership Agreement'
+];
+
+const SEARCH_MODES = [
+  { key: 'hybrid', label: 'Keywords + meaning' },
+  { key: 'keyword', label: 'Keywords only' },
+  { key: 'semantic', label: 'Meaning only' }
+];
+
+const FILTER_KEYS = ['mode', 'clauseType', 'riskLevel', 'documentType', 'from', 'to'];
+
+const Search = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [queryText, setQueryText] = useState(searchParams.get('q') || '');
+  const [filters, setFilters] = useState(
+    Object.fromEntries(FILTER_KEYS.map(key => [key, searchParams.get(key) || '']))
+  );
+  const [results, setResults] = useState(null);
+  const [searchMode, setSearchMode] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [clauseTypes, setClauseTypes] = useState(
+    Object.entries(CLAUSE_TAXONOMY).map(([key, entry]) => ({ key, label: entry.label }))
+  );
+
+  useEffect(() => {
+    clauseTypeAPI.getAll()
+      .then(response => setClauseTypes(response.data.clauseTypes))
+      .catch(() => {});
+  }, []);
+
+  // The URL holds the search so results survive navigating to a contract and back
+  useEffect(() => {
+    const q = searchParams.get('q');
+    if (q) runSearch(Object.fromEntries(searchParams.entries()));
+  }, [searchParams]);
+
+  const runSearch = async (params) => {
+    try {
+      setLoading(true);
+      const response = await searchAPI.clauses(params);
+      setResults(response.data.results);
+      setSearchMode(response.data.mode);
+    } catch (error) {
+      console.error('Search failed:', error);
+      toast.error(error.response?.data?.message || 'Search failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (queryText.trim().length < 2) return;
+
+    const params = { q: queryText.trim() };
+    FILTER_KEYS.forEach((key) => {
+      if (filters[key]) params[key] = filters[key];
+    });
+    setSearchParams(params);
+  };
+
+  const getRiskBadgeClass = (riskLevel) => {
+    const classes = {
+      high: 'badge bg-danger-200 text-danger-700',
+      medium: 'badge bg-primary-200 text-primary-700',
+      low: 'badge bg-success-200 text-success-700'
+    };
+    return classes[riskLevel] || classes.low;
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <h1 className="text-3xl font-bold text-neutral-800 mb-2">Search Clauses</h1>
+        <p className="text-neutral-600">
+          Find clauses across all your contracts by exact terms or by meaning, e.g. "cap on damages" or "who owns the work product"
+        </p>
+        <p className="text-sm text-neutral-500 mt-2">
+          Use "quotes" for exact phrases, OR for alternatives, and NOT or -term to exclude a word.
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="card space-y-4">
+        <div className="flex gap-3">
+          <input
+            className="input flex-1"
+            placeholder="Describe the clause you are looking for"
+            value={queryText}
+            onChange={(e) => setQueryText(e.target.value)}
+          />
+          <button
+            type="submit"
+            disabled={loading || queryText.trim().length < 2}
+            className="btn btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading ? 'Searching...' : 'Search'}
+          </button>
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+          <select
+            className="input"
+            value={filters.mode || 'hybrid'}
+            onChange={(e) => setFilters({ ...filters, mode: e.target.value })}
+          >
+            {SEARCH_MODES.map(mode => (
+              <option key={mode.key} value={mode.key}>{mode.label}</option>
+            ))}
+          </select>
+          <select
+            className="input"
+            value={filters.clauseType}
+            onChange={(e) => setFilters({ ...filters, clauseType: e.target.value })}
+          >
+            <option value="">All clause types</option>
+            {clauseTypes.map(type => (
+              <option key={type.key} value={type.key}>{type.label}</option>
+            ))}
+          </select>
+          <select
+            className="input"
+            value={filters.riskLevel}
+            onChange={(e) => setFilters({ ...filters, riskLevel: e.target.value })}
+          >
+            <option value="">Any risk</option>
+            <option value="high">High risk</option>
+            <option value="medium">Medium risk</option>
+            <option value="low">Low risk</option>
+          </select>
+          <select
+            className="input"
+            value={filters.documentType}
+            onChange={(e) => setFilters({ ...filters, documentType: e.target.value })}
+          >
+            <option value="">All document types</option>
+            {DOCUMENT_TYPES.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            className="input"
+            title="Uploaded from"
+            value={filters.from}
+            onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+          />
+          <input
+            type="date"
+            className="input"
+            title="Uploaded until"
+            value={filters.to}
+            onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+          />
+        </div>
+      </form>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-32">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500"></div>
+        </div>
+      ) : results && results.length === 0 ? (
+        <div className="card text-center py-12">
+          <div className="text-6xl mb-4">🔎</div>
+          <h3 className="text-xl font-semibold text-neutral-800 mb-2">No matching clauses</h3>
+          <p className="text-neutral-600">Try different wording or fewer filters</p>
+        </div>
+      ) : results && (
+        <div className="space-y-4">
+          {searchMode === 'keyword' && filters.mode !== 'keyword' && (
+            <p className="text-sm text-neutral-500">
+              Meaning-based search is unavailable right now, so these results match keywords only.
+            </p>
+          )}
+          {results.map((result, index) => (
+            <motion.div
+              key={result.id}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: Math.min(index * 0.05, 1) }}
+              className="card"
+            >
+              <div className="flex items-start justify-between gap-4 mb-2">
+                <div>
+                  <Link
+                    to={`/contracts/${result.contract_id}/analysis?clause=${result.id}`}
+                    className="font-semibold text-primary-600 hover:underline"
+                  >
+                    {result.contract_title || result.original_filename}
+                    {result.version > 1 && ` (v${result.version})`}
+                  </Link>
+                  <div className="text-sm text-neutral-500">
+                    {result.section_number && `§${result.section_number} `}
+                    {result.title}
+                    {result.document_type && result.document_type !== 'Unknown' && ` · ${result.document_type}`}
+                    {result.contract_uploaded_at && ` · uploaded ${format(new Date(result.contract_uploaded_at), 'MMM d, yyyy')}`}
+                  </div>
+                </div>
+                <div className="flex items-center gap-2 whitespace-nowrap">
+                  {result.matched_by.includes('keyword') && (
+                    <span className="badge bg-neutral-200 text-neutral-700">keyword match</span>
+                  )}
+                  {result.similarity !== null && (
+                    <span className="text-sm font-medium text-neutral-600">
+                      {Math.round(result.similarity * 100)}% similar
+                      {result.matched_chunk && ` (part ${result.matched_chunk.index + 1} of ${result.matched_chunk.count})`}
+                    </span>
+                  )}
+                </div>
+              </div>
+              <div className="flex items-center gap-2 mb-2">
+                <span className={`badge ${getClauseTypeColor(result.clause_type)}`}>
+                  {getClauseTypeLabel(result.clause_type)}
+                </span>
+                {result.risk_level && (
+                  <span className={getRiskBadgeClass(result.risk_level)}>{result.risk_level} risk</span>
+                )}
+              </div>
+              <p className="text-neutral-700">
+                {result.snippet.length > 0
+                  ? result.snippet.map((segment, idx) => (
+                    segment.highlight
+                      ? <mark key={idx} className="bg-warning-light rounded px-0.5">{segment.text}</mark>
+                      : <span key={idx}>{segment.text}</span>
+                  ))
+                  : <span className="line-clamp-3">{result.text}</span>}
+              </p>
+            </motion.div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Search;
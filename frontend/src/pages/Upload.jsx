@@ -1,16 +1,39 @@
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import toast from 'react-hot-toast';
 import { contractAPI } from '../utils/api';
 
+const ACCEPTED_EXTENSIONS = ['.pdf', '.docx', '.doc', '.odt', '.rtf', '.txt', '.md', '.markdown', '.html', '.htm'];
+
 const Upload = () => {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const parentContractId = searchParams.get('parent');
+  const [parentContract, setParentContract] = useState(null);
   const [dragActive, setDragActive] = useState(false);
   const [file, setFile] = useState(null);
+  const [perspective, setPerspective] = useState('');
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
 
+  useEffect(() => {
+    if (parentContractId) {
+      fetchParentContract();
+    }
+  }, [parentContractId]);
+
+  const fetchParentContract = async () => {
+    try {
+      const response = await contractAPI.getVersions(parentContractId);
+      const { versions } = response.data;
+      setParentContract(versions[versions.length - 1]);
+    } catch (error) {
+      console.error('Failed to fetch parent contract:', error);
+      toast.error('Could not find the contract to revise');
+    }
+  };
+
   const handleDrag = (e) => {
     e.preventDefault();
     e.stopPropagation();
@@ -39,10 +62,10 @@ const Upload = () => {
   };
 
   const handleFile = (file) => {
-    const validTypes = ['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
-    
-    if (!validTypes.includes(file.type)) {
-      toast.error('Please upload a PDF or DOCX file');
+    const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+
+    if (!ACCEPTED_EXTENSIONS.includes(extension)) {
+      toast.error('Please upload a PDF, Word, ODT, RTF, text, Markdown or HTML file');
       return;
     }
 
@@ -63,9 +86,13 @@ const Upload = () => {
     try {
       const response = await contractAPI.upload(file, (progress) => {
         setUploadProgress(progress);
-      });
+      }, parentContractId, perspective.trim());
 
-      toast.success('Contract uploaded successfully!');
+      toast.success(
+        parentContractId
+          ? `Version ${response.data.contract.version} uploaded successfully!`
+          : 'Contract uploaded successfully!'
+      );
 
       // Navigate to contract list after a short delay
       setTimeout(() => {
@@ -83,9 +110,13 @@ const Upload = () => {
   return (
     <div className="max-w-3xl mx-auto space-y-6">
       <div className="card">
-        <h1 className="text-3xl font-bold text-neutral-800 mb-2">Upload Contract</h1>
+        <h1 className="text-3xl font-bold text-neutral-800 mb-2">
+          {parentContractId ? 'Upload New Version' : 'Upload Contract'}
+        </h1>
         <p className="text-neutral-600">
-          Upload a PDF or DOCX contract for AI-powered analysis
+          {parentContract
+            ? `Upload revision ${parentContract.version + 1} of ${parentContract.original_filename}. It will be compared with version ${parentContract.version} automatically.`
+            : 'Upload a contract (PDF, Word, ODT, RTF, text, Markdown or HTML) for AI-powered analysis'}
         </p>
       </div>
 
@@ -110,7 +141,7 @@ const Upload = () => {
             type="file"
             id="file-upload"
             className="hidden"
-            accept=".pdf,.docx"
+            accept={ACCEPTED_EXTENSIONS.join(',')}
             onChange={handleChange}
           />
 
@@ -121,7 +152,7 @@ const Upload = () => {
                 Drop your contract here
               </h3>
               <p className="text-neutral-600 mb-6">
-                or click to browse (PDF, DOCX - Max 10MB)
+                or click to browse (PDF, DOCX, ODT, RTF, TXT, MD, HTML - Max 10MB)
               </p>
               <label htmlFor="file-upload" className="btn btn-primary cursor-pointer">
                 Choose File
@@ -151,6 +182,23 @@ const Upload = () => {
                 </div>
               )}
 
+              <div className="max-w-sm mx-auto mb-6 text-left">
+                <label htmlFor="perspective" className="block text-sm font-medium text-neutral-700 mb-1">
+                  Which party do you represent? (optional)
+                </label>
+                <input
+                  id="perspective"
+                  className="input"
+                  placeholder={parentContract?.perspective || 'e.g. Customer or Acme Corp'}
+                  value={perspective}
+                  disabled={uploading}
+                  onChange={(e) => setPerspective(e.target.value)}
+                />
+                <p className="text-xs text-neutral-500 mt-1">
+                  Risk is scored for this party. You can change it after analysis.
+                </p>
+              </div>
+
               <div className="flex justify-center space-x-4">
                 <button
                   onClick={handleUpload}
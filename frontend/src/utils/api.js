@@ -50,9 +50,15 @@ export const authAPI = {
 
 // Contract API
 export const contractAPI = {
-  upload: (file, onProgress) => {
+  upload: (file, onProgress, parentContractId, perspective) => {
     const formData = new FormData();
     formData.append('contract', file);
+    if (parentContractId) {
+      formData.append('parentContractId', parentContractId);
+    }
+    if (perspective) {
+      formData.append('perspective', perspective);
+    }
 
     return api.post('/contracts/upload', formData, {
       headers: {
@@ -69,6 +75,8 @@ export const contractAPI = {
   getAll: (params) => api.get('/contracts', { params }),
   getById: (id) => api.get(`/contracts/${id}`),
   getStatus: (id) => api.get(`/contracts/${id}/status`),
+  getVersions: (id) => api.get(`/contracts/${id}/versions`),
+  setPerspective: (id, party) => api.put(`/contracts/${id}/perspective`, { party }),
   delete: (id) => api.delete(`/contracts/${id}`),
 };
 
@@ -79,6 +87,18 @@ export const clauseAPI = {
   getRisky: (contractId) => api.get(`/clauses/${contractId}/risky`),
   getByType: (contractId, type) => api.get(`/clauses/${contractId}/type/${type}`),
   getById: (clauseId) => api.get(`/clauses/clause/${clauseId}`),
+  getSimilar: (clauseId, params) => api.get(`/clauses/clause/${clauseId}/similar`, { params }),
+  correct: (clauseId, correction) => api.patch(`/clauses/clause/${clauseId}`, correction),
+  exportCorrections: (format = 'jsonl') =>
+    api.get('/clauses/corrections/export', { params: { format }, responseType: 'blob' }),
+};
+
+// Clause type API
+export const clauseTypeAPI = {
+  getAll: () => api.get('/clause-types'),
+  create: (clauseType) => api.post('/clause-types', clauseType),
+  update: (key, changes) => api.put(`/clause-types/${key}`, changes),
+  delete: (key) => api.delete(`/clause-types/${key}`),
 };
 
 // Analysis API
@@ -86,6 +106,20 @@ export const analysisAPI = {
   analyze: (contractId) => api.post(`/analysis/${contractId}/analyze`),
   getClauses: (contractId) => api.get(`/analysis/${contractId}/clauses`),
   getSummary: (contractId) => api.get(`/analysis/${contractId}/summary`),
+  getPlaybookReview: (contractId) => api.get(`/analysis/${contractId}/playbook`),
+};
+
+// Playbook API
+export const playbookAPI = {
+  getAll: (clauseType) => api.get('/playbook', { params: clauseType ? { clauseType } : {} }),
+  create: (entry) => api.post('/playbook', entry),
+  update: (id, changes) => api.put(`/playbook/${id}`, changes),
+  delete: (id) => api.delete(`/playbook/${id}`),
+};
+
+// Search API
+export const searchAPI = {
+  clauses: (params) => api.get('/search/clauses', { params }),
 };
 
 // Comparison API
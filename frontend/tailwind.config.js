@@ -3,6 +3,8 @@ export default {
   content: [
     "./index.html",
     "./src/**/*.{js,ts,jsx,tsx}",
+    // Clause type badge colors are defined in the shared taxonomy
+    "../shared/**/*.js",
   ],
   theme: {
     extend: {
@@ -3,6 +3,15 @@ import react from '@vitejs/plugin-react';
 
 export default defineConfig({
   plugins: [react()],
+  // lexlens-shared is a CommonJS workspace package, so it needs pre-bundling
+  optimizeDeps: {
+    include: ['lexlens-shared']
+  },
+  build: {
+    commonjsOptions: {
+      include: [/shared/, /node_modules/]
+    }
+  },
   server: {
     port: 5173,
     host: true,
@@ -0,0 +1,244 @@
+/**
+ * Clause taxonomy for LexLens
+ * Single source of truth for the built-in clause types: the backend classifies
+ * into these keys and the frontend uses the labels and badge colors.
+ * Admins can add custom types at runtime (see /api/clause-types); those are
+ * stored in the database and are not listed here.
+ */
+
+const { ClauseType } = require('./types');
+
+// Type assigned when nothing else matches
+const DEFAULT_CLAUSE_TYPE = ClauseType.OTHER;
+
+// Keys used before the taxonomy was unified, mapped to their current type
+const LEGACY_CLAUSE_TYPES = {
+  general: ClauseType.OTHER,
+  indemnification: ClauseType.INDEMNITY
+};
+
+/**
+ * Built-in clause types
+ * patterns are the keyword rules used when no trained classifier is available.
+ * color holds Tailwind classes for the type badge.
+ */
+const CLAUSE_TAXONOMY = {
+  [ClauseType.CONFIDENTIALITY]: {
+    label: 'Confidentiality',
+    color: 'bg-purple-100 text-purple-700',
+    patterns: [
+      /confidential(ity)?/i,
+      /non-disclosure/i,
+      /proprietary information/i,
+      /trade secret/i,
+      /sensitive information/i
+    ]
+  },
+  [ClauseType.TERMINATION]: {
+    label: 'Termination',
+    color: 'bg-red-100 text-red-700',
+    patterns: [
+      /terminat(e|ion)/i,
+      /cancel(lation)?/i,
+      /end of (the )?agreement/i,
+      /notice period/i,
+      /expir(e|ation)/i
+    ]
+  },
+  [ClauseType.LIABILITY]: {
+    label: 'Liability',
+    color: 'bg-orange-100 text-orange-700',
+    patterns: [
+      /liabilit(y|ies)/i,
+      /indemnif(y|ication)/i,
+      /damages/i,
+      /limitation of liability/i,
+      /hold harmless/i
+    ]
+  },
+  [ClauseType.INDEMNITY]: {
+    label: 'Indemnity',
+    color: 'bg-amber-100 text-amber-700',
+    patterns: [
+      /indemni(fy|fies|fication|ty)/i,
+      /hold harmless/i,
+      /defend.*against/i,
+      /third[- ]party claims?/i
+    ]
+  },
+  [ClauseType.PAYMENT]: {
+    label: 'Payment',
+    color: 'bg-green-100 text-green-700',
+    patterns: [
+      /payment/i,
+      /fee(s)?/i,
+      /compensation/i,
+      /invoice/i,
+      /price/i,
+      /cost/i
+    ]
+  },
+  [ClauseType.GOVERNING_LAW]: {
+    label: 'Governing Law',
+    color: 'bg-indigo-100 text-indigo-700',
+    patterns: [
+      /governing law/i,
+      /governed by/i,
+      /applicable law/i,
+      /laws of the (state|province|country)/i
+    ]
+  },
+  [ClauseType.DISPUTE_RESOLUTION]: {
+    label: 'Dispute Resolution',
+    color: 'bg-teal-100 text-teal-700',
+    patterns: [
+      /dispute resolution/i,
+      /arbitrat(ion|or|ed)/i,
+      /mediat(ion|or)/i,
+      /jurisdiction/i,
+      /venue/i,
+      /disputes? arising/i
+    ]
+  },
+  [ClauseType.INTELLECTUAL_PROPERTY]: {
+    label: 'Intellectual Property',
+    color: 'bg-blue-100 text-blue-700',
+    patterns: [
+      /intellectual property/i,
+      /copyright/i,
+      /patent/i,
+      /trademark/i,
+      /ownership/i,
+      /licen[cs]e/i
+    ]
+  },
+  [ClauseType.WARRANTY]: {
+    label: 'Warranty',
+    color: 'bg-yellow-100 text-yellow-700',
+    patterns: [
+      /warrant(y|ies)/i,
+      /representation/i,
+      /guarantee/i,
+      /assurance/i
+    ]
+  },
+  [ClauseType.FORCE_MAJEURE]: {
+    label: 'Force Majeure',
+    color: 'bg-rose-100 text-rose-700',
+    patterns: [
+      /force majeure/i,
+      /act of god/i,
+      /unforeseeable/i,
+      /beyond.*control/i
+    ]
+  },
+  [ClauseType.ASSIGNMENT]: {
+    label: 'Assignment',
+    color: 'bg-pink-100 text-pink-700',
+    patterns: [
+      /assignment/i,
+      /transfer/i,
+      /successor/i,
+      /assign.*rights/i
+    ]
+  },
+  [ClauseType.AMENDMENT]: {
+    label: 'Amendment',
+    color: 'bg-lime-100 text-lime-700',
+    patterns: [
+      /amendment/i,
+      /modification/i,
+      /change.*agreement/i,
+      /written consent/i
+    ]
+  },
+  [ClauseType.NOTICE]: {
+    label: 'Notice',
+    color: 'bg-cyan-100 text-cyan-700',
+    patterns: [
+      /notices? (shall|must|required|under|given)/i,
+      /deemed (given|received|delivered)/i,
+      /(certified|registered) mail/i,
+      /(overnight|recognized) courier/i,
+      /address(es)? for notices?/i
+    ]
+  },
+  [ClauseType.SEVERABILITY]: {
+    label: 'Severability',
+    color: 'bg-slate-100 text-slate-700',
+    patterns: [
+      /severabilit(y)?/i,
+      /invalid.*provision/i,
+      /unenforceable/i
+    ]
+  },
+  [ClauseType.ENTIRE_AGREEMENT]: {
+    label: 'Entire Agreement',
+    color: 'bg-stone-100 text-stone-700',
+    patterns: [
+      /entire agreement/i,
+      /complete agreement/i,
+      /supersede/i,
+      /prior agreement/i
+    ]
+  },
+  [ClauseType.OTHER]: {
+    label: 'Other',
+    color: 'bg-neutral-100 text-neutral-700',
+    patterns: []
+  }
+};
+
+/**
+ * Map a stored or predicted clause type onto the current taxonomy
+ * Unknown keys are returned unchanged, since they may be custom types.
+ * @param {string} type - Clause type key
+ * @returns {string} Current clause type key
+ */
+function normalizeClauseType(type) {
+  if (!type) return DEFAULT_CLAUSE_TYPE;
+  return LEGACY_CLAUSE_TYPES[type] || type;
+}
+
+/**
+ * Whether a key is one of the built-in clause types
+ * @param {string} type - Clause type key
+ * @returns {boolean}
+ */
+function isBuiltInClauseType(type) {
+  return Object.prototype.hasOwnProperty.call(CLAUSE_TAXONOMY, type);
+}
+
+/**
+ * Display label for a clause type (custom types are title-cased from their key)
+ * @param {string} type - Clause type key
+ * @returns {string} Label
+ */
+function getClauseTypeLabel(type) {
+  const normalized = normalizeClauseType(type);
+  if (isBuiltInClauseType(normalized)) {
+    return CLAUSE_TAXONOMY[normalized].label;
+  }
+  return normalized.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Badge color classes for a clause type (custom types use the default color)
+ * @param {string} type - Clause type key
+ * @returns {string} Tailwind classes
+ */
+function getClauseTypeColor(type) {
+  const normalized = normalizeClauseType(type);
+  const entry = CLAUSE_TAXONOMY[normalized] || CLAUSE_TAXONOMY[DEFAULT_CLAUSE_TYPE];
+  return entry.color;
+}
+
+module.exports = {
+  CLAUSE_TAXONOMY,
+  DEFAULT_CLAUSE_TYPE,
+  LEGACY_CLAUSE_TYPES,
+  normalizeClauseType,
+  isBuiltInClauseType,
+  getClauseTypeLabel,
+  getClauseTypeColor
+};
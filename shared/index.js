@@ -0,0 +1,9 @@
+/**
+ * LexLens shared package
+ * Constants and the clause taxonomy used by both backend and frontend
+ */
+
+module.exports = {
+  ...require('./types'),
+  ...require('./clauseTypes')
+};
@@ -3,14 +3,14 @@
  */
 
 // User roles
-export const UserRole = {
+const UserRole = {
   ADMIN: 'admin',
   LAWYER: 'lawyer',
   CLIENT: 'client'
 };
 
 // Contract status
-export const ContractStatus = {
+const ContractStatus = {
   UPLOADED: 'uploaded',
   PROCESSING: 'processing',
   ANALYZED: 'analyzed',
@@ -18,7 +18,7 @@ export const ContractStatus = {
 };
 
 // Clause types
-export const ClauseType = {
+const ClauseType = {
   CONFIDENTIALITY: 'confidentiality',
   TERMINATION: 'termination',
   LIABILITY: 'liability',
@@ -38,21 +38,38 @@ export const ClauseType = {
 };
 
 // Risk levels
-export const RiskLevel = {
+const RiskLevel = {
   LOW: 'low',
   MEDIUM: 'medium',
   HIGH: 'high'
 };
 
+// Lowest overall contract risk score (0-1) in each band
+const RISK_SCORE_THRESHOLDS = {
+  high: 0.6,
+  medium: 0.3
+};
+
+/**
+ * Risk level band for an overall contract risk score
+ * @param {number} score - Score between 0 and 1
+ * @returns {string} Risk level
+ */
+function getRiskScoreLevel(score) {
+  if (score >= RISK_SCORE_THRESHOLDS.high) return RiskLevel.HIGH;
+  if (score >= RISK_SCORE_THRESHOLDS.medium) return RiskLevel.MEDIUM;
+  return RiskLevel.LOW;
+}
+
 // Job types
-export const JobType = {
+const JobType = {
   EXTRACTION: 'extraction',
   ANALYSIS: 'analysis',
   COMPARISON: 'comparison'
 };
 
 // Job status
-export const JobStatus = {
+const JobStatus = {
   PENDING: 'pending',
   PROCESSING: 'processing',
   COMPLETED: 'completed',
@@ -64,6 +81,8 @@ module.exports = {
   ContractStatus,
   ClauseType,
   RiskLevel,
+  RISK_SCORE_THRESHOLDS,
+  getRiskScoreLevel,
   JobType,
   JobStatus
 };